@@ -1,13 +1,27 @@
 import { GeneratorApp } from "./ui/generator-app.js";
+import { UniversalVttExporter } from "./services/uvtt-exporter.js";
+import { PipelineCheckpoint } from "./services/pipeline-checkpoint.js";
+import { SceneApi } from "./services/scene-api.js";
+import { ProviderRegistry } from "./services/providers/provider-registry.js";
+import { AiProvider } from "./services/providers/ai-provider.js";
+import { ModelRequestError } from "./services/providers/model-request-error.js";
+import { VibeToast } from "../../vibe-common/scripts/ui/toast-manager.js";
 
 Hooks.once('init', async function () {
     console.log('Vibe Scene Two | Initializing module');
 
+    PipelineCheckpoint.registerSettings();
+    ProviderRegistry.registerSettings();
+
     const module = game.modules.get("vibe-scene-two");
     if (module) {
-        module.api = {
-            GeneratorApp
-        };
+        // Headless generation for macros and other modules, plus the generator window,
+        // the base class for provider backends and the error model calls fail with
+        module.api = Object.assign(new SceneApi(), {
+            GeneratorApp,
+            AiProvider,
+            ModelRequestError
+        });
     }
 });
 
@@ -46,3 +60,38 @@ Hooks.on('getSceneControlButtons', (controls) => {
         }
     }
 });
+
+// Reopen a generated scene in the generator, or export it, from the Scenes sidebar
+Hooks.on('getSceneContextOptions', (application, menuItems) => {
+    const sceneFor = (li) => game.scenes.get(li.dataset?.entryId ?? li.data?.("documentId"));
+    const hasState = (li) => game.user.isGM && !!sceneFor(li)?.getFlag("vibe-scene-two", "pipelineState");
+
+    menuItems.push(
+        {
+            name: "Vibe Scene: Edit Layout",
+            icon: '<i class="fas fa-draw-polygon"></i>',
+            condition: hasState,
+            callback: (li) => GeneratorApp.fromScene(sceneFor(li), { step: 2 })
+        },
+        {
+            name: "Vibe Scene: Review Map",
+            icon: '<i class="fas fa-map-marked-alt"></i>',
+            condition: (li) => hasState(li) && !!sceneFor(li).getFlag("vibe-scene-two", "pipelineState").imagePath,
+            callback: (li) => GeneratorApp.fromScene(sceneFor(li), { step: 3 })
+        },
+        {
+            name: "Vibe Scene: Export Universal VTT",
+            icon: '<i class="fas fa-file-export"></i>',
+            condition: (li) => game.user.isGM && !!sceneFor(li)?.getFlag("vibe-scene-two", "generated"),
+            callback: async (li) => {
+                const exporter = new UniversalVttExporter();
+                try {
+                    exporter.download(await exporter.fromScene(sceneFor(li)));
+                } catch (e) {
+                    VibeToast.error("Failed to export scene: " + e.message);
+                    console.error(e);
+                }
+            }
+        }
+    );
+});
@@ -0,0 +1,41 @@
+/**
+ * Cancellation
+ * Helpers for threading an AbortSignal through the pipeline. Calls that
+ * can't take a signal themselves are raced against it, so a cancelled run
+ * stops waiting at once and their late results are ignored.
+ */
+export class Cancellation {
+    /**
+     * Throw the abort reason if the signal has fired.
+     * @param {AbortSignal|null} [signal]
+     */
+    static check(signal) {
+        signal?.throwIfAborted();
+    }
+
+    /**
+     * Settle with the promise, or reject as soon as the signal fires.
+     * @template T
+     * @param {Promise<T>} promise
+     * @param {AbortSignal|null} [signal]
+     * @returns {Promise<T>}
+     */
+    static race(promise, signal) {
+        if (!signal) return promise;
+        signal.throwIfAborted();
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener("abort", onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+        });
+    }
+
+    /**
+     * Whether an error means the run was cancelled rather than failed.
+     * @param {*} error
+     * @returns {boolean}
+     */
+    static isAbort(error) {
+        return error?.name === "AbortError";
+    }
+}
@@ -0,0 +1,381 @@
+import { SvgLayoutParser } from "./svg-layout-parser.js";
+
+/**
+ * Connection Verifier
+ * Compares the room connections the outline asks for with the doors the SVG
+ * actually draws, and checks that every room can be reached.
+ *
+ * Door adjacency is read from the parsed geometry: a door <line> connects the
+ * rooms whose edges its midpoint sits on. A door touching a single room leads
+ * outside; a door touching none leads nowhere.
+ *
+ * Everything is measured in a fixed 1000×1000 verification space, so the
+ * tolerances don't depend on the SVG's own viewBox.
+ */
+export class ConnectionVerifier {
+    /** Pseudo room id for openings to the outside world */
+    static OUTSIDE = "outside";
+
+    /** Size of the verification space in pixels */
+    static SPACE = 1000;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.tolerance=8] - Max distance (px) between a door and a room edge
+     */
+    constructor({ tolerance = 8 } = {}) {
+        this.tolerance = tolerance;
+        this.parser = new SvgLayoutParser();
+    }
+
+    /**
+     * The outline's intended connections. Outlines from before the connection
+     * graph only list notable `doors`; those are read the same way.
+     * @param {Object} outline - The scene outline
+     * @returns {Array<{between: string[], type: string, material: string|null}>}
+     */
+    static connections(outline) {
+        const list = Array.isArray(outline?.connections) ? outline.connections : (outline?.doors || []);
+        return list
+            .filter(c => Array.isArray(c?.between) && c.between.length === 2)
+            .map(c => ({
+                between: c.between.map(String),
+                type: (c.type || "door").toLowerCase(),
+                material: c.material ? String(c.material).toLowerCase() : null
+            }));
+    }
+
+    /**
+     * Whether the outline carries a full connection graph (rather than the
+     * legacy list of notable doors), so unplanned doors can be flagged.
+     */
+    static hasConnectionGraph(outline) {
+        return Array.isArray(outline?.connections);
+    }
+
+    /**
+     * Check an SVG layout against the outline.
+     * @param {Object} outline - The scene (or floor) outline
+     * @param {string} svg - The SVG layout
+     * @param {Object} [options]
+     * @param {string[]} [options.anchors] - Room ids reachable by other means (e.g. stairs from another floor)
+     * @returns {Object|null} Report, or null if the SVG can't be parsed:
+     *   {ok, missing, unexpected, sealed, orphans, issues}
+     */
+    verify(outline, svg, { anchors = [] } = {}) {
+        const analysis = this._analyze(svg);
+        if (!analysis) return null;
+        return this._report(outline, analysis, anchors);
+    }
+
+    /**
+     * Verify, then fix what can be fixed in the SVG: missing doors are drawn on
+     * the shared edge, sealed rooms get a door to a reachable neighbour, and
+     * doors leading nowhere are removed. Unplanned doors are only flagged.
+     * @param {Object} outline - The scene (or floor) outline
+     * @param {string} svg - The SVG layout
+     * @param {Object} [options] - Same as verify()
+     * @returns {{svg: string, repairs: string[], report: Object|null}}
+     */
+    repair(outline, svg, options = {}) {
+        const analysis = this._analyze(svg);
+        if (!analysis) return { svg, repairs: [], report: null };
+
+        const report = this._report(outline, analysis, options.anchors || []);
+        if (report.ok) return { svg, repairs: [], report };
+
+        const { layout, rooms, actual } = analysis;
+        const root = (layout.rooms[0] || layout.doors[0])?.el.ownerDocument.documentElement;
+        if (!root) return { svg, repairs: [], report };
+        const inverse = this.parser._invert(this.parser._rootMatrix(root, ConnectionVerifier.SPACE, ConnectionVerifier.SPACE));
+        const repairs = [];
+
+        for (const orphan of report.orphans) {
+            orphan.el.remove();
+            repairs.push(`Removed a door at (${Math.round(orphan.x)}, ${Math.round(orphan.y)}) that led nowhere.`);
+        }
+
+        for (const conn of report.missing) {
+            const [a, b] = conn.between;
+            const edge = a === ConnectionVerifier.OUTSIDE || b === ConnectionVerifier.OUTSIDE
+                ? this._exteriorEdge(rooms.get(a === ConnectionVerifier.OUTSIDE ? b : a), rooms)
+                : this._sharedEdge(rooms.get(a), rooms.get(b));
+            const label = `${this._name(outline, a)} and ${this._name(outline, b)}`;
+            if (!edge) {
+                repairs.push(`Could not place the door between ${label}: they share no wall.`);
+                continue;
+            }
+            this._appendDoor(root, inverse, edge, conn);
+            actual.set(this._key(a, b), { between: [a, b] });
+            repairs.push(`Added the missing ${this._kind(conn.type)} between ${label}.`);
+        }
+
+        // Give each still-sealed room a door to its best reachable neighbour
+        let reached = this._reachable(outline, rooms, actual, options.anchors || []);
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const id of rooms.keys()) {
+                if (reached.has(id)) continue;
+                let best = null;
+                for (const other of reached) {
+                    if (!rooms.has(other)) continue;
+                    const edge = this._sharedEdge(rooms.get(id), rooms.get(other));
+                    if (edge && (!best || edge.length > best.edge.length)) best = { other, edge };
+                }
+                if (!best) continue;
+                this._appendDoor(root, inverse, best.edge, { type: "door", material: null });
+                actual.set(this._key(id, best.other), { between: [id, best.other] });
+                repairs.push(`Added a door so ${this._name(outline, id)} is reachable from ${this._name(outline, best.other)}.`);
+                reached = this._reachable(outline, rooms, actual, options.anchors || []);
+                progress = true;
+            }
+        }
+
+        const repaired = new XMLSerializer().serializeToString(root.ownerDocument);
+        console.log(`ConnectionVerifier | Applied ${repairs.length} repair(s).`);
+        return { svg: repaired, repairs, report: this.verify(outline, repaired, options) };
+    }
+
+    /**
+     * The connections a layout's doors actually make, regardless of any outline.
+     * @param {string} svg - The SVG layout
+     * @returns {Array<{between: string[], type: string}>} Empty if the SVG can't be parsed
+     */
+    drawnConnections(svg) {
+        const analysis = this._analyze(svg);
+        return [...(analysis?.actual.values() || [])].map(c => ({ between: [...c.between], type: c.type }));
+    }
+
+    // ─── Analysis ───────────────────────────────────────────────────────
+
+    /**
+     * Parse the layout and work out which rooms each door connects.
+     * @returns {{layout: Object, rooms: Map, actual: Map, orphans: Array}|null}
+     */
+    _analyze(svg) {
+        const layout = this.parser.parse(svg, ConnectionVerifier.SPACE, ConnectionVerifier.SPACE);
+        if (!layout) return null;
+
+        // First shape wins when a room id is drawn more than once
+        const rooms = new Map();
+        for (const room of layout.rooms) {
+            if (room.id && !rooms.has(String(room.id))) rooms.set(String(room.id), room);
+        }
+
+        const actual = new Map();
+        const orphans = [];
+        for (const door of layout.doors) {
+            const ids = this._doorRooms(door, rooms);
+            if (ids.length === 0) {
+                orphans.push({ el: door.el, x: (door.c[0] + door.c[2]) / 2, y: (door.c[1] + door.c[3]) / 2 });
+                continue;
+            }
+            const between = ids.length === 1 ? [ids[0], ConnectionVerifier.OUTSIDE] : ids;
+            actual.set(this._key(...between), { between, type: door.type });
+        }
+
+        return { layout, rooms, actual, orphans };
+    }
+
+    /**
+     * Compare the intended and actual connections and check reachability.
+     */
+    _report(outline, { rooms, actual, orphans }, anchors) {
+        const drawn = (id) => id === ConnectionVerifier.OUTSIDE || rooms.has(id);
+        const intended = ConnectionVerifier.connections(outline).filter(c => c.between.every(drawn));
+        const intendedKeys = new Set(intended.map(c => this._key(...c.between)));
+
+        const missing = intended.filter(c => !actual.has(this._key(...c.between)));
+        const unexpected = ConnectionVerifier.hasConnectionGraph(outline)
+            ? [...actual.entries()].filter(([key]) => !intendedKeys.has(key)).map(([, c]) => c)
+            : [];
+        const reached = this._reachable(outline, rooms, actual, anchors);
+        const sealed = [...rooms.keys()].filter(id => !reached.has(id));
+
+        const issues = [
+            ...missing.map(c => `Missing ${this._kind(c.type)} between ${this._name(outline, c.between[0])} and ${this._name(outline, c.between[1])}.`),
+            ...sealed.map(id => `${this._name(outline, id)} is sealed off: no door reaches it.`),
+            ...orphans.map(o => `Door at (${Math.round(o.x)}, ${Math.round(o.y)}) does not touch any room.`),
+            ...unexpected.map(c => `Unplanned door between ${this._name(outline, c.between[0])} and ${this._name(outline, c.between[1])}.`)
+        ];
+
+        return {
+            ok: missing.length === 0 && sealed.length === 0 && orphans.length === 0,
+            missing,
+            unexpected,
+            sealed,
+            orphans,
+            issues
+        };
+    }
+
+    /**
+     * Rooms reachable through doors. The search starts outside (when any door
+     * leads there), from outdoor areas, and from the anchors; failing all of
+     * those, from the first outline room that was drawn.
+     * @returns {Set<string>}
+     */
+    _reachable(outline, rooms, actual, anchors) {
+        const adjacency = new Map();
+        const link = (a, b) => {
+            if (!adjacency.has(a)) adjacency.set(a, new Set());
+            adjacency.get(a).add(b);
+        };
+        for (const { between: [a, b] } of actual.values()) {
+            link(a, b);
+            link(b, a);
+        }
+
+        const seeds = anchors.map(String).filter(id => rooms.has(id));
+        for (const [id, room] of rooms) {
+            if (room.outdoor) seeds.push(id);
+        }
+        if (adjacency.has(ConnectionVerifier.OUTSIDE)) seeds.push(ConnectionVerifier.OUTSIDE);
+        if (seeds.length === 0) {
+            const first = (outline?.rooms || []).map(r => String(r.id)).find(id => rooms.has(id)) ?? rooms.keys().next().value;
+            if (first !== undefined) seeds.push(first);
+        }
+
+        const reached = new Set(seeds);
+        const queue = [...seeds];
+        while (queue.length > 0) {
+            for (const next of adjacency.get(queue.shift()) || []) {
+                if (reached.has(next)) continue;
+                reached.add(next);
+                queue.push(next);
+            }
+        }
+        return reached;
+    }
+
+    /**
+     * Ids of the (at most two) rooms whose edges a door's midpoint sits on, nearest first.
+     */
+    _doorRooms(door, rooms) {
+        const mx = (door.c[0] + door.c[2]) / 2;
+        const my = (door.c[1] + door.c[3]) / 2;
+        const hits = [];
+        for (const [id, room] of rooms) {
+            const dist = Math.min(...room.edges.map(e => this._distanceToSegment(mx, my, e)));
+            if (dist <= this.tolerance) hits.push({ id, dist });
+        }
+        return hits.sort((a, b) => a.dist - b.dist).slice(0, 2).map(h => h.id);
+    }
+
+    // ─── Geometry ───────────────────────────────────────────────────────
+
+    /**
+     * The longest stretch of wall two rooms share.
+     * @returns {{x1: number, y1: number, x2: number, y2: number, length: number}|null}
+     */
+    _sharedEdge(roomA, roomB) {
+        if (!roomA || !roomB) return null;
+        let best = null;
+        for (const ea of roomA.edges) {
+            for (const eb of roomB.edges) {
+                const overlap = this._overlap(ea, eb);
+                if (overlap && (!best || overlap.length > best.length)) best = overlap;
+            }
+        }
+        return best && best.length >= this.tolerance * 2 ? best : null;
+    }
+
+    /**
+     * The longest edge of a room that no other room shares, for doors leading outside.
+     */
+    _exteriorEdge(room, rooms) {
+        if (!room) return null;
+        let best = null;
+        for (const edge of room.edges) {
+            const shared = [...rooms.values()].some(other => other !== room && other.edges.some(e => this._overlap(edge, e)));
+            if (shared) continue;
+            const length = Math.hypot(edge[2] - edge[0], edge[3] - edge[1]);
+            if (!best || length > best.length) best = { x1: edge[0], y1: edge[1], x2: edge[2], y2: edge[3], length };
+        }
+        return best && best.length >= this.tolerance * 2 ? best : null;
+    }
+
+    /**
+     * Overlapping stretch of two nearly collinear edges, in ea's coordinates.
+     */
+    _overlap(ea, eb) {
+        const [ax, ay, bx, by] = ea;
+        const len = Math.hypot(bx - ax, by - ay);
+        if (len < 0.1) return null;
+        if (this._lineDistance(eb[0], eb[1], ea) > this.tolerance || this._lineDistance(eb[2], eb[3], ea) > this.tolerance) return null;
+
+        const t0 = this._param(eb[0], eb[1], ea);
+        const t1 = this._param(eb[2], eb[3], ea);
+        const start = Math.max(0, Math.min(t0, t1));
+        const end = Math.min(1, Math.max(t0, t1));
+        if (end - start <= 0) return null;
+
+        return {
+            x1: ax + (bx - ax) * start, y1: ay + (by - ay) * start,
+            x2: ax + (bx - ax) * end, y2: ay + (by - ay) * end,
+            length: (end - start) * len
+        };
+    }
+
+    _lineDistance(px, py, [ax, ay, bx, by]) {
+        const len = Math.hypot(bx - ax, by - ay);
+        return Math.abs((px - ax) * (by - ay) - (py - ay) * (bx - ax)) / len;
+    }
+
+    _param(px, py, [ax, ay, bx, by]) {
+        const dx = bx - ax, dy = by - ay;
+        return ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy);
+    }
+
+    _distanceToSegment(px, py, seg) {
+        const t = Math.max(0, Math.min(1, this._param(px, py, seg) || 0));
+        return Math.hypot(px - (seg[0] + (seg[2] - seg[0]) * t), py - (seg[1] + (seg[3] - seg[1]) * t));
+    }
+
+    // ─── SVG Output ─────────────────────────────────────────────────────
+
+    /**
+     * Draw a door <line> centered on an edge. Coordinates are mapped back from
+     * verification space into the root SVG's user space.
+     */
+    _appendDoor(root, inverse, edge, conn) {
+        const cx = (edge.x1 + edge.x2) / 2;
+        const cy = (edge.y1 + edge.y2) / 2;
+        const ux = (edge.x2 - edge.x1) / edge.length;
+        const uy = (edge.y2 - edge.y1) / edge.length;
+        const half = Math.min(30, edge.length * 0.3);
+
+        const round = (v) => Math.round(v * 100) / 100;
+        const [x1, y1] = this.parser._apply(inverse, cx - ux * half, cy - uy * half);
+        const [x2, y2] = this.parser._apply(inverse, cx + ux * half, cy + uy * half);
+
+        const line = root.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "line");
+        line.setAttribute("x1", round(x1));
+        line.setAttribute("y1", round(y1));
+        line.setAttribute("x2", round(x2));
+        line.setAttribute("y2", round(y2));
+        line.setAttribute("stroke", "#8B4513");
+        line.setAttribute("stroke-width", "8");
+        line.setAttribute("data-door", conn.type || "door");
+        if (conn.material) line.setAttribute("data-material", conn.material);
+        line.setAttribute("data-repaired", "true");
+        root.appendChild(line);
+    }
+
+    // ─── Helpers ────────────────────────────────────────────────────────
+
+    _key(a, b) {
+        return [String(a), String(b)].sort().join("|");
+    }
+
+    _kind(type) {
+        return type === "secret" || type === "locked" ? `${type} door` : type;
+    }
+
+    _name(outline, id) {
+        if (id === ConnectionVerifier.OUTSIDE) return "the outside";
+        const room = (outline?.rooms || []).find(r => String(r.id) === String(id));
+        return `"${room?.name || id}"`;
+    }
+}
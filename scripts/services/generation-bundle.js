@@ -0,0 +1,109 @@
+import { ScenePipeline } from "./pipeline.js";
+import { ImageFiles } from "./image-files.js";
+
+/**
+ * Generation Bundle
+ * A single JSON file holding everything needed to pick a generation up
+ * again elsewhere: the prompt, outline, SVG layout(s), options, reports and
+ * the final and layout images (as base64).
+ *
+ * World-specific references (the built Scenes, history entry and saved image paths, for every
+ * floor) are left out, so loading a bundle in another world starts fresh Scenes.
+ */
+export class GenerationBundle {
+    /** Identifies bundle files */
+    static FORMAT = "vibe-scene-two-bundle";
+
+    /** Bumped when the bundle layout changes */
+    static VERSION = 1;
+
+    static EXTENSION = "vibe-scene.json";
+
+    /**
+     * Build a bundle from a pipeline state. Images only held as saved files
+     * (e.g. on a reopened Scene) are loaded and embedded.
+     * @param {Object} state - The pipeline state
+     * @returns {Promise<Object>} The bundle
+     */
+    static async create(state) {
+        if (!state?.outline && !state?.userConcept) throw new Error("There is nothing to save yet.");
+
+        const images = async (target) => ({
+            imageBuffer: target.imageBuffer || (target.imagePath ? await ImageFiles.fetchBase64(target.imagePath) : null),
+            layoutImageBuffer: target.layoutImageBuffer || (target.layoutImagePath ? await ImageFiles.fetchBase64(target.layoutImagePath) : null)
+        });
+
+        const { sceneId, historyId, imagePath, layoutImagePath, ...rest } = ScenePipeline.serializeState(state);
+        const levels = [];
+        for (let i = 0; i < (state.levels?.length || 0); i++) {
+            const { sceneId: levelScene, imagePath: levelImage, layoutImagePath: levelLayout, ...level } = rest.levels[i];
+            levels.push({ ...level, ...await images(state.levels[i]) });
+        }
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            state: {
+                ...rest,
+                levels: state.levels ? levels : null,
+                ...await images(state)
+            }
+        };
+    }
+
+    /**
+     * Turn a bundle back into a pipeline state.
+     * @param {Object|string} bundle - Bundle object or file text
+     * @returns {Object} A pipeline state, not yet tied to any Scene
+     */
+    static restore(bundle) {
+        if (typeof bundle === "string") {
+            try {
+                bundle = JSON.parse(bundle);
+            } catch (e) {
+                throw new Error("The file is not valid JSON.");
+            }
+        }
+        if (bundle?.format !== this.FORMAT || !bundle.state) throw new Error("The file is not a Vibe Scene bundle.");
+        if (bundle.version > this.VERSION) {
+            throw new Error(`The bundle was saved by a newer version of the module (bundle version ${bundle.version}).`);
+        }
+
+        const { imageBuffer, layoutImageBuffer, levels } = bundle.state;
+        const state = ScenePipeline.restoreState(bundle.state);
+        state.imageBuffer = imageBuffer || null;
+        state.layoutImageBuffer = layoutImageBuffer || null;
+        // Bundles saved by earlier versions kept each floor's Scene id
+        state.sceneId = null;
+        state.levels?.forEach((level, i) => {
+            level.sceneId = null;
+            level.imageBuffer = levels[i].imageBuffer || null;
+            level.layoutImageBuffer = levels[i].layoutImageBuffer || null;
+        });
+        return state;
+    }
+
+    /**
+     * Download a bundle as a file named after its scene.
+     * @param {Object} bundle - Result of create()
+     */
+    static download(bundle) {
+        const title = bundle.state.outline?.title || "scene";
+        const name = title.replace(/[^a-zA-Z0-9-_ ]/g, "").trim().replace(/\s+/g, "-") || "scene";
+        foundry.utils.saveDataToFile(JSON.stringify(bundle), "application/json", `${name}.${this.EXTENSION}`);
+        console.log(`GenerationBundle | Saved ${name}.${this.EXTENSION}`);
+    }
+
+    /**
+     * The furthest generator step a state can resume at: 3 with a rendered
+     * image (in memory or saved), 2 with an SVG layout, otherwise 1.
+     * @param {Object} state
+     * @returns {number}
+     */
+    static resumeStep(state) {
+        if (state.imageBuffer || state.imagePath) return 3;
+        if (state.svg) return 2;
+        return 1;
+    }
+}
\ No newline at end of file
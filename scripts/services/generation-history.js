@@ -0,0 +1,226 @@
+import { ScenePipeline } from "./pipeline.js";
+import { SceneBuilder } from "./scene-builder.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
+
+/**
+ * Generation History
+ * Past generator runs, kept in a GM-only JournalEntry so players can't read
+ * a run's secret doors, hazards or read-aloud text. Each run is one page of
+ * that journal: its flags hold a short summary for the history panel and
+ * the run's serialized pipeline state (images as the files saved in
+ * worlds/<id>/ai-scenes, never as buffers), so it can be reopened, rebuilt or
+ * duplicated later.
+ *
+ * A run is identified by state.historyId, which is also its page id.
+ * Removing a run deletes its page. Foundry gives clients no way to delete
+ * uploaded files, so the image files it leaves behind are reported instead.
+ */
+export class GenerationHistory {
+    /** Journal flag marking the history journal */
+    static FLAG = "history";
+
+    /** Oldest runs are dropped beyond this many */
+    static MAX_ENTRIES = 30;
+
+    /**
+     * All entries, newest first.
+     * @returns {Array<{id: string, createdAt: number, updatedAt: number, phase: string, title: string,
+     *   prompt: string, models: Object|null, thumbnail: string|null, sceneIds: string[], state: Object}>}
+     */
+    static entries() {
+        const pages = this._journal()?.pages.contents || [];
+        return pages
+            .map(page => this._entry(page))
+            .filter(Boolean)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} The entry with this id
+     */
+    static get(id) {
+        const page = this._journal()?.pages.get(id);
+        return page ? this._entry(page) : null;
+    }
+
+    /**
+     * Add or update the entry for a run. Images should already be saved as
+     * files (see PipelineCheckpoint.save); buffers are not stored.
+     * @param {Object} state - The pipeline state; gets a historyId if it has none
+     * @param {string} phase - The last completed phase ("outline", "svg", "image" or "built")
+     * @returns {Promise<void>}
+     */
+    static async record(state, phase) {
+        if (!game.user?.isGM) return;
+        try {
+            const journal = this._journal() ?? await this._createJournal();
+            state.historyId ||= foundry.utils.randomID();
+            const data = ScenePipeline.serializeState(state);
+            const now = Date.now();
+            const page = journal.pages.get(state.historyId);
+            const run = {
+                createdAt: page?.getFlag(SceneBuilder.FLAG_SCOPE, "run")?.createdAt ?? now,
+                updatedAt: now,
+                phase,
+                title: data.outline?.title || "Untitled scene",
+                prompt: data.userConcept || "",
+                models: data.models ?? null,
+                thumbnail: data.imagePath || data.layoutImagePath || null,
+                sceneIds: (data.levels?.length ? data.levels.map(l => l.sceneId) : [data.sceneId]).filter(Boolean)
+            };
+
+            if (page) {
+                // Unset first: setting a flag merges objects, which would keep keys the new state dropped
+                await page.unsetFlag(SceneBuilder.FLAG_SCOPE, "state");
+                await page.update({ name: run.title, flags: { [SceneBuilder.FLAG_SCOPE]: { run, state: data } } });
+            } else {
+                await journal.createEmbeddedDocuments("JournalEntryPage", [{
+                    _id: state.historyId,
+                    name: run.title,
+                    type: "text",
+                    text: { content: run.prompt ? `<p>${foundry.utils.escapeHTML(run.prompt)}</p>` : "" },
+                    flags: { [SceneBuilder.FLAG_SCOPE]: { run, state: data } }
+                }], { keepId: true });
+                await this._prune(journal);
+            }
+            console.log(`GenerationHistory | Recorded "${run.title}" (${phase}).`);
+        } catch (e) {
+            // History is a convenience; it must never fail the generation itself
+            console.warn("GenerationHistory | Could not record run:", e);
+        }
+    }
+
+    /**
+     * A run's state, restored for the generator.
+     * @param {string} id
+     * @returns {Object} The restored pipeline state
+     */
+    static restore(id) {
+        const entry = this.get(id);
+        if (!entry) throw new Error("That run is no longer in the history.");
+        return ScenePipeline.restoreState(entry.state);
+    }
+
+    /**
+     * Copy a run as a new entry, not tied to the original's Scene.
+     * @param {string} id
+     * @returns {Promise<Object>} The copy's restored pipeline state
+     */
+    static async duplicate(id) {
+        const state = this.restore(id);
+        const { phase } = this.get(id);
+        state.historyId = null;
+        state.sceneId = null;
+        state.levels?.forEach(level => { level.sceneId = null; });
+        await this.record(state, phase === "built" ? "image" : phase);
+        return state;
+    }
+
+    /**
+     * Delete a run's page from the history. The Scene built from it is untouched.
+     * @param {string} id
+     * @returns {Promise<string[]>} Image files the run saved that no other run uses; they stay on the server
+     */
+    static async remove(id) {
+        const entry = this.get(id);
+        if (!entry) return [];
+        const files = this.leftoverFiles(id);
+        await this._journal().deleteEmbeddedDocuments("JournalEntryPage", [id]);
+        console.log(`GenerationHistory | Deleted "${entry.title}".`, files.length ? "Image files left on the server:" : "", ...files);
+        return files;
+    }
+
+    /**
+     * Image files that would be left on the server if a run were removed:
+     * those it saved that no other run uses (duplicated runs share their
+     * files with the original).
+     * @param {string} id
+     * @returns {string[]}
+     */
+    static leftoverFiles(id) {
+        const entry = this.get(id);
+        if (!entry) return [];
+        const shared = new Set(this.entries().filter(e => e.id !== id).flatMap(e => this.imagePaths(e.state)));
+        return this.imagePaths(entry.state).filter(path => !shared.has(path));
+    }
+
+    /**
+     * Saved image files referenced by a serialized state.
+     * @param {Object} state
+     * @returns {string[]}
+     */
+    static imagePaths(state) {
+        const paths = [state, ...(state.levels || [])].flatMap(t => [t.imagePath, t.layoutImagePath]);
+        return [...new Set(paths.filter(Boolean))];
+    }
+
+    /**
+     * Display data for the history panel.
+     * @returns {Array<{id: string, title: string, prompt: string, date: string, thumbnail: string|null,
+     *   models: string, progress: string, built: boolean, hasLayout: boolean, hasMap: boolean}>}
+     */
+    static summaries() {
+        return this.entries().map(entry => {
+            const state = entry.state;
+            return {
+                id: entry.id,
+                title: entry.title,
+                prompt: entry.prompt,
+                date: new Date(entry.updatedAt).toLocaleString(),
+                // Runs without a saved image yet show their layout
+                thumbnail: entry.thumbnail || (state.svg ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(state.svg)}` : null),
+                models: Object.entries(ProviderRegistry.PHASES)
+                    .filter(([phase]) => entry.models?.[phase])
+                    .map(([phase, { label }]) => `${label}: ${entry.models[phase]}`)
+                    .join(" · "),
+                progress: entry.phase === "built" ? "scene built" : ({ outline: "outline", svg: "layout", image: "map" })[entry.phase] || entry.phase,
+                built: entry.sceneIds.some(sid => game.scenes.get(sid)),
+                hasLayout: !!state.svg,
+                hasMap: !!state.imagePath
+            };
+        });
+    }
+
+    // ─── Storage ────────────────────────────────────────────────────────
+
+    /**
+     * @returns {JournalEntry|undefined} The history journal, if one was created
+     */
+    static _journal() {
+        return game.journal?.find(j => j.getFlag(SceneBuilder.FLAG_SCOPE, this.FLAG));
+    }
+
+    /**
+     * Create the history journal, visible to GMs only.
+     * @returns {Promise<JournalEntry>}
+     */
+    static async _createJournal() {
+        return JournalEntry.create({
+            name: "Vibe Scene Two — Generation History",
+            ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+            flags: { [SceneBuilder.FLAG_SCOPE]: { [this.FLAG]: true } }
+        });
+    }
+
+    /**
+     * A page's entry, or null for pages that aren't runs.
+     */
+    static _entry(page) {
+        const run = page.getFlag(SceneBuilder.FLAG_SCOPE, "run");
+        const state = page.getFlag(SceneBuilder.FLAG_SCOPE, "state");
+        if (!run || !state) return null;
+        return { id: page.id, ...run, sceneIds: run.sceneIds || [], state };
+    }
+
+    /**
+     * Delete the oldest runs beyond MAX_ENTRIES.
+     */
+    static async _prune(journal) {
+        const old = this.entries().slice(this.MAX_ENTRIES);
+        if (old.length === 0) return;
+        await journal.deleteEmbeddedDocuments("JournalEntryPage", old.map(e => e.id));
+        const files = old.flatMap(e => this.imagePaths(e.state));
+        console.log(`GenerationHistory | Dropped ${old.length} old run(s).`, files.length ? "Image files left on the server:" : "", ...files);
+    }
+}
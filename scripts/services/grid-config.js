@@ -0,0 +1,100 @@
+/**
+ * Grid Config
+ * Resolves the generator's grid options (scale, grid type, square size and
+ * snapping) into Foundry Scene grid data, and snaps layout geometry onto it.
+ *
+ * When no square size is given, it is derived from the outline: the rooms'
+ * approximate sizes give the map's real-world extent, which is spread across
+ * the image at the chosen scale.
+ */
+export class GridConfig {
+    /** Distance per grid space and its units for each scale option */
+    static SCALES = {
+        "5ft": { distance: 5, units: "ft" },
+        "10ft": { distance: 10, units: "ft" },
+        "1.5m": { distance: 1.5, units: "m" }
+    };
+
+    /** Grid type option → Foundry CONST.GRID_TYPES value */
+    static TYPES = {
+        "square": 1,     // SQUARE
+        "hex-rows": 2,   // HEXODDR (pointy-top hexes in offset rows)
+        "hex-columns": 4 // HEXODDQ (flat-top hexes in offset columns)
+    };
+
+    static DEFAULT_SCALE = "5ft";
+    static DEFAULT_TYPE = "square";
+    static DEFAULT_SIZE = 40;
+
+    /** Foundry rejects grids smaller than this */
+    static MIN_SIZE = 20;
+    static MAX_SIZE = 200;
+
+    /** Rough side length in feet of each outline approximateSize */
+    static ROOM_FEET = { small: 15, medium: 25, large: 40 };
+
+    /** Share of the canvas the rooms are expected to cover */
+    static FILL_RATIO = 0.6;
+
+    /**
+     * Scene grid data for the given options.
+     * @param {Object} [options] - Pipeline options (gridScale, gridType, gridSize)
+     * @param {Object} [outline] - The scene outline, used to derive the square size
+     * @param {number} [imageWidth=1024] - Width of the map image in pixels
+     * @returns {{size: number, type: number, distance: number, units: string}}
+     */
+    static resolve(options = {}, outline = null, imageWidth = 1024) {
+        const scale = this.SCALES[options.gridScale] || this.SCALES[this.DEFAULT_SCALE];
+        const type = this.TYPES[options.gridType] ?? this.TYPES[this.DEFAULT_TYPE];
+
+        const requested = Number(options.gridSize);
+        const size = requested > 0 ? requested : this.deriveSize(outline, scale, imageWidth);
+
+        return {
+            size: Math.round(Math.min(this.MAX_SIZE, Math.max(this.MIN_SIZE, size))),
+            type,
+            distance: scale.distance,
+            units: scale.units
+        };
+    }
+
+    /**
+     * Pixel size of one grid space so the outline's rooms come out at a
+     * believable real-world size.
+     * @returns {number}
+     */
+    static deriveSize(outline, scale, imageWidth) {
+        const rooms = outline?.rooms || [];
+        if (rooms.length === 0) return this.DEFAULT_SIZE;
+
+        const area = rooms.reduce((sum, r) => {
+            const side = this.ROOM_FEET[String(r.approximateSize || "").toLowerCase()] || this.ROOM_FEET.medium;
+            return sum + side * side;
+        }, 0);
+        const mapFeet = Math.sqrt(area / this.FILL_RATIO);
+        const spaceFeet = scale.units === "m" ? scale.distance * 3.28084 : scale.distance;
+        return imageWidth / (mapFeet / spaceFeet);
+    }
+
+    /**
+     * Snap a segment's endpoints onto the Scene's grid.
+     * Walls snap to grid vertices; doors use a half-space resolution so they
+     * keep a usable width along the wall.
+     * @param {Scene} scene
+     * @param {number[]} c - [x1, y1, x2, y2]
+     * @param {Object} [options]
+     * @param {number} [options.resolution=1] - Grid subdivisions to snap to
+     * @returns {number[]|null} Snapped segment, or null if it collapses to a point
+     */
+    static snapSegment(scene, c, { resolution = 1 } = {}) {
+        const grid = scene.grid;
+        if (!grid?.getSnappedPoint) return c;
+        const modes = CONST.GRID_SNAPPING_MODES;
+        const mode = grid.isHexagonal ? modes.VERTEX | modes.CENTER : modes.VERTEX;
+
+        const a = grid.getSnappedPoint({ x: c[0], y: c[1] }, { mode, resolution });
+        const b = grid.getSnappedPoint({ x: c[2], y: c[3] }, { mode, resolution });
+        if (Math.hypot(b.x - a.x, b.y - a.y) < 1) return null;
+        return [a.x, a.y, b.x, b.y];
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Image Files
+ * Helpers for images saved as files: loading them back as data URLs or
+ * base64 (for bundles, exports and handouts) and reading their size.
+ */
+export class ImageFiles {
+    /** Size assumed when an image can't be loaded */
+    static FALLBACK_SIZE = 1024;
+
+    /**
+     * Load a saved image file as a data URL.
+     * @param {string} path
+     * @returns {Promise<string>}
+     */
+    static async fetchDataUrl(path) {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error(`Could not load image "${path}" (${response.status}).`);
+        const blob = await response.blob();
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        return String(dataUrl);
+    }
+
+    /**
+     * Load a saved image file and return its contents as base64.
+     * @param {string} path
+     * @returns {Promise<string>}
+     */
+    static async fetchBase64(path) {
+        return (await this.fetchDataUrl(path)).split(",")[1];
+    }
+
+    /**
+     * Load an image to get its native resolution, falling back to a square
+     * of FALLBACK_SIZE if it can't be loaded.
+     * @param {string} src - URL, file path or data URL
+     * @returns {Promise<{width: number, height: number}>}
+     */
+    static dimensions(src) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => resolve({ width: img.width, height: img.height });
+            img.onerror = () => {
+                console.warn(`ImageFiles | Could not load image to determine dimensions. Falling back to ${this.FALLBACK_SIZE}x${this.FALLBACK_SIZE}.`);
+                resolve({ width: this.FALLBACK_SIZE, height: this.FALLBACK_SIZE });
+            };
+            img.src = src;
+        });
+    }
+}
@@ -1,7 +1,10 @@
-import { callGemini } from "../../../vibe-common/scripts/services/gemini-service.js";
+import { extractJson } from "../../../vibe-common/scripts/services/gemini-service.js";
+import { Cancellation } from "./cancellation.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
 
 /**
  * Phase 3 Generator: Final Prompt Formatting and Image Generation
+ * Each call goes to the provider chosen for its phase (see ProviderRegistry).
  */
 export class SceneImageGenerator {
     constructor(apiKey) {
@@ -24,17 +27,14 @@ ${labelsRule}
 Output ONLY the raw prompt string. No markdown formatting, no intro text.`;
     }
 
-    async generateFinalPrompt(outline, options = {}) {
+    async generateFinalPrompt(outline, options = {}, abortSignal) {
         console.log("SceneImageGenerator | Generating final prompt for Imagen");
         const outlineContext = JSON.stringify(outline, null, 2);
         const fullPrompt = `${this.getPromptFormatterSystem(options)}\n\nSCENE OUTLINE:\n${outlineContext}`;
 
         try {
-            let finalPrompt = await callGemini({
-                apiKey: this.apiKey,
-                prompt: fullPrompt,
-                responseSchema: null
-            });
+            const { provider, model } = ProviderRegistry.forPhase("imagePrompt", { geminiApiKey: this.apiKey });
+            let finalPrompt = await provider.generateText({ model, prompt: fullPrompt }, abortSignal);
 
             finalPrompt = finalPrompt.trim();
             console.log("SceneImageGenerator | Generated Prompt:", finalPrompt);
@@ -51,17 +51,22 @@ Output ONLY the raw prompt string. No markdown formatting, no intro text.`;
             return null;
         }
 
+        const parser = new DOMParser();
+        const svgDoc = parser.parseFromString(svgString, "image/svg+xml");
+
         // Strip <text> elements from the SVG when labels should be removed from the image
-        let processedSvg = svgString;
         if (options.removeRoomLabels !== false) {
-            const parser = new DOMParser();
-            const svgDoc = parser.parseFromString(processedSvg, "image/svg+xml");
             const textElements = svgDoc.querySelectorAll("text");
             textElements.forEach(el => el.remove());
-            processedSvg = new XMLSerializer().serializeToString(svgDoc.documentElement);
             console.log(`SceneImageGenerator | Stripped ${textElements.length} text labels from SVG for image generation.`);
         }
 
+        // Secret doors must not be painted as visible doorways
+        const secretDoors = svgDoc.querySelectorAll('line[data-door="secret"]');
+        secretDoors.forEach(el => el.remove());
+
+        const processedSvg = new XMLSerializer().serializeToString(svgDoc.documentElement);
+
         return new Promise((resolve) => {
             const img = new Image();
             img.onload = () => {
@@ -94,79 +99,14 @@ Output ONLY the raw prompt string. No markdown formatting, no intro text.`;
 
         const promptText = finalPrompt + " Top-down TTRPG battlemap, extremely highly detailed, 4k.";
 
-        let requestBody;
-        let endpoint;
-
-        // Fetch the user's preferred model from Foundry settings, defaulting to gemini-2.5-flash-image for guided generation.
-        let guidedModel = "gemini-2.5-flash-image";
-        if (typeof game !== "undefined") {
-            try {
-                const setting = game.settings.get("vibe-common", "imageGenerationModel");
-                if (setting === "gemini-3-pro-image-preview") {
-                    guidedModel = "gemini-3-pro-image-preview";
-                }
-            } catch (e) {
-                console.warn("SceneImageGenerator | Could not fetch imageGenerationModel setting, defaulting.");
-            }
-        }
-
-        if (base64Jpeg) {
-            console.log(`SceneImageGenerator | Attaching converted SVG as reference image to ${guidedModel}.`);
-            endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${guidedModel}:generateContent?key=${this.apiKey}`;
-            requestBody = {
-                contents: [{
-                    parts: [
-                        { text: promptText },
-                        { inline_data: { mime_type: "image/jpeg", data: base64Jpeg } }
-                    ]
-                }]
-            };
-        } else {
-            console.log("SceneImageGenerator | Requesting image from Imagen 4.0");
-            endpoint = `https://generativelanguage.googleapis.com/v1beta/models/imagen-4.0-generate-001:predict?key=${this.apiKey}`;
-            requestBody = {
-                instances: [{ prompt: promptText }],
-                parameters: {
-                    sampleCount: 1,
-                    aspectRatio: "1:1",
-                    personGeneration: "ALLOW_ADULT"
-                }
-            };
-        }
+        const { provider, model } = ProviderRegistry.forPhase("image", { geminiApiKey: this.apiKey });
+        const result = await provider.generateImage({ model, prompt: promptText, referenceImage: base64Jpeg }, abortSignal);
+        this.lastModel = result.model;
 
-        const resp = await fetch(endpoint, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(requestBody),
-            signal: abortSignal
-        });
-
-        if (!resp.ok) {
-            const data = await resp.json().catch(() => ({}));
-            throw new Error(`Gemini Image API error ${resp.status}: ${data?.error?.message || resp.statusText}`);
-        }
-
-        const data = await resp.json();
-
-        // Handle both response formats
-        let b64 = null;
-        if (base64Jpeg) {
-            // gemini-2.5-flash-image uses generateContent candidate response format
-            b64 = data?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data || data?.candidates?.[0]?.content?.parts?.[0]?.inline_data?.data;
-        } else {
-            // imagen-4.0 uses predict instance response format
-            b64 = data?.predictions?.[0]?.bytesBase64Encoded;
-        }
-
-        if (b64) {
-            return {
-                finalImage: b64,
-                layoutImage: base64Jpeg
-            };
-        } else {
-            console.error("SceneImageGenerator | Raw response:", data);
-            throw new Error("No image data returned from image generation API.");
-        }
+        return {
+            finalImage: result.image,
+            layoutImage: base64Jpeg
+        };
     }
 
     /**
@@ -179,8 +119,8 @@ Output ONLY the raw prompt string. No markdown formatting, no intro text.`;
 
     /**
      * Inpaint a specific region of an existing image using a mask.
-     * Sends the base image + mask as two inline images with an editing prompt
-     * to the Gemini multimodal image generation model.
+     * Sends the base image, mask and an editing prompt to the inpainting
+     * phase's provider.
      *
      * @param {string} baseImageB64 - Base64-encoded JPEG of the current composite canvas
      * @param {string} maskB64 - Base64-encoded JPEG mask (white = paint here, black = keep)
@@ -191,72 +131,25 @@ Output ONLY the raw prompt string. No markdown formatting, no intro text.`;
     async inpaintRegion(baseImageB64, maskB64, roomPrompt, abortSignal) {
         console.log("SceneImageGenerator | Inpainting region with prompt:", roomPrompt.substring(0, 80) + "...");
 
-        let guidedModel = "gemini-2.5-flash-image";
-        if (typeof game !== "undefined") {
-            try {
-                const setting = game.settings.get("vibe-common", "imageGenerationModel");
-                if (setting === "gemini-3-pro-image-preview") {
-                    guidedModel = "gemini-3-pro-image-preview";
-                }
-            } catch (e) {
-                console.warn("SceneImageGenerator | Could not fetch imageGenerationModel setting, defaulting.");
-            }
-        }
-
         const editPrompt = `Edit this top-down dungeon battlemap image. The second image is a mask where WHITE regions indicate the area to paint. In that white-highlighted region, paint: ${roomPrompt}. CRITICAL: Keep all BLACK (non-masked) areas of the image COMPLETELY UNCHANGED. Only modify the white masked region. Maintain consistent art style, lighting, and perspective across the entire image.`;
 
-        const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${guidedModel}:generateContent?key=${this.apiKey}`;
-        const requestBody = {
-            contents: [{
-                parts: [
-                    { text: editPrompt },
-                    { inline_data: { mime_type: "image/jpeg", data: baseImageB64 } },
-                    { inline_data: { mime_type: "image/jpeg", data: maskB64 } }
-                ]
-            }],
-            generationConfig: {
-                response_modalities: ["IMAGE", "TEXT"]
-            }
-        };
-
-        const resp = await fetch(endpoint, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(requestBody),
-            signal: abortSignal
-        });
-
-        if (!resp.ok) {
-            const data = await resp.json().catch(() => ({}));
-            throw new Error(`Gemini Inpaint API error ${resp.status}: ${data?.error?.message || resp.statusText}`);
-        }
-
-        const data = await resp.json();
-        const b64 = data?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data
-            || data?.candidates?.[0]?.content?.parts?.[0]?.inline_data?.data;
-
-        if (!b64) {
-            // Check if any part has image data (model may return text + image)
-            for (const part of (data?.candidates?.[0]?.content?.parts || [])) {
-                const imgData = part?.inlineData?.data || part?.inline_data?.data;
-                if (imgData) return imgData;
-            }
-            console.error("SceneImageGenerator | Inpaint raw response:", data);
-            throw new Error("No image data returned from inpainting API call.");
-        }
-
-        return b64;
+        const { provider, model } = ProviderRegistry.forPhase("inpaint", { geminiApiKey: this.apiKey });
+        const result = await provider.inpaint({ model, image: baseImageB64, mask: maskB64, prompt: editPrompt }, abortSignal);
+        this.lastModel = result.model;
+        return result.image;
     }
 
     /**
      * Validate that an inpainted image still looks like a proper top-down VTT battlemap.
-     * Uses Gemini vision (text model) to analyze the image and return pass/fail.
+     * Uses the quality check phase's vision model to analyze the image and
+     * return pass/fail. An unreachable or unparsable check counts as a pass.
      *
      * @param {string} imageB64 - Base64-encoded JPEG of the image to validate
      * @param {string} roomName - Name of the room that was just painted (for context)
+     * @param {AbortSignal} [abortSignal] - Optional abort signal
      * @returns {Promise<{pass: boolean, reason: string}>}
      */
-    async validateInpaintQuality(imageB64, roomName) {
+    async validateInpaintQuality(imageB64, roomName, abortSignal) {
         console.log(`SceneImageGenerator | Validating quality after painting "${roomName}"...`);
 
         const validationPrompt = `You are a quality assurance inspector for AI-generated TTRPG battlemaps.
@@ -273,37 +166,13 @@ Respond with ONLY a JSON object in this exact format, no markdown:
 or
 {"pass": false, "reason": "Brief explanation of what's wrong"}`;
 
-        const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent?key=${this.apiKey}`;
-        const requestBody = {
-            contents: [{
-                parts: [
-                    { text: validationPrompt },
-                    { inline_data: { mime_type: "image/jpeg", data: imageB64 } }
-                ]
-            }],
-            generationConfig: {
-                temperature: 0.1,
-                response_mime_type: "application/json"
-            }
-        };
+        const { provider, model } = ProviderRegistry.forPhase("qa", { geminiApiKey: this.apiKey });
 
         try {
-            const resp = await fetch(endpoint, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!resp.ok) {
-                console.warn(`SceneImageGenerator | Quality validation API returned ${resp.status}, skipping check.`);
-                return { pass: true, reason: "Validation API unavailable, assuming pass." };
-            }
-
-            const data = await resp.json();
-            const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+            const text = await provider.analyzeImage({ model, prompt: validationPrompt, image: imageB64, json: true }, abortSignal);
 
             try {
-                const result = JSON.parse(text.trim());
+                const result = extractJson(text);
                 console.log(`SceneImageGenerator | Quality check: ${result.pass ? "PASS ✓" : "FAIL ✗"} — ${result.reason}`);
                 return { pass: !!result.pass, reason: result.reason || "No reason given." };
             } catch (parseErr) {
@@ -311,6 +180,8 @@ or
                 return { pass: true, reason: "Could not parse validation response, assuming pass." };
             }
         } catch (err) {
+            // Cancelling must stop the run, not count as a passed check
+            if (Cancellation.isAbort(err)) throw err;
             console.warn("SceneImageGenerator | Quality validation error:", err.message);
             return { pass: true, reason: "Validation error, assuming pass." };
         }
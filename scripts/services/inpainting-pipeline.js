@@ -1,4 +1,6 @@
 import { ScenePipeline } from "./pipeline.js";
+import { Cancellation } from "./cancellation.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
 
 /**
  * InpaintingPipeline
@@ -8,9 +10,14 @@ import { ScenePipeline } from "./pipeline.js";
  * Flow:
  *   1. Render the SVG silhouette to a dark base canvas (1024×1024)
  *   2. For each room: extract a white-on-black mask → call inpaintRegion → update canvas
- *   3. Store the final composite as state.imageBuffer
+ *   3. Return the final composite (stored as state.imageBuffer by the base class)
+ *
+ * Rooms painted so far are kept in state.inpaintProgress, so a cancelled or
+ * failed run of the same layout picks up where it stopped.
  */
 export class InpaintingPipeline extends ScenePipeline {
+    static PIPELINE_TYPE = "inpainting";
+
     constructor(apiKey) {
         super(apiKey);
         /** @type {function(string, number, number)|null} Progress callback (roomId, index, total) */
@@ -127,36 +134,72 @@ export class InpaintingPipeline extends ScenePipeline {
 
     /**
      * Override Phase 3: Generate Image Map (Inpainting)
-     * Iterates over every room in the outline, building the map progressively.
+     * The base class handles multi-level outlines and calls _generateLevelImage per floor.
      */
     async generateImage() {
-        console.log(`InpaintingPipeline | --- PHASE 3: Room-by-Room Inpainting ---`);
-        if (!this.state.outline) throw new Error("Missing outline for Phase 3");
         if (!this.state.svg) throw new Error("Missing SVG for Phase 3");
+        const result = await super.generateImage();
+        // Every floor is finished; nothing left to resume
+        this.state.inpaintProgress = null;
+        return result;
+    }
+
+    _imageModels() {
+        return {
+            inpaint: this.imageGenerator.lastModel ?? null,
+            qa: ProviderRegistry.modelLabel("qa")
+        };
+    }
 
-        const rooms = this.state.outline.rooms || [];
+    /**
+     * Paint a single floor room by room, building the map progressively.
+     * @param {Object} outline - Outline holding only this floor's rooms
+     * @param {string} svg - This floor's SVG layout
+     * @returns {Promise<{finalImage: string, layoutImage: string}>}
+     */
+    async _generateLevelImage(outline, svg) {
+        console.log(`InpaintingPipeline | --- PHASE 3: Room-by-Room Inpainting ---`);
+
+        const rooms = outline.rooms || [];
         if (rooms.length === 0) throw new Error("Outline has no rooms to inpaint.");
 
-        const title = this.state.outline.title || "Dungeon";
+        const title = outline.title || "Dungeon";
 
         try {
-            // Step 1: Generate the base canvas from the SVG silhouette
-            console.log("InpaintingPipeline | Rendering base canvas from SVG...");
-            let currentImage = await this._generateBaseCanvas(this.state.svg);
-
-            // Also save the layout image for debugging (same as standard pipeline)
-            this.state.layoutImageBuffer = currentImage;
+            // Step 1: Start from the rooms an earlier run of this layout painted, or from the SVG silhouette
+            this.state.inpaintProgress ||= [];
+            let progress = this.state.inpaintProgress.find(p => p.svg === svg);
+            if (progress) {
+                console.log(`InpaintingPipeline | Resuming with ${progress.painted.length}/${rooms.length} room(s) already painted.`);
+            } else {
+                console.log("InpaintingPipeline | Rendering base canvas from SVG...");
+                const baseCanvas = await this._generateBaseCanvas(svg);
+                // The base canvas doubles as the layout image (same as standard pipeline)
+                progress = { svg, layoutImage: baseCanvas, image: baseCanvas, painted: [] };
+                this.state.inpaintProgress.push(progress);
+            }
+            let currentImage = progress.image;
+            const layoutImage = progress.layoutImage;
 
             // Step 2: Iterate over each room
             for (let i = 0; i < rooms.length; i++) {
                 const room = rooms[i];
                 const roomId = room.id;
                 const roomLabel = room.name || roomId;
+
+                if (progress.painted.includes(String(roomId))) {
+                    if (this.onRoomProgress) {
+                        this.onRoomProgress("__resumed__", i, rooms.length, roomLabel, roomId);
+                    }
+                    continue;
+                }
+
                 const maxRetries = 3;
                 let attempt = 0;
                 let roomSuccess = false;
 
                 while (attempt < maxRetries && !roomSuccess) {
+                    Cancellation.check(this.abortSignal);
                     attempt++;
                     const isRetry = attempt > 1;
 
@@ -173,16 +216,16 @@ export class InpaintingPipeline extends ScenePipeline {
                     }
 
                     // Extract the mask for this room
-                    const mask = await this._extractRoomMask(this.state.svg, roomId);
+                    const mask = await this._extractRoomMask(svg, roomId);
 
                     // Build the room-specific prompt
                     const roomPrompt = this.imageGenerator.generateRoomPrompt(room, title);
 
                     // Inpaint this room onto the current canvas
-                    const candidateImage = await this.imageGenerator.inpaintRegion(currentImage, mask, roomPrompt);
+                    const candidateImage = await this.imageGenerator.inpaintRegion(currentImage, mask, roomPrompt, this.abortSignal);
 
                     // Quality validation
-                    const validation = await this.imageGenerator.validateInpaintQuality(candidateImage, roomLabel);
+                    const validation = await this.imageGenerator.validateInpaintQuality(candidateImage, roomLabel, this.abortSignal);
 
                     if (validation.pass) {
                         currentImage = candidateImage;
@@ -211,10 +254,10 @@ export class InpaintingPipeline extends ScenePipeline {
                         }
                     }
                 }
-            }
 
-            // Step 3: Store final composite
-            this.state.imageBuffer = currentImage;
+                progress.image = currentImage;
+                progress.painted.push(String(roomId));
+            }
 
             // Fire final progress
             if (this.onRoomProgress) {
@@ -222,10 +265,14 @@ export class InpaintingPipeline extends ScenePipeline {
             }
 
             console.log("InpaintingPipeline | All rooms painted successfully.");
-            return this.state.imageBuffer;
+            return { finalImage: currentImage, layoutImage };
 
         } catch (error) {
-            console.error("InpaintingPipeline | Phase 3 Failed:", error);
+            if (Cancellation.isAbort(error)) {
+                console.log("InpaintingPipeline | Cancelled; rooms painted so far are kept for the next run.");
+            } else {
+                console.error("InpaintingPipeline | Phase 3 Failed:", error);
+            }
             throw error;
         }
     }
@@ -0,0 +1,139 @@
+/**
+ * Lighting Profiles
+ * Turns each room's free-text `atmosphere` from the outline into an AmbientLight
+ * configuration, and the rooms together into scene-level darkness and global
+ * illumination.
+ *
+ * Radii are expressed as multiples of the room's radius so a profile fits any
+ * room size; SceneBuilder converts them into scene distance units.
+ */
+export class LightingProfiles {
+    /**
+     * Profiles are matched in order — the first whose keywords appear in the
+     * atmosphere as whole words (plurals included) wins, so more specific
+     * moods come before generic ones.
+     * `darkness` is how dark the room feels (0 = daylight, 1 = pitch black)
+     * and feeds the scene darkness level. A null `light` means no light source.
+     */
+    static PROFILES = [
+        {
+            key: "pitch-black",
+            keywords: ["pitch black", "pitch-black", "total darkness", "utter darkness", "lightless", "no light"],
+            darkness: 1,
+            light: null
+        },
+        {
+            key: "torch",
+            keywords: ["torch", "torchlight", "torchlit", "candle", "candlelight", "candlelit", "lantern", "flicker", "flickering", "hearth", "fireplace", "firelight", "sconce"],
+            darkness: 0.7,
+            light: { color: "#ffb347", alpha: 0.35, bright: 0.4, dim: 1.0, animation: { type: "torch", speed: 3, intensity: 4 } }
+        },
+        {
+            key: "lava",
+            keywords: ["lava", "magma", "molten", "inferno", "ember", "brazier", "forge", "furnace", "fire", "fiery"],
+            darkness: 0.6,
+            light: { color: "#ff6a1f", alpha: 0.45, bright: 0.5, dim: 1.2, animation: { type: "flame", speed: 4, intensity: 6 } }
+        },
+        {
+            key: "arcane",
+            keywords: ["arcane", "magic", "magical", "rune", "runic", "glyph", "enchanted", "enchantment", "eldritch", "portal", "crystal", "crystalline", "shimmer", "shimmering"],
+            darkness: 0.7,
+            light: { color: "#8a6bff", alpha: 0.4, bright: 0.3, dim: 0.9, animation: { type: "pulse", speed: 2, intensity: 5 } }
+        },
+        {
+            key: "bioluminescent",
+            keywords: ["bioluminescent", "bioluminescence", "fungi", "fungus", "fungal", "mushroom", "glowworm", "phosphorescent", "phosphorescence"],
+            darkness: 0.8,
+            light: { color: "#4fe0b0", alpha: 0.35, bright: 0.2, dim: 0.8, animation: { type: "pulse", speed: 1, intensity: 3 } }
+        },
+        {
+            key: "eerie",
+            keywords: ["eerie", "ghost", "ghostly", "spectral", "haunted", "haunting", "necrotic", "cursed", "sickly", "unholy"],
+            darkness: 0.8,
+            light: { color: "#7fd1a8", alpha: 0.3, bright: 0.2, dim: 0.7, animation: { type: "ghost", speed: 2, intensity: 4 } }
+        },
+        {
+            key: "fog",
+            keywords: ["fog", "foggy", "mist", "misty", "haze", "hazy", "smoke", "smoky", "steam", "steamy", "murky"],
+            darkness: 0.5,
+            light: { color: "#c8d2dc", alpha: 0.3, bright: 0.3, dim: 1.0, animation: { type: "fog", speed: 2, intensity: 5 } }
+        },
+        {
+            key: "moonlight",
+            keywords: ["moon", "moonlight", "moonlit", "starlight", "starlit", "night sky", "twilight", "dusk"],
+            darkness: 0.6,
+            light: { color: "#9fb8ff", alpha: 0.25, bright: 0.4, dim: 1.1, animation: null }
+        },
+        {
+            key: "sunlight",
+            keywords: ["sunlight", "sunlit", "daylight", "bright", "brightly", "sunny", "skylight", "sun streams", "open sky"],
+            darkness: 0,
+            light: { color: "#fff2cc", alpha: 0.2, bright: 0.8, dim: 1.2, animation: null }
+        },
+        {
+            key: "dim",
+            keywords: ["dim", "dimly", "gloom", "gloomy", "shadow", "shadowy", "dark", "darkness", "darkened", "murk"],
+            darkness: 0.75,
+            light: { color: "#ffc880", alpha: 0.2, bright: 0.2, dim: 0.7, animation: null }
+        }
+    ];
+
+    /** Fallback when nothing in the atmosphere matches */
+    static DEFAULT_PROFILE = {
+        key: "default",
+        keywords: [],
+        darkness: 0.5,
+        light: { color: "#ffc880", alpha: 0.2, bright: 0.5, dim: 1.0, animation: null }
+    };
+
+    /**
+     * Resolve the lighting profile for a room.
+     * @param {Object} [roomDef] - Room from the outline
+     * @returns {Object} The matching profile
+     */
+    static forRoom(roomDef) {
+        const text = (roomDef?.atmosphere || "").toLowerCase();
+        if (!text) return this.DEFAULT_PROFILE;
+        return this.PROFILES.find(p => p.keywords.some(k => new RegExp(`\\b${k}(?:e?s)?\\b`, "i").test(text))) || this.DEFAULT_PROFILE;
+    }
+
+    /**
+     * Build AmbientLight `config` data for a room.
+     * @param {Object} profile - Profile from forRoom()
+     * @param {number} roomRadius - Room radius in scene distance units
+     * @returns {Object|null} Light config, or null if the room should stay unlit
+     */
+    static lightConfig(profile, roomRadius) {
+        const light = profile.light;
+        if (!light) return null;
+        const config = {
+            bright: Math.round(roomRadius * light.bright * 10) / 10,
+            dim: Math.round(roomRadius * light.dim * 10) / 10,
+            color: light.color,
+            alpha: light.alpha
+        };
+        if (light.animation) config.animation = { ...light.animation };
+        return config;
+    }
+
+    /**
+     * Scene-level darkness and global illumination from all rooms' profiles.
+     * Darkness is the average of the rooms' darkness; the scene gets global
+     * illumination when it is mostly daylight.
+     * @param {Object} outline - The scene outline
+     * @returns {{darknessLevel: number, globalLight: {enabled: boolean}}}
+     */
+    static sceneEnvironment(outline) {
+        const rooms = outline?.rooms || [];
+        if (rooms.length === 0) return { darknessLevel: 0, globalLight: { enabled: true } };
+
+        const profiles = rooms.map(r => this.forRoom(r));
+        const avg = profiles.reduce((sum, p) => sum + p.darkness, 0) / profiles.length;
+        const darknessLevel = Math.round(avg * 100) / 100;
+
+        return {
+            darknessLevel,
+            globalLight: { enabled: darknessLevel <= 0.25 }
+        };
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Outline Schema
+ * The formal shape of a scene outline: a structured-output schema sent to the
+ * model, a local validator that explains what is wrong, and migrations that
+ * bring outlines saved by older versions up to date.
+ *
+ * Versions:
+ *   1 — unversioned outlines, possibly with string ids, single-string
+ *       features and only a legacy list of notable `doors`
+ *   2 — validated outlines: string ids, list fields as arrays, `connections`
+ *       as the full door graph (legacy `doors` is still read when absent)
+ */
+export class OutlineSchema {
+    /** Current outline schema version, stored as outline.schemaVersion */
+    static VERSION = 2;
+
+    /** Allowed connection (door) kinds */
+    static CONNECTION_TYPES = ["door", "secret", "locked", "window", "portcullis", "archway"];
+
+    /** Allowed room sizes */
+    static SIZES = ["small", "medium", "large"];
+
+    /** Pseudo room id for openings to the outside world */
+    static OUTSIDE = "outside";
+
+    /**
+     * Structured-output schema for the outline generator's response
+     * (the OpenAPI subset the Gemini API accepts as `responseSchema`).
+     */
+    static RESPONSE_SCHEMA = {
+        type: "OBJECT",
+        properties: {
+            title: { type: "STRING" },
+            description: { type: "STRING" },
+            levels: {
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        id: { type: "STRING" },
+                        name: { type: "STRING" },
+                        elevation: { type: "INTEGER" }
+                    },
+                    required: ["id", "name", "elevation"]
+                }
+            },
+            rooms: {
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        id: { type: "STRING" },
+                        level: { type: "STRING" },
+                        name: { type: "STRING" },
+                        purpose: { type: "STRING" },
+                        approximateSize: { type: "STRING", enum: ["small", "medium", "large"] },
+                        shapeHint: { type: "STRING", enum: ["rect", "circle", "polygon", "path"] },
+                        readAloud: { type: "STRING" },
+                        atmosphere: { type: "STRING" },
+                        features: { type: "ARRAY", items: { type: "STRING" } },
+                        hazards: { type: "ARRAY", items: { type: "STRING" } },
+                        interactables: { type: "ARRAY", items: { type: "STRING" } }
+                    },
+                    required: ["id", "name", "purpose", "approximateSize", "readAloud", "atmosphere", "features"]
+                }
+            },
+            stairs: {
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        from: { type: "STRING" },
+                        to: { type: "STRING" },
+                        type: { type: "STRING", enum: ["stairs", "ladder"] }
+                    },
+                    required: ["from", "to", "type"]
+                }
+            },
+            connections: {
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        between: { type: "ARRAY", items: { type: "STRING" } },
+                        type: { type: "STRING", enum: ["door", "secret", "locked", "window", "portcullis", "archway"] },
+                        material: { type: "STRING", enum: ["wood", "stone", "metal", "magic"] }
+                    },
+                    required: ["between", "type"]
+                }
+            }
+        },
+        required: ["title", "description", "rooms", "connections"]
+    };
+
+    /**
+     * Fix harmless shape problems in place of a retry: ids as strings, single
+     * strings where lists are expected, and lowercase enum values.
+     * @param {Object} outline
+     * @returns {Object} The same outline object
+     */
+    static normalize(outline) {
+        if (!outline || typeof outline !== "object" || Array.isArray(outline)) return outline;
+        const list = (value) => {
+            if (value === undefined || value === null || value === "") return [];
+            return (Array.isArray(value) ? value : [value]).filter(v => v !== null && v !== "").map(String);
+        };
+
+        for (const room of Array.isArray(outline.rooms) ? outline.rooms : []) {
+            if (!room || typeof room !== "object") continue;
+            if (room.id !== undefined && room.id !== null) room.id = String(room.id).trim();
+            if (room.level !== undefined && room.level !== null) room.level = String(room.level);
+            if (typeof room.approximateSize === "string") room.approximateSize = room.approximateSize.trim().toLowerCase();
+            room.features = list(room.features);
+            if ("hazards" in room) room.hazards = list(room.hazards);
+            if ("interactables" in room) room.interactables = list(room.interactables);
+        }
+        for (const level of Array.isArray(outline.levels) ? outline.levels : []) {
+            if (level?.id !== undefined && level?.id !== null) level.id = String(level.id).trim();
+            if (level && typeof level.elevation === "string") level.elevation = Number(level.elevation) || 0;
+        }
+        for (const connection of Array.isArray(outline.connections) ? outline.connections : []) {
+            if (Array.isArray(connection?.between)) connection.between = connection.between.map(id => String(id).trim());
+            if (typeof connection?.type === "string") connection.type = connection.type.trim().toLowerCase();
+        }
+        for (const stair of Array.isArray(outline.stairs) ? outline.stairs : []) {
+            if (stair?.from !== undefined) stair.from = String(stair.from);
+            if (stair?.to !== undefined) stair.to = String(stair.to);
+        }
+        return outline;
+    }
+
+    /**
+     * Check an outline against the schema and its cross-references.
+     * @param {Object} outline
+     * @returns {{valid: boolean, errors: string[]}} Human-readable errors, suitable for feeding back to the model
+     */
+    static validate(outline) {
+        const errors = [];
+        if (!outline || typeof outline !== "object" || Array.isArray(outline)) {
+            return { valid: false, errors: ["The outline must be a JSON object."] };
+        }
+
+        const text = (value) => typeof value === "string" && value.trim().length > 0;
+        const strings = (value) => Array.isArray(value) && value.every(v => typeof v === "string");
+
+        if (!text(outline.title)) errors.push(`"title" must be a non-empty string.`);
+        if (outline.description !== undefined && typeof outline.description !== "string") errors.push(`"description" must be a string.`);
+
+        // Levels
+        const levels = outline.levels === undefined ? [] : outline.levels;
+        const levelIds = new Set();
+        if (!Array.isArray(levels)) {
+            errors.push(`"levels" must be an array when present.`);
+        } else {
+            levels.forEach((level, i) => {
+                if (!text(level?.id)) return errors.push(`levels[${i}] needs a non-empty "id".`);
+                if (levelIds.has(level.id)) errors.push(`Level id "${level.id}" is used more than once.`);
+                levelIds.add(level.id);
+            });
+        }
+        const multiLevel = levelIds.size > 1;
+
+        // Rooms
+        const roomLevels = new Map();
+        if (!Array.isArray(outline.rooms) || outline.rooms.length === 0) {
+            errors.push(`"rooms" must be a non-empty array.`);
+        } else {
+            outline.rooms.forEach((room, i) => {
+                const where = text(room?.id) ? `Room "${room.id}"` : `rooms[${i}]`;
+                if (!room || typeof room !== "object") return errors.push(`rooms[${i}] must be an object.`);
+                if (!text(room.id)) {
+                    errors.push(`rooms[${i}] needs a non-empty "id".`);
+                } else if (roomLevels.has(room.id)) {
+                    errors.push(`Room id "${room.id}" is used more than once; ids must be unique.`);
+                } else if (room.id === this.OUTSIDE) {
+                    errors.push(`"${this.OUTSIDE}" is reserved for connections and can't be a room id.`);
+                } else {
+                    roomLevels.set(room.id, room.level === undefined ? null : String(room.level));
+                }
+                if (!text(room.name)) errors.push(`${where} needs a non-empty "name".`);
+                if (!text(room.readAloud)) errors.push(`${where} needs a non-empty "readAloud".`);
+                if (!text(room.atmosphere)) errors.push(`${where} needs a non-empty "atmosphere".`);
+                if (!strings(room.features) || room.features.length === 0) errors.push(`${where} needs "features" as a non-empty array of strings.`);
+                if (room.hazards !== undefined && !strings(room.hazards)) errors.push(`${where} "hazards" must be an array of strings.`);
+                if (room.interactables !== undefined && !strings(room.interactables)) errors.push(`${where} "interactables" must be an array of strings.`);
+                if (room.approximateSize !== undefined && !this.SIZES.includes(room.approximateSize)) {
+                    errors.push(`${where} "approximateSize" must be one of ${this.SIZES.join(", ")}.`);
+                }
+                if (multiLevel && !levelIds.has(String(room.level))) {
+                    errors.push(`${where} must have a "level" matching one of the level ids (${[...levelIds].join(", ")}).`);
+                }
+            });
+        }
+        const levelOf = (id) => multiLevel ? roomLevels.get(id) : "";
+
+        // Connections
+        if (outline.connections !== undefined) {
+            if (!Array.isArray(outline.connections)) {
+                errors.push(`"connections" must be an array.`);
+            } else {
+                outline.connections.forEach((c, i) => {
+                    const ids = Array.isArray(c?.between) ? c.between : null;
+                    if (!ids || ids.length !== 2) return errors.push(`connections[${i}] "between" must list exactly two ids.`);
+                    for (const id of ids) {
+                        if (id !== this.OUTSIDE && !roomLevels.has(id)) errors.push(`connections[${i}] refers to unknown room "${id}".`);
+                    }
+                    if (ids[0] === ids[1]) errors.push(`connections[${i}] connects "${ids[0]}" to itself.`);
+                    if (c.type !== undefined && !this.CONNECTION_TYPES.includes(c.type)) {
+                        errors.push(`connections[${i}] "type" must be one of ${this.CONNECTION_TYPES.join(", ")}.`);
+                    }
+                    const [a, b] = ids.filter(id => id !== this.OUTSIDE && roomLevels.has(id));
+                    if (a && b && levelOf(a) !== levelOf(b)) {
+                        errors.push(`connections[${i}] joins rooms on different levels; use "stairs" for that.`);
+                    }
+                });
+            }
+        }
+
+        // Stairs
+        if (outline.stairs !== undefined) {
+            if (!Array.isArray(outline.stairs)) {
+                errors.push(`"stairs" must be an array when present.`);
+            } else {
+                outline.stairs.forEach((s, i) => {
+                    for (const id of [s?.from, s?.to]) {
+                        if (!roomLevels.has(String(id))) errors.push(`stairs[${i}] refers to unknown room "${id}".`);
+                    }
+                    if (roomLevels.has(String(s?.from)) && roomLevels.has(String(s?.to)) && levelOf(String(s.from)) === levelOf(String(s.to))) {
+                        errors.push(`stairs[${i}] must connect rooms on different levels.`);
+                    }
+                });
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Bring an outline saved by an older version up to the current schema.
+     * Version 1 outlines keep their legacy `doors` list (read by the
+     * connection verifier); only their field shapes are normalized.
+     * @param {Object|null} outline
+     * @returns {Object|null} The migrated outline (a new object)
+     */
+    static migrate(outline) {
+        if (!outline || typeof outline !== "object") return outline;
+        const version = Number(outline.schemaVersion) || 1;
+        if (version > this.VERSION) {
+            console.warn(`OutlineSchema | Outline uses schema version ${version}, newer than ${this.VERSION}; loading it as-is.`);
+            return outline;
+        }
+        const migrated = this.normalize(foundry.utils.deepClone(outline));
+        if (version < this.VERSION) console.log(`OutlineSchema | Migrated outline from schema version ${version} to ${this.VERSION}.`);
+        return { ...migrated, schemaVersion: this.VERSION };
+    }
+}
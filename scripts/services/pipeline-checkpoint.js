@@ -0,0 +1,113 @@
+import { ScenePipeline } from "./pipeline.js";
+import { SceneBuilder } from "./scene-builder.js";
+
+/**
+ * Pipeline Checkpoint
+ * Keeps the last unfinished generation in client storage after every
+ * completed phase, so a reload or a failed phase doesn't cost the phases
+ * already paid for. Images are saved as files in the world's ai-scenes folder
+ * (the same files a later build reuses); only their paths are stored.
+ *
+ * There is one checkpoint per browser. It is cleared once a Scene is built.
+ */
+export class PipelineCheckpoint {
+    static SETTING = "checkpoint";
+
+    /** What each completed phase leaves the run ready for */
+    static PHASES = {
+        outline: "outline written",
+        svg: "layout drawn",
+        image: "map rendered"
+    };
+
+    /**
+     * Register the client setting that holds the checkpoint. Call during init.
+     */
+    static registerSettings() {
+        game.settings.register(SceneBuilder.FLAG_SCOPE, this.SETTING, {
+            scope: "client",
+            config: false,
+            type: Object,
+            default: null
+        });
+    }
+
+    /**
+     * Checkpoint a state after a completed phase. Image buffers not yet saved
+     * are uploaded and their paths recorded on the state itself.
+     * @param {Object} state - The pipeline state
+     * @param {string} phase - Key of PHASES for the phase just completed
+     * @returns {Promise<void>}
+     */
+    static async save(state, phase) {
+        try {
+            const builder = new SceneBuilder();
+            const title = state.outline?.title || "scene";
+            for (const target of [state, ...(state.levels || [])]) {
+                const name = target === state ? title : `${title}-${target.id}`;
+                if (target.imageBuffer && !target.imagePath) {
+                    target.imagePath = await builder._saveImageBuffer(target.imageBuffer, name);
+                }
+                if (target.layoutImageBuffer && !target.layoutImagePath) {
+                    target.layoutImagePath = await builder._saveImageBuffer(target.layoutImageBuffer, name + "-layout");
+                }
+            }
+            if (state.levels) {
+                state.imagePath = state.levels[0].imagePath;
+                state.layoutImagePath = state.levels[0].layoutImagePath;
+            }
+
+            await game.settings.set(SceneBuilder.FLAG_SCOPE, this.SETTING, {
+                phase,
+                savedAt: Date.now(),
+                state: ScenePipeline.serializeState(state)
+            });
+            console.log(`PipelineCheckpoint | Saved checkpoint (${this.PHASES[phase] || phase}).`);
+        } catch (e) {
+            // A failed checkpoint must never fail the generation itself
+            console.warn("PipelineCheckpoint | Could not save checkpoint:", e);
+        }
+    }
+
+    /**
+     * The stored checkpoint, if any.
+     * @returns {{phase: string, savedAt: number, state: Object}|null}
+     */
+    static load() {
+        const data = game.settings.get(SceneBuilder.FLAG_SCOPE, this.SETTING);
+        return data?.state ? data : null;
+    }
+
+    /**
+     * A short description of the stored checkpoint for the generator window.
+     * @returns {{title: string, progress: string, savedAt: string}|null}
+     */
+    static summary() {
+        const data = this.load();
+        if (!data) return null;
+        return {
+            title: data.state.outline?.title || data.state.userConcept || "Untitled scene",
+            progress: this.PHASES[data.phase] || data.phase,
+            savedAt: new Date(data.savedAt).toLocaleString()
+        };
+    }
+
+    /**
+     * Turn the stored checkpoint back into a pipeline state.
+     * @returns {Object|null} The restored state (images as saved file paths)
+     */
+    static restore() {
+        const data = this.load();
+        return data ? ScenePipeline.restoreState(data.state) : null;
+    }
+
+    /**
+     * Forget the stored checkpoint. Image files it saved are left in place.
+     * @returns {Promise<void>}
+     */
+    static async clear() {
+        if (!this.load()) return;
+        await game.settings.set(SceneBuilder.FLAG_SCOPE, this.SETTING, null);
+        console.log("PipelineCheckpoint | Cleared checkpoint.");
+    }
+}
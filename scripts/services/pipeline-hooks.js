@@ -0,0 +1,38 @@
+/**
+ * Pipeline Hooks
+ * Foundry hook events fired by the pipeline and SceneBuilder, whether a run
+ * comes from the generator window or the scripting API. Listeners get the
+ * live pipeline state and may modify it.
+ *
+ *   vibeSceneTwo.outlineGenerated (state, pipeline)  state.outline is new (generated or imported)
+ *   vibeSceneTwo.svgGenerated     (state, pipeline)  state.svg / state.levels[].svg are new and checked
+ *   vibeSceneTwo.imageGenerated   (state, pipeline)  state.imageBuffer / state.levels[].imageBuffer are new
+ *   vibeSceneTwo.preBuildScene    (state, {rebuild}) return false to stop the build
+ *   vibeSceneTwo.sceneBuilt       (scene, state)     the (first floor's) Scene was created or rebuilt
+ *
+ * Outside Foundry (the testing loop) there is no Hooks global and nothing fires.
+ */
+export class PipelineHooks {
+    static PREFIX = "vibeSceneTwo";
+
+    /**
+     * Fire a hook that listeners can veto by returning false.
+     * @param {string} event - Event name without the prefix
+     * @param {...*} args
+     * @returns {boolean} False if a listener returned false
+     */
+    static call(event, ...args) {
+        if (typeof Hooks === "undefined") return true;
+        return Hooks.call(`${this.PREFIX}.${event}`, ...args);
+    }
+
+    /**
+     * Fire a hook on every listener.
+     * @param {string} event - Event name without the prefix
+     * @param {...*} args
+     */
+    static callAll(event, ...args) {
+        if (typeof Hooks === "undefined") return;
+        Hooks.callAll(`${this.PREFIX}.${event}`, ...args);
+    }
+}
@@ -1,12 +1,27 @@
 import { SceneOutlineGenerator } from "./scene-outline-generator.js";
 import { SvgGenerator } from "./svg-generator.js";
 import { SceneImageGenerator } from "./image-generator.js";
+import { ConnectionVerifier } from "./connection-verifier.js";
+import { SvgLayoutLinter } from "./svg-layout-linter.js";
+import { ReverseOutlineGenerator } from "./reverse-outline-generator.js";
+import { UniversalVttImporter } from "./uvtt-importer.js";
+import { SvgLayoutImporter } from "./svg-layout-importer.js";
+import { OutlineSchema } from "./outline-schema.js";
+import { Cancellation } from "./cancellation.js";
+import { PipelineHooks } from "./pipeline-hooks.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
 
 /**
  * ScenePipeline
  * State machine / orchestrator for the multi-step scene generation process.
  */
 export class ScenePipeline {
+    /** Recorded in state.models so a reopened scene knows which pipeline rendered it */
+    static PIPELINE_TYPE = "standard";
+
+    /** Bumped when the shape of serialized state changes */
+    static STATE_VERSION = 1;
+
     constructor(apiKey) {
         // If running in Foundry, we grab the API key from vibe-common settings.
         // Otherwise (testing loop), it's passed in.
@@ -19,18 +34,14 @@ export class ScenePipeline {
         }
 
         this.apiKey = apiKey;
-        this.state = {
-            userConcept: "",
-            outline: null,
-            svg: null,
-            imageBuffer: null,
-            sceneId: null,
-            options: {}
-        };
+        this.state = ScenePipeline.emptyState();
+        /** @type {AbortSignal|null} Cancels the running phase; a cancelled phase leaves the state as it was */
+        this.abortSignal = null;
 
         this.outlineGenerator = new SceneOutlineGenerator(this.apiKey);
         this.svgGenerator = new SvgGenerator(this.apiKey);
         this.imageGenerator = new SceneImageGenerator(this.apiKey);
+        this.reverseOutlineGenerator = new ReverseOutlineGenerator(this.apiKey);
     }
 
     /**
@@ -38,11 +49,16 @@ export class ScenePipeline {
      */
     async generateOutline(userPrompt, options = {}) {
         console.log(`ScenePipeline | --- PHASE 1: Concept to Outline ---`);
-        this.state.userConcept = userPrompt;
-        this.state.options = options;
 
         try {
-            this.state.outline = await this.outlineGenerator.generateOutline(userPrompt);
+            const outline = await this.outlineGenerator.generateOutline(userPrompt, this.abortSignal);
+            // Set together, so a failed or cancelled run never pairs the new prompt with the old outline
+            this.state.userConcept = userPrompt;
+            this.state.options = options;
+            this.state.outline = outline;
+            // A new outline starts a new record of models
+            this.state.models = { outline: ProviderRegistry.modelLabel("outline") };
+            PipelineHooks.callAll("outlineGenerated", this.state, this);
             return this.state.outline;
         } catch (error) {
             console.error("ScenePipeline | Phase 1 Failed:", error);
@@ -50,6 +66,83 @@ export class ScenePipeline {
         }
     }
 
+    /**
+     * Start from an existing Universal VTT (.dd2vtt) map instead of Phases 1-3.
+     * Rooms and doors are detected from the file's walls and portals, the
+     * outline is written for them, and the file's image becomes the map.
+     * @param {Object|string} data - The Universal VTT file contents
+     * @param {string} [concept] - Optional idea for the scene to steer the outline
+     * @returns {Promise<Object>} The outline
+     */
+    async importUvtt(data, concept = "") {
+        console.log(`ScenePipeline | --- IMPORT: Universal VTT ---`);
+        const importer = new UniversalVttImporter();
+
+        try {
+            const layout = importer.parse(data);
+            const options = { ...this.state.options, gridSize: layout.gridSize };
+
+            const outline = await this.reverseOutlineGenerator.generateOutline({
+                spaces: layout.rooms,
+                connections: layout.connections,
+                columns: layout.width / layout.gridSize,
+                rows: layout.height / layout.gridSize
+            }, { concept, gridScale: options.gridScale, abortSignal: this.abortSignal });
+
+            // The previous run is replaced only once the import has succeeded
+            this.state = { ...ScenePipeline.emptyState(), userConcept: concept, options, outline };
+            this.state.svg = importer.toSvg(layout, this.state.outline);
+            this.state.imageBuffer = layout.image;
+            this.state.lights = layout.lights;
+            this.state.models = {
+                outline: ProviderRegistry.modelLabel("outline"),
+                image: "imported",
+                pipeline: this.constructor.PIPELINE_TYPE
+            };
+            PipelineHooks.callAll("outlineGenerated", this.state, this);
+            PipelineHooks.callAll("svgGenerated", this.state, this);
+            PipelineHooks.callAll("imageGenerated", this.state, this);
+            return this.state.outline;
+        } catch (error) {
+            console.error("ScenePipeline | Import failed:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start from a hand-drawn SVG floorplan instead of Phases 1-2.
+     * Room ids are assigned where missing, an outline is written for the
+     * drawn rooms, and the layout checks run as they do on generated SVGs.
+     * @param {string} svg - The SVG floorplan
+     * @param {string} [concept] - Optional idea for the scene to steer the outline
+     * @returns {Promise<Object>} The outline
+     */
+    async importSvg(svg, concept = "") {
+        console.log(`ScenePipeline | --- IMPORT: SVG layout ---`);
+
+        try {
+            const prepared = new SvgLayoutImporter().prepare(svg);
+            const options = { ...this.state.options };
+
+            const outline = await this.reverseOutlineGenerator.generateOutline(prepared, {
+                concept, gridScale: options.gridScale, abortSignal: this.abortSignal
+            });
+
+            // The previous run is replaced only once the import has succeeded
+            this.state = { ...ScenePipeline.emptyState(), userConcept: concept, options, outline };
+            this.state.svg = prepared.svg;
+            this.state.models = { outline: ProviderRegistry.modelLabel("outline"), svg: "imported" };
+            this.checkLayouts();
+            this.state.lintReport.fixes.unshift(...prepared.fixes);
+            PipelineHooks.callAll("outlineGenerated", this.state, this);
+            PipelineHooks.callAll("svgGenerated", this.state, this);
+            return this.state.outline;
+        } catch (error) {
+            console.error("ScenePipeline | SVG import failed:", error);
+            throw error;
+        }
+    }
+
     /**
      * Phase 2: Generate SVG Layout
      */
@@ -58,7 +151,26 @@ export class ScenePipeline {
         if (!this.state.outline) throw new Error("Missing outline for Phase 2");
 
         try {
-            this.state.svg = await this.svgGenerator.generateSvg(this.state.outline, this.state.options);
+            const levels = ScenePipeline.levelOutlines(this.state.outline);
+            if (levels.length > 1) {
+                // Redrawn floors keep their Scene, so Update Scene rebuilds them in place
+                const previous = new Map((this.state.levels || []).map(l => [l.id, l]));
+                const drawn = [];
+                for (const level of levels) {
+                    console.log(`ScenePipeline | Drawing level "${level.name}"...`);
+                    const svg = await this.svgGenerator.generateSvg(level.outline, this.state.options, this.abortSignal);
+                    drawn.push({ id: level.id, name: level.name, elevation: level.elevation, svg, sceneId: previous.get(level.id)?.sceneId ?? null });
+                }
+                this.state.levels = drawn;
+                this.state.svg = drawn[0].svg;
+            } else {
+                const svg = await this.svgGenerator.generateSvg(this.state.outline, this.state.options, this.abortSignal);
+                this.state.levels = null;
+                this.state.svg = svg;
+            }
+            this.state.models = { ...this.state.models, svg: ProviderRegistry.modelLabel("svg") };
+            this.checkLayouts();
+            PipelineHooks.callAll("svgGenerated", this.state, this);
             return this.state.svg;
         } catch (error) {
             console.error("ScenePipeline | Phase 2 Failed:", error);
@@ -66,6 +178,126 @@ export class ScenePipeline {
         }
     }
 
+    /**
+     * Run the layout checks on the SVG(s) before rendering: the linter first,
+     * then the connection verifier on the linted result.
+     */
+    checkLayouts() {
+        if (typeof DOMParser === "undefined") {
+            console.warn("ScenePipeline | Node environment detected, skipping layout checks.");
+            return;
+        }
+        this.lintLayouts();
+        this.verifyConnections();
+    }
+
+    /**
+     * Lint the SVG layout(s) against the prompt's layout rules, fixing what can
+     * be fixed unless options.lintLayout is false. The result is stored as
+     * {fixes, issues} on state.lintReport, and per floor on each level.
+     * @returns {Object} The (first floor's) lint report
+     */
+    lintLayouts() {
+        const linter = new SvgLayoutLinter();
+        const enabled = this.state.options?.lintLayout !== false;
+
+        for (const { target, outline } of this._layoutTargets()) {
+            const result = enabled ? linter.lint(outline, target.svg) : { svg: target.svg, fixes: [], issues: [] };
+            target.svg = result.svg;
+            target.lintReport = { fixes: result.fixes, issues: result.issues };
+        }
+        this._mirrorFirstLevel("lintReport");
+
+        const report = this.state.lintReport;
+        console.log(`ScenePipeline | Layout lint: ${report.fixes.length} fix(es), ${report.issues.length} issue(s).`);
+        return report;
+    }
+
+    /**
+     * Check the SVG layout(s) against the outline's connections before rendering.
+     * Missing doors, sealed rooms and doors to nowhere are repaired in the SVG
+     * unless options.repairConnections is false. The result is stored as
+     * {ok, issues, repairs} on state.connectionReport, and per floor on each level.
+     * @returns {Object} The (first floor's) connection report
+     */
+    verifyConnections() {
+        const verifier = new ConnectionVerifier();
+        const repair = this.state.options?.repairConnections !== false;
+
+        for (const { target, outline, anchors } of this._layoutTargets()) {
+            const result = repair
+                ? verifier.repair(outline, target.svg, { anchors })
+                : { svg: target.svg, repairs: [], report: verifier.verify(outline, target.svg, { anchors }) };
+            target.svg = result.svg;
+            target.connectionReport = {
+                ok: result.report?.ok ?? false,
+                issues: result.report?.issues ?? ["The SVG layout could not be parsed."],
+                repairs: result.repairs
+            };
+        }
+        this._mirrorFirstLevel("connectionReport");
+
+        const report = this.state.connectionReport;
+        console.log(`ScenePipeline | Connection check: ${report.issues.length} issue(s), ${report.repairs.length} repair(s).`);
+        return report;
+    }
+
+    /**
+     * Send the problems the layout checks couldn't fix back to the model for a
+     * corrected SVG, then check the new layout(s) again. Floors without
+     * remaining problems are left alone.
+     * @returns {Promise<number>} How many layouts were revised
+     */
+    async reviseSvg() {
+        console.log(`ScenePipeline | --- PHASE 2b: Revise SVG ---`);
+        let revised = 0;
+        try {
+            const revisions = [];
+            for (const { target, outline } of this._layoutTargets()) {
+                const issues = [...(target.lintReport?.issues || []), ...(target.connectionReport?.issues || [])];
+                if (issues.length === 0) continue;
+                revisions.push({ target, svg: await this.svgGenerator.reviseSvg(outline, target.svg, issues, this.abortSignal) });
+            }
+            for (const { target, svg } of revisions) target.svg = svg;
+            revised = revisions.length;
+            if (revised > 0) this.state.models = { ...this.state.models, svg: ProviderRegistry.modelLabel("svg") };
+            if (this.state.levels) this.state.svg = this.state.levels[0].svg;
+            this.checkLayouts();
+            if (revised > 0) PipelineHooks.callAll("svgGenerated", this.state, this);
+            return revised;
+        } catch (error) {
+            console.error("ScenePipeline | SVG revision failed:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * The objects holding each SVG layout (the state itself, or every level),
+     * with the outline to check it against and the rooms reachable by stairs.
+     * @returns {Array<{target: Object, outline: Object, anchors: string[]}>}
+     */
+    _layoutTargets() {
+        if (!this.state.levels) return [{ target: this.state, outline: this.state.outline, anchors: [] }];
+
+        const outlines = ScenePipeline.levelOutlines(this.state.outline);
+        // Rooms at either end of a staircase are reachable from another floor
+        const anchors = (this.state.outline.stairs || []).flatMap(s => [s.from, s.to]).map(String);
+        return this.state.levels.map(level => ({
+            target: level,
+            outline: outlines.find(l => l.id === level.id)?.outline || this.state.outline,
+            anchors
+        }));
+    }
+
+    /**
+     * Keep state.svg and a per-level report on the state in step with the first level.
+     */
+    _mirrorFirstLevel(reportKey) {
+        if (!this.state.levels) return;
+        this.state.svg = this.state.levels[0].svg;
+        this.state[reportKey] = this.state.levels[0][reportKey];
+    }
+
     /**
      * Phase 3: Generate Image Map
      */
@@ -74,10 +306,38 @@ export class ScenePipeline {
         if (!this.state.outline) throw new Error("Missing outline for Phase 3");
 
         try {
-            const finalPrompt = await this.imageGenerator.generateFinalPrompt(this.state.outline, this.state.options);
-            const result = await this.imageGenerator.generateImage(finalPrompt, this.state.svg, undefined, this.state.options);
-            this.state.imageBuffer = result.finalImage;
-            this.state.layoutImageBuffer = result.layoutImage;
+            if (this.state.levels) {
+                // Every floor is rendered before any is replaced, so a cancelled run leaves the old images
+                const outlines = ScenePipeline.levelOutlines(this.state.outline);
+                const results = [];
+                for (const level of this.state.levels) {
+                    Cancellation.check(this.abortSignal);
+                    console.log(`ScenePipeline | Rendering level "${level.name}"...`);
+                    const levelOutline = outlines.find(l => l.id === level.id)?.outline || this.state.outline;
+                    results.push(await this._generateLevelImage(levelOutline, level.svg));
+                }
+                this.state.levels.forEach((level, i) => {
+                    level.imageBuffer = results[i].finalImage;
+                    level.layoutImageBuffer = results[i].layoutImage;
+                    level.imagePath = null;
+                    level.layoutImagePath = null;
+                });
+                const [first] = this.state.levels;
+                this.state.imageBuffer = first.imageBuffer;
+                this.state.layoutImageBuffer = first.layoutImageBuffer;
+            } else {
+                const result = await this._generateLevelImage(this.state.outline, this.state.svg);
+                this.state.imageBuffer = result.finalImage;
+                this.state.layoutImageBuffer = result.layoutImage;
+            }
+            // New images need saving again on the next build, and bring no lights of their own
+            this.state.imagePath = null;
+            this.state.layoutImagePath = null;
+            this.state.lights = null;
+            // Models of an earlier render (perhaps by the other pipeline) are replaced
+            const { imagePrompt, image, inpaint, qa, ...earlier } = this.state.models || {};
+            this.state.models = { ...earlier, ...this._imageModels(), pipeline: this.constructor.PIPELINE_TYPE };
+            PipelineHooks.callAll("imageGenerated", this.state, this);
 
             return this.state.imageBuffer;
         } catch (error) {
@@ -86,6 +346,169 @@ export class ScenePipeline {
         }
     }
 
+    /**
+     * Render the image for a single floor.
+     * @param {Object} outline - Outline holding only this floor's rooms
+     * @param {string} svg - This floor's SVG layout
+     * @returns {Promise<{finalImage: string, layoutImage: string|null}>}
+     */
+    async _generateLevelImage(outline, svg) {
+        const finalPrompt = await this.imageGenerator.generateFinalPrompt(outline, this.state.options, this.abortSignal);
+        return this.imageGenerator.generateImage(finalPrompt, svg, this.abortSignal, this.state.options);
+    }
+
+    /**
+     * The Phase 3 models to record in state.models.
+     * @returns {Object}
+     */
+    _imageModels() {
+        return {
+            imagePrompt: ProviderRegistry.modelLabel("imagePrompt"),
+            image: this.imageGenerator.lastModel ?? null
+        };
+    }
+
+    /**
+     * A fresh, empty pipeline state.
+     * @returns {Object}
+     */
+    static emptyState() {
+        return {
+            userConcept: "",
+            outline: null,
+            svg: null,
+            imageBuffer: null,
+            // Per-floor artifacts for multi-level outlines (null for a single floor).
+            // svg/imageBuffer/layoutImageBuffer above always mirror the first level.
+            levels: null,
+            // Set by SceneBuilder once a Scene is built; lets "Update Scene" rebuild it in place.
+            sceneId: null,
+            // This run's entry in GenerationHistory, assigned when it is first recorded
+            historyId: null,
+            imagePath: null,
+            layoutImagePath: null,
+            // Which model ran each phase ({outline, svg, imagePrompt, image, inpaint, qa})
+            // and which pipeline rendered the images
+            models: null,
+            // Lights of an imported map, used instead of the per-room lights while its image is kept:
+            // [{x, y, range, color}] with x/y as fractions of the map and range in grid squares
+            lights: null,
+            // Layout lint of the SVG: {fixes, issues}
+            lintReport: null,
+            // Door/reachability check of the SVG layout: {ok, issues, repairs}
+            connectionReport: null,
+            // Rooms painted by an unfinished inpainting run, per layout; kept in memory only
+            inpaintProgress: null,
+            options: {}
+        };
+    }
+
+    /**
+     * A copy of the state that is safe to store in Scene flags: image buffers
+     * and unfinished inpainting progress are dropped (the saved file paths are
+     * kept instead).
+     * @param {Object} state - The pipeline state object
+     * @returns {Object}
+     */
+    static serializeState(state) {
+        const { imageBuffer, layoutImageBuffer, levels, inpaintProgress, ...rest } = state;
+        return foundry.utils.deepClone({
+            ...rest,
+            levels: levels?.map(({ imageBuffer, layoutImageBuffer, ...level }) => level) ?? null,
+            version: ScenePipeline.STATE_VERSION
+        });
+    }
+
+    /**
+     * Rebuild a pipeline state from serializeState() output.
+     * Image buffers come back as null; the builder and UI fall back to the stored paths.
+     * Outlines saved under an older outline schema are migrated.
+     * @param {Object} data - Serialized state from Scene flags
+     * @returns {Object}
+     */
+    static restoreState(data) {
+        const { version, ...rest } = foundry.utils.deepClone(data);
+        return {
+            ...ScenePipeline.emptyState(),
+            ...rest,
+            outline: OutlineSchema.migrate(rest.outline ?? null),
+            imageBuffer: null,
+            layoutImageBuffer: null,
+            levels: rest.levels?.map(level => ({ ...level, imageBuffer: null, layoutImageBuffer: null })) ?? null
+        };
+    }
+
+    /**
+     * Split an outline into one outline per floor.
+     * Rooms that sit at either end of a staircase get a feature naming where
+     * it leads, so the journals and image prompts mention it.
+     * @param {Object} outline - The full scene outline
+     * @returns {Array<{id: string, name: string, elevation: number, outline: Object}>}
+     *   A single entry wrapping the whole outline when it has fewer than two levels.
+     */
+    static levelOutlines(outline) {
+        const levels = Array.isArray(outline?.levels) ? outline.levels : [];
+        if (levels.length < 2) {
+            return [{ id: levels[0]?.id || "main", name: levels[0]?.name || outline?.title || "Main", elevation: 0, outline }];
+        }
+
+        const rooms = outline.rooms || [];
+        const roomById = new Map(rooms.map(r => [String(r.id), r]));
+        const levelOf = (room) => String(room?.level ?? levels[0].id);
+
+        const stairFeatures = new Map();
+        for (const stair of (outline.stairs || [])) {
+            const from = roomById.get(String(stair.from));
+            const to = roomById.get(String(stair.to));
+            if (!from || !to) continue;
+            if (!stairFeatures.has(from.id)) stairFeatures.set(from.id, []);
+            if (!stairFeatures.has(to.id)) stairFeatures.set(to.id, []);
+            stairFeatures.get(from.id).push(ScenePipeline.stairLabel(outline, stair, from, to));
+            stairFeatures.get(to.id).push(ScenePipeline.stairLabel(outline, stair, to, from));
+        }
+
+        return levels.map(level => {
+            const levelRooms = rooms
+                .filter(r => levelOf(r) === String(level.id))
+                .map(r => stairFeatures.has(r.id)
+                    ? { ...r, features: [...(r.features || []), ...stairFeatures.get(r.id)] }
+                    : r);
+            const ids = new Set(levelRooms.map(r => String(r.id)));
+            return {
+                id: String(level.id),
+                name: level.name || String(level.id),
+                elevation: Number(level.elevation) || 0,
+                outline: {
+                    ...outline,
+                    title: `${outline.title || "Scene"} — ${level.name || level.id}`,
+                    rooms: levelRooms,
+                    doors: (outline.doors || []).filter(d => (d.between || []).every(id => ids.has(String(id)))),
+                    connections: Array.isArray(outline.connections)
+                        ? outline.connections.filter(c => (c.between || []).every(id => id === ConnectionVerifier.OUTSIDE || ids.has(String(id))))
+                        : undefined,
+                    levels: undefined,
+                    stairs: undefined
+                }
+            };
+        });
+    }
+
+    /**
+     * Describe a staircase as seen from one of its ends, e.g. "Stairs down to Wine Cellar (Cellar)".
+     * @param {Object} outline - The full scene outline
+     * @param {Object} stair - Stair entry {from, to, type}
+     * @param {Object} here - Room the stair is seen from
+     * @param {Object} there - Room the stair leads to
+     */
+    static stairLabel(outline, stair, here, there) {
+        const levels = outline?.levels || [];
+        const levelOf = (room) => levels.find(l => String(l.id) === String(room?.level ?? levels[0]?.id));
+        const hereLevel = levelOf(here), thereLevel = levelOf(there);
+        const dir = (Number(thereLevel?.elevation) || 0) > (Number(hereLevel?.elevation) || 0) ? "up" : "down";
+        const kind = stair.type === "ladder" ? "Ladder" : "Stairs";
+        return `${kind} ${dir} to ${there.name || there.id} (${thereLevel?.name || there.level || "another level"})`;
+    }
+
     /**
      * Temporary run method for the testing loop to exercise flow sequentially
      */
@@ -0,0 +1,126 @@
+import { ModelRequest } from "./model-request.js";
+
+/**
+ * AI Provider
+ * Base class for the backends the pipeline can send model calls to. A
+ * provider implements some of four roles, each taking a model name (empty for
+ * the provider's default) and an optional AbortSignal:
+ *
+ *   text       generateText({model, prompt, responseSchema, temperature})  -> string
+ *   vision     analyzeImage({model, prompt, image, json})                  -> string
+ *   image      generateImage({model, prompt, referenceImage})              -> {image, model}
+ *   inpainting inpaint({model, image, mask, prompt})                       -> {image, model}
+ *
+ * Images are base64 strings without a data URL prefix; masks are white where
+ * the image should be painted. The returned model is the label recorded in
+ * state.models. See ProviderRegistry for how a phase picks its provider.
+ *
+ * HTTP calls go through _postJson(), which applies the shared request layer
+ * (ModelRequest) and throws ModelRequestError on failure.
+ */
+export class AiProvider {
+    /** Setting-friendly id, used as the "provider:" prefix in the model settings */
+    static ID = "";
+    static LABEL = "";
+
+    /** Roles this provider implements */
+    static ROLES = [];
+
+    /** Endpoint used when none is configured */
+    static DEFAULT_ENDPOINT = "";
+
+    /** Default request budget per model: calls at once, and calls per minute (0 for no limit) */
+    static LIMITS = { concurrency: 2, perMinute: 30 };
+
+    /** Per-attempt timeouts by role, in milliseconds */
+    static TIMEOUTS = {
+        text: 120000,
+        vision: 60000,
+        image: 180000,
+        inpainting: 180000
+    };
+
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.endpoint] - Base URL of the service
+     * @param {string} [config.apiKey] - Credential, if the service needs one
+     */
+    constructor({ endpoint, apiKey } = {}) {
+        this.endpoint = (endpoint || this.constructor.DEFAULT_ENDPOINT).replace(/\/+$/, "");
+        this.apiKey = apiKey || "";
+    }
+
+    /**
+     * @param {string} role
+     * @returns {boolean}
+     */
+    static supports(role) {
+        return this.ROLES.includes(role);
+    }
+
+    async generateText(request, signal) {
+        this._unsupported("text");
+    }
+
+    async analyzeImage(request, signal) {
+        this._unsupported("vision");
+    }
+
+    async generateImage(request, signal) {
+        this._unsupported("image");
+    }
+
+    async inpaint(request, signal) {
+        this._unsupported("inpainting");
+    }
+
+    /**
+     * The label recorded in state.models for a model this provider ran.
+     * @param {string} model
+     * @returns {string}
+     */
+    _modelLabel(model) {
+        return model ? `${this.constructor.ID}:${model}` : this.constructor.ID;
+    }
+
+    _unsupported(role) {
+        throw new Error(`${this.constructor.LABEL} does not support the ${role} role.`);
+    }
+
+    /**
+     * The request budget for a model. See ModelRequest.
+     * @param {string} model
+     * @returns {{concurrency: number, perMinute: number}}
+     */
+    limits(model) {
+        return this.constructor.LIMITS;
+    }
+
+    /**
+     * POST a JSON body through the shared request layer (budget, timeout and
+     * retries) and return the parsed JSON response.
+     * @param {string} url
+     * @param {Object} body
+     * @param {Object} options
+     * @param {string} options.role - The role being served, which sets the timeout
+     * @param {string} [options.model] - The model, which picks the budget
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {AbortSignal} [options.signal]
+     * @param {string} [options.label] - Name used in error messages
+     * @returns {Promise<Object>}
+     */
+    _postJson(url, body, { role, model = "", headers = {}, signal, label = this.constructor.LABEL }) {
+        return ModelRequest.postJson(url, body, { headers, signal, label, ...this._requestOptions(role, model) });
+    }
+
+    /**
+     * Budget key, limits and timeout for a call.
+     */
+    _requestOptions(role, model) {
+        return {
+            key: `${this.constructor.ID}:${model || "default"}`,
+            limits: this.limits(model),
+            timeoutMs: this.constructor.TIMEOUTS[role] ?? AiProvider.TIMEOUTS[role]
+        };
+    }
+}
@@ -0,0 +1,87 @@
+import { AiProvider } from "./ai-provider.js";
+
+/**
+ * Automatic1111 Provider
+ * A local Stable Diffusion server with the Automatic1111 web UI API
+ * (/sdapi/v1/txt2img and /img2img), which Forge and SD.Next also serve.
+ * Start it with --api. The model is a checkpoint name; without one the
+ * server's loaded checkpoint is used. The credential, if the server was
+ * started with --api-auth, is "user:password". ComfyUI's workflow API is not
+ * supported.
+ */
+export class Automatic1111Provider extends AiProvider {
+    static ID = "a1111";
+    static LABEL = "Automatic1111";
+    static ROLES = ["image", "inpainting"];
+    static DEFAULT_ENDPOINT = "http://127.0.0.1:7860";
+
+    /** One GPU renders one image at a time; a local server has no rate limit */
+    static LIMITS = { concurrency: 1, perMinute: 0 };
+
+    /** Local renders queue behind each other and can be slow on small GPUs */
+    static TIMEOUTS = { image: 600000, inpainting: 600000 };
+
+    /** Shared by every request */
+    static BASE_PARAMS = {
+        width: 1024,
+        height: 1024,
+        steps: 30,
+        cfg_scale: 7,
+        negative_prompt: "isometric, perspective, 3d, roof, text, watermark, blurry"
+    };
+
+    /** How far a render may stray from the layout reference (0 keeps it, 1 ignores it) */
+    static LAYOUT_DENOISE = 0.75;
+
+    /** How far a painted room may stray from the dark base canvas */
+    static INPAINT_DENOISE = 0.9;
+
+    async generateImage({ model, prompt, referenceImage = null }, signal) {
+        if (!referenceImage) {
+            const data = await this._run("txt2img", "image", model, { prompt }, signal);
+            return { image: data, model: this._modelLabel(model) };
+        }
+
+        const data = await this._run("img2img", "image", model, {
+            prompt,
+            init_images: [referenceImage],
+            denoising_strength: Automatic1111Provider.LAYOUT_DENOISE
+        }, signal);
+        return { image: data, model: this._modelLabel(model) };
+    }
+
+    async inpaint({ model, image, mask, prompt }, signal) {
+        const data = await this._run("img2img", "inpainting", model, {
+            prompt,
+            init_images: [image],
+            mask,
+            mask_blur: 4,
+            inpainting_fill: 1,          // start from the original pixels
+            inpaint_full_res: false,
+            inpainting_mask_invert: 0,   // white = paint, as our masks are
+            denoising_strength: Automatic1111Provider.INPAINT_DENOISE
+        }, signal);
+        return { image: data, model: this._modelLabel(model) };
+    }
+
+    async _run(mode, role, model, params, signal) {
+        const body = { ...Automatic1111Provider.BASE_PARAMS, ...params };
+        if (model) body.override_settings = { sd_model_checkpoint: model };
+
+        const headers = this.apiKey ? { Authorization: `Basic ${btoa(this.apiKey)}` } : {};
+        const data = await this._postJson(`${this.endpoint}/sdapi/v1/${mode}`, body, {
+            role,
+            model,
+            headers,
+            signal,
+            label: `${this.constructor.LABEL} ${mode} API`
+        });
+        const b64 = data?.images?.[0];
+        if (!b64) {
+            console.error("Automatic1111Provider | Raw response:", data);
+            throw new Error(`No image data returned from ${mode} API call.`);
+        }
+        // Some builds prefix a data URL
+        return b64.replace(/^data:image\/\w+;base64,/, "");
+    }
+}
@@ -0,0 +1,156 @@
+import { AiProvider } from "./ai-provider.js";
+import { ModelRequestError } from "./model-request-error.js";
+
+/**
+ * Gemini Provider
+ * Google's Gemini and Imagen models through the REST API, with the key from
+ * vibe-common. Every call goes through ModelRequest, so cancelling or timing
+ * out aborts the HTTP request itself.
+ */
+export class GeminiProvider extends AiProvider {
+    static ID = "gemini";
+    static LABEL = "Gemini";
+    static ROLES = ["text", "vision", "image", "inpainting"];
+    static DEFAULT_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta";
+
+    /** Default model for the text role */
+    static TEXT_MODEL = "gemini-2.5-flash";
+
+    /** Image model used when the render has no layout reference */
+    static IMAGEN_MODEL = "imagen-4.0-generate-001";
+
+    /** Default model for the vision (quality check) role */
+    static VISION_MODEL = "gemini-2.5-flash-lite";
+
+    /** Image models have far smaller quotas than text models */
+    static IMAGE_LIMITS = { concurrency: 1, perMinute: 10 };
+
+    async generateText({ model, prompt, responseSchema = null, temperature }, signal) {
+        const generationConfig = {};
+        if (temperature !== undefined) generationConfig.temperature = temperature;
+        if (responseSchema) {
+            generationConfig.responseMimeType = "application/json";
+            generationConfig.responseSchema = responseSchema;
+        }
+        const data = await this._generateContent(model || GeminiProvider.TEXT_MODEL, [{ text: prompt }], generationConfig, { role: "text", signal, label: "Gemini API" });
+        return this._text(data, "Gemini API");
+    }
+
+    async analyzeImage({ model, prompt, image, json = false }, signal) {
+        const generationConfig = { temperature: 0.1 };
+        if (json) generationConfig.response_mime_type = "application/json";
+        const parts = [
+            { text: prompt },
+            { inline_data: { mime_type: "image/jpeg", data: image } }
+        ];
+        const data = await this._generateContent(model || GeminiProvider.VISION_MODEL, parts, generationConfig, { role: "vision", signal, label: "Gemini Vision API" });
+        return this._text(data, "Gemini Vision API");
+    }
+
+    async generateImage({ model, prompt, referenceImage = null }, signal) {
+        if (referenceImage) {
+            model ||= this._guidedModel();
+            if (!model.startsWith("imagen")) {
+                console.log(`GeminiProvider | Attaching converted SVG as reference image to ${model}.`);
+                const parts = [
+                    { text: prompt },
+                    { inline_data: { mime_type: "image/jpeg", data: referenceImage } }
+                ];
+                const data = await this._generateContent(model, parts, null, { role: "image", signal, label: "Gemini Image API" });
+                return { image: this._imageData(data, "Gemini Image API"), model };
+            }
+            console.warn(`GeminiProvider | ${model} takes no reference image; the layout will not guide the render.`);
+        }
+
+        model ||= GeminiProvider.IMAGEN_MODEL;
+        console.log(`GeminiProvider | Requesting image from ${model}`);
+        const data = await this._postJson(`${this.endpoint}/models/${model}:predict?key=${this.apiKey}`, {
+            instances: [{ prompt }],
+            parameters: {
+                sampleCount: 1,
+                aspectRatio: "1:1",
+                personGeneration: "ALLOW_ADULT"
+            }
+        }, { role: "image", model, signal, label: "Gemini Image API" });
+
+        const b64 = data?.predictions?.[0]?.bytesBase64Encoded;
+        // Imagen answers a filtered prompt with no predictions, or with only a filter reason
+        const filtered = data?.predictions?.[0]?.raiFilteredReason || (!data?.predictions?.length && "no image returned");
+        if (!b64 && filtered) throw new ModelRequestError("safety", `Gemini Image API blocked the request (${filtered}).`);
+        if (!b64) {
+            console.error("GeminiProvider | Raw response:", data);
+            throw new Error("No image data returned from image generation API.");
+        }
+        return { image: b64, model };
+    }
+
+    async inpaint({ model, image, mask, prompt }, signal) {
+        model ||= this._guidedModel();
+        const parts = [
+            { text: prompt },
+            { inline_data: { mime_type: "image/jpeg", data: image } },
+            { inline_data: { mime_type: "image/jpeg", data: mask } }
+        ];
+        const data = await this._generateContent(model, parts, { response_modalities: ["IMAGE", "TEXT"] }, { role: "inpainting", signal, label: "Gemini Inpaint API" });
+        return { image: this._imageData(data, "Gemini Inpaint API"), model };
+    }
+
+    limits(model) {
+        return /image|^imagen/.test(model) ? GeminiProvider.IMAGE_LIMITS : GeminiProvider.LIMITS;
+    }
+
+    _modelLabel(model) {
+        // Gemini runs predate providers; their state.models entries are bare model names
+        return model;
+    }
+
+    /**
+     * The image model picked in vibe-common's settings, for renders guided by a reference image.
+     */
+    _guidedModel() {
+        let guidedModel = "gemini-2.5-flash-image";
+        if (typeof game !== "undefined") {
+            try {
+                const setting = game.settings.get("vibe-common", "imageGenerationModel");
+                if (setting === "gemini-3-pro-image-preview") {
+                    guidedModel = "gemini-3-pro-image-preview";
+                }
+            } catch (e) {
+                console.warn("GeminiProvider | Could not fetch imageGenerationModel setting, defaulting.");
+            }
+        }
+        return guidedModel;
+    }
+
+    async _generateContent(model, parts, generationConfig, { role, signal, label }) {
+        const body = { contents: [{ parts }] };
+        if (generationConfig) body.generationConfig = generationConfig;
+        return this._postJson(`${this.endpoint}/models/${model}:generateContent?key=${this.apiKey}`, body, { role, model, signal, label });
+    }
+
+    _text(data, label) {
+        this._checkBlocked(data, label);
+        return (data?.candidates?.[0]?.content?.parts || []).map(p => p.text || "").join("");
+    }
+
+    _imageData(data, label) {
+        this._checkBlocked(data, label);
+        // The model may return text parts alongside the image
+        for (const part of (data?.candidates?.[0]?.content?.parts || [])) {
+            const b64 = part?.inlineData?.data || part?.inline_data?.data;
+            if (b64) return b64;
+        }
+        console.error(`GeminiProvider | Raw ${label} response:`, data);
+        throw new Error(`No image data returned from ${label}.`);
+    }
+
+    /**
+     * Blocked prompts and responses come back as 200s with a block or finish reason.
+     */
+    _checkBlocked(data, label) {
+        const reason = data?.promptFeedback?.blockReason || data?.candidates?.[0]?.finishReason;
+        if (reason && ModelRequestError.SAFETY_PATTERN.test(reason)) {
+            throw new ModelRequestError("safety", `${label} blocked the request (${reason}).`);
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Model Request Error
+ * A failed model call, classified so the pipeline knows whether to retry and
+ * the UI can say what went wrong in plain words.
+ */
+export class ModelRequestError extends Error {
+    /** Kinds of failure, with what the progress window shows for each */
+    static KINDS = {
+        quota: {
+            title: "Rate limit or quota reached",
+            hint: "The provider refused more requests for now. Wait a few minutes, or check the plan's quota.",
+            icon: "fa-hourglass-half",
+            retryable: true
+        },
+        billing: {
+            title: "Out of credits",
+            hint: "The account has no quota or credits left, so retrying won't help. Check its billing or plan.",
+            icon: "fa-credit-card",
+            retryable: false
+        },
+        safety: {
+            title: "Blocked by the safety filter",
+            hint: "The provider refused the content. Reword the concept or the room descriptions and try again.",
+            icon: "fa-shield-halved",
+            retryable: false
+        },
+        badRequest: {
+            title: "Request rejected",
+            hint: "Check the model name, endpoint and API key in the module settings.",
+            icon: "fa-circle-exclamation",
+            retryable: false
+        },
+        server: {
+            title: "Provider unavailable",
+            hint: "The service kept failing after several retries. Try again later.",
+            icon: "fa-server",
+            retryable: true
+        },
+        network: {
+            title: "Could not reach the provider",
+            hint: "Check the connection, or that the local server is running and its endpoint is right.",
+            icon: "fa-plug-circle-xmark",
+            retryable: true
+        }
+    };
+
+    /** Error codes that mean the account is out of quota or credits */
+    static BILLING_PATTERN = /insufficient_quota|billing_hard_limit_reached|billing_not_active/i;
+
+    /** Error codes and reasons that mean the content was refused */
+    static SAFETY_PATTERN = /SAFETY|PROHIBITED_CONTENT|BLOCKLIST|content_policy|content_filter|moderation_blocked|safety_violation/i;
+
+    /**
+     * @param {string} kind - Key of KINDS
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status, if there was a response
+     * @param {number|null} [details.retryAfterMs] - Delay the server asked for
+     */
+    constructor(kind, message, { status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = "ModelRequestError";
+        this.kind = ModelRequestError.KINDS[kind] ? kind : "badRequest";
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return ModelRequestError.KINDS[this.kind].retryable;
+    }
+
+    get title() {
+        return ModelRequestError.KINDS[this.kind].title;
+    }
+
+    get hint() {
+        return ModelRequestError.KINDS[this.kind].hint;
+    }
+
+    get icon() {
+        return ModelRequestError.KINDS[this.kind].icon;
+    }
+
+    /**
+     * Classify an HTTP error response.
+     * @param {Response} resp
+     * @param {Object|null} data - The parsed body, if it was JSON
+     * @param {string} label - Name of the API for the message
+     * @returns {ModelRequestError}
+     */
+    static fromResponse(resp, data, label) {
+        const status = resp.status;
+        const raw = data?.error?.message || data?.error || data?.detail || resp.statusText;
+        const message = typeof raw === "string" ? raw : JSON.stringify(raw);
+        const code = [data?.error?.status, data?.error?.code, data?.error?.type].filter(Boolean).join(" ");
+
+        let kind = "badRequest";
+        // OpenAI sends an exhausted balance as a 429 too, but waiting won't refill it
+        if (this.BILLING_PATTERN.test(code)) kind = "billing";
+        else if (status === 429 || /RESOURCE_EXHAUSTED|rate_limit/i.test(code)) kind = "quota";
+        else if (this.SAFETY_PATTERN.test(code) || this.SAFETY_PATTERN.test(message)) kind = "safety";
+        else if (status >= 500 || status === 408) kind = "server";
+
+        const retryAfterMs = this._parseRetryAfter(resp.headers?.get?.("Retry-After")) ?? this._retryDelay(data);
+        return new ModelRequestError(kind, `${label} error ${status}: ${message}`, { status, retryAfterMs });
+    }
+
+    /**
+     * Classify any error thrown by a model call. Aborts and errors already
+     * classified pass through, as do TypeErrors: unreachable servers are
+     * classified where fetch() is called, so any other TypeError is a bug and
+     * must not be retried. Other errors are classified from their message.
+     * @param {*} error
+     * @returns {*}
+     */
+    static from(error) {
+        if (error instanceof ModelRequestError || error instanceof TypeError || error?.name === "AbortError") return error;
+
+        const message = String(error?.message ?? error);
+        if (this.BILLING_PATTERN.test(message)) return new ModelRequestError("billing", message);
+        if (/\b429\b|RESOURCE_EXHAUSTED|quota|rate.?limit/i.test(message)) return new ModelRequestError("quota", message);
+        if (this.SAFETY_PATTERN.test(message)) return new ModelRequestError("safety", message);
+        if (/\b50[0234]\b|UNAVAILABLE|overloaded/i.test(message)) return new ModelRequestError("server", message);
+        if (/failed to fetch|network/i.test(message)) return new ModelRequestError("network", message);
+        return error;
+    }
+
+    /**
+     * A Retry-After header (seconds or an HTTP date) in milliseconds.
+     */
+    static _parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * The retryDelay Google APIs put in a RetryInfo error detail, in milliseconds.
+     */
+    static _retryDelay(data) {
+        const info = (data?.error?.details || []).find(d => d?.retryDelay);
+        const seconds = parseFloat(info?.retryDelay);
+        return Number.isFinite(seconds) ? seconds * 1000 : null;
+    }
+}
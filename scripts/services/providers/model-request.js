@@ -0,0 +1,236 @@
+import { Cancellation } from "../cancellation.js";
+import { ModelRequestError } from "./model-request-error.js";
+
+/**
+ * Request Budget
+ * Concurrency slots and a sliding one-minute rate window for one model.
+ */
+class RequestBudget {
+    constructor({ concurrency = 1, perMinute = 0 } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.perMinute = perMinute;
+        this.active = 0;
+        this.starts = [];
+        this.waiters = new Set();
+    }
+
+    /**
+     * Wait for a free slot within the rate window.
+     * @param {AbortSignal} [signal]
+     * @param {Function} [onThrottle] - Called once with the wait, when the rate window makes the call wait
+     * @returns {Promise<Function>} Releases the slot
+     */
+    async acquire(signal, onThrottle) {
+        let reported = false;
+        while (true) {
+            Cancellation.check(signal);
+            const now = Date.now();
+            this.starts = this.starts.filter(t => now - t < 60000);
+            const rateWait = this.perMinute && this.starts.length >= this.perMinute ? 60000 - (now - this.starts[0]) : 0;
+
+            if (this.active < this.concurrency && rateWait <= 0) {
+                this.active++;
+                this.starts.push(now);
+                let released = false;
+                return () => {
+                    if (released) return;
+                    released = true;
+                    this.active--;
+                    this._wake();
+                };
+            }
+
+            if (rateWait > 0 && !reported) {
+                reported = true;
+                onThrottle?.(rateWait);
+            }
+            await this._wait(rateWait, signal);
+        }
+    }
+
+    /**
+     * Sleep until a slot is released, the rate window moves or the signal fires.
+     */
+    _wait(ms, signal) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                this.waiters.delete(done);
+                signal?.removeEventListener("abort", done);
+                resolve();
+            };
+            const timer = ms > 0 ? setTimeout(done, ms) : null;
+            this.waiters.add(done);
+            signal?.addEventListener("abort", done, { once: true });
+        });
+    }
+
+    _wake() {
+        for (const done of [...this.waiters]) done();
+    }
+}
+
+/**
+ * Model Request
+ * The shared layer every provider call goes through. Each model has a budget
+ * of concurrent calls and calls per minute; calls wait their turn, time out,
+ * and retry with exponential backoff (or the server's Retry-After) on rate
+ * limits, server errors and network failures. Failures surface as
+ * ModelRequestError.
+ *
+ * Listeners added with subscribe() hear about retries and throttling, so
+ * the progress window can say why a phase is waiting.
+ */
+export class ModelRequest {
+    /** Retries after the first attempt */
+    static MAX_RETRIES = 4;
+    static BASE_DELAY_MS = 1000;
+    static MAX_DELAY_MS = 30000;
+
+    /** A server asking to wait longer than this fails the call instead */
+    static MAX_RETRY_AFTER_MS = 60000;
+
+    /** @type {Map<string, RequestBudget>} By "provider:model" */
+    static budgets = new Map();
+
+    /** @type {Set<Function>} */
+    static listeners = new Set();
+
+    /**
+     * Listen for retry and throttle events:
+     *   {type: "retry", label, error, attempt, maxAttempts, delayMs}
+     *   {type: "throttle", label, delayMs}
+     * @param {Function} listener
+     * @returns {Function} Removes the listener
+     */
+    static subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Run a model call within its model's budget, with a timeout and retries.
+     * @template T
+     * @param {(signal: AbortSignal) => Promise<T>} call - Makes one attempt; must honour the signal
+     * @param {Object} options
+     * @param {string} options.key - Budget key, "provider:model"
+     * @param {{concurrency: number, perMinute: number}} options.limits - The budget, used when the key is first seen
+     * @param {number} options.timeoutMs - Per attempt
+     * @param {AbortSignal} [options.signal] - Cancels the call, including waits
+     * @param {string} options.label - Name of the API for messages
+     * @returns {Promise<T>}
+     */
+    static async run(call, { key, limits, timeoutMs, signal, label }) {
+        if (!this.budgets.has(key)) this.budgets.set(key, new RequestBudget(limits));
+        const budget = this.budgets.get(key);
+        const maxAttempts = 1 + this.MAX_RETRIES;
+
+        for (let attempt = 1; ; attempt++) {
+            const release = await budget.acquire(signal, (delayMs) => {
+                console.log(`ModelRequest | ${label}: pacing requests, waiting ${Math.ceil(delayMs / 1000)}s.`);
+                this._emit({ type: "throttle", label, delayMs });
+            });
+
+            let error;
+            try {
+                return await this._attempt(call, timeoutMs, signal, label);
+            } catch (e) {
+                error = ModelRequestError.from(e);
+            } finally {
+                release();
+            }
+
+            if (Cancellation.isAbort(error) || !error.retryable || attempt >= maxAttempts) throw error;
+            const delayMs = this._backoff(error, attempt);
+            if (delayMs === null) throw error;
+
+            console.warn(`ModelRequest | ${label}: ${error.message} Retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1}/${maxAttempts}).`);
+            this._emit({ type: "retry", label, error, attempt: attempt + 1, maxAttempts, delayMs });
+            await this._sleep(delayMs, signal);
+        }
+    }
+
+    /**
+     * POST a JSON body through run() and return the parsed JSON response.
+     * @param {string} url
+     * @param {Object} body
+     * @param {Object} options - As for run(), plus headers
+     * @param {Object} [options.headers] - Extra request headers
+     * @returns {Promise<Object>}
+     */
+    static postJson(url, body, { headers = {}, ...options }) {
+        return this.run(async (signal) => {
+            let resp;
+            try {
+                resp = await fetch(url, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", ...headers },
+                    body: JSON.stringify(body),
+                    signal
+                });
+            } catch (e) {
+                // fetch() rejects with a TypeError when the server can't be reached
+                if (e instanceof TypeError) throw new ModelRequestError("network", `${options.label} could not be reached: ${e.message}`);
+                throw e;
+            }
+            const data = await resp.json().catch(() => null);
+            if (!resp.ok) throw ModelRequestError.fromResponse(resp, data, options.label);
+            if (data === null) throw new ModelRequestError("server", `${options.label} returned a response that is not JSON.`, { status: resp.status });
+            return data;
+        }, options);
+    }
+
+    /**
+     * One attempt, cut off after timeoutMs. A timeout is a network error; the
+     * caller's own abort passes through as an AbortError.
+     */
+    static async _attempt(call, timeoutMs, signal, label) {
+        const timeout = AbortSignal.timeout(timeoutMs);
+        const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+        try {
+            return await Cancellation.race(call(combined), combined);
+        } catch (e) {
+            if (timeout.aborted && !signal?.aborted) {
+                throw new ModelRequestError("network", `${label} did not answer within ${Math.round(timeoutMs / 1000)}s.`);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Milliseconds to wait before the next attempt, or null to give up.
+     */
+    static _backoff(error, attempt) {
+        if (error.retryAfterMs != null) {
+            return error.retryAfterMs > this.MAX_RETRY_AFTER_MS ? null : error.retryAfterMs;
+        }
+        const exponential = Math.min(this.MAX_DELAY_MS, this.BASE_DELAY_MS * 2 ** (attempt - 1));
+        // Jitter keeps parallel callers from retrying in lockstep
+        return Math.round(exponential * (0.75 + Math.random() * 0.5));
+    }
+
+    static _sleep(ms, signal) {
+        Cancellation.check(signal);
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener("abort", onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    static _emit(event) {
+        for (const listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (e) {
+                console.warn("ModelRequest | Listener failed:", e);
+            }
+        }
+    }
+}
@@ -0,0 +1,85 @@
+import { AiProvider } from "./ai-provider.js";
+import { ModelRequestError } from "./model-request-error.js";
+
+/**
+ * OpenAI-Compatible Provider
+ * Any server speaking OpenAI's /chat/completions and /images/generations
+ * APIs: OpenAI itself, or local servers such as Ollama, LM Studio, vLLM and
+ * llama.cpp. The layout reference and masked edits have no portable
+ * equivalent there, so renders are prompt-only and inpainting is not offered.
+ */
+export class OpenAiCompatibleProvider extends AiProvider {
+    static ID = "openai";
+    static LABEL = "OpenAI-compatible";
+    static ROLES = ["text", "vision", "image"];
+    static DEFAULT_ENDPOINT = "https://api.openai.com/v1";
+
+    async generateText({ model, prompt, responseSchema = null, temperature }, signal) {
+        return this._chat(model, prompt, { role: "text", json: !!responseSchema, temperature }, signal);
+    }
+
+    async analyzeImage({ model, prompt, image, json = false }, signal) {
+        const content = [
+            { type: "text", text: prompt },
+            { type: "image_url", image_url: { url: `data:image/jpeg;base64,${image}` } }
+        ];
+        return this._chat(model, content, { role: "vision", json, temperature: 0.1 }, signal);
+    }
+
+    async generateImage({ model, prompt, referenceImage = null }, signal) {
+        this._requireModel(model, "image");
+        if (referenceImage) {
+            console.warn(`OpenAiCompatibleProvider | ${model} takes no reference image; the layout will not guide the render.`);
+        }
+
+        const body = { model, prompt, n: 1, size: "1024x1024" };
+        // gpt-image models always answer in base64 and reject the parameter
+        if (!model.startsWith("gpt-image")) body.response_format = "b64_json";
+
+        const data = await this._postJson(`${this.endpoint}/images/generations`, body, {
+            role: "image",
+            model,
+            headers: this._headers(),
+            signal,
+            label: `${this.constructor.LABEL} image API`
+        });
+        const b64 = data?.data?.[0]?.b64_json;
+        if (!b64) {
+            console.error("OpenAiCompatibleProvider | Raw response:", data);
+            throw new Error("No image data returned from image generation API.");
+        }
+        return { image: b64, model: this._modelLabel(model) };
+    }
+
+    async _chat(model, content, { role, json, temperature }, signal) {
+        this._requireModel(model, role);
+        const body = { model, messages: [{ role: "user", content }] };
+        if (temperature !== undefined) body.temperature = temperature;
+        if (json) body.response_format = { type: "json_object" };
+
+        const data = await this._postJson(`${this.endpoint}/chat/completions`, body, {
+            role,
+            model,
+            headers: this._headers(),
+            signal,
+            label: `${this.constructor.LABEL} chat API`
+        });
+        if (data?.choices?.[0]?.finish_reason === "content_filter") {
+            throw new ModelRequestError("safety", `${this.constructor.LABEL} chat API blocked the response (content_filter).`);
+        }
+        const text = data?.choices?.[0]?.message?.content;
+        if (typeof text !== "string") {
+            console.error("OpenAiCompatibleProvider | Raw response:", data);
+            throw new Error("No text returned from chat completion API.");
+        }
+        return text;
+    }
+
+    _headers() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    _requireModel(model, role) {
+        if (!model) throw new Error(`${this.constructor.LABEL} needs a model name for the ${role} role (e.g. "openai:gpt-4o-mini").`);
+    }
+}
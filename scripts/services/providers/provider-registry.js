@@ -0,0 +1,174 @@
+import { GeminiProvider } from "./gemini-provider.js";
+import { OpenAiCompatibleProvider } from "./openai-compatible-provider.js";
+import { Automatic1111Provider } from "./automatic1111-provider.js";
+
+const SCOPE = "vibe-scene-two";
+
+/**
+ * Provider Registry
+ * Picks the provider and model for each pipeline phase. Every phase has a
+ * client setting holding "provider:model" (e.g. "openai:llama3.1:8b" or
+ * "a1111:sd_xl_base_1.0"); a bare model name means Gemini, and an empty
+ * setting keeps the built-in Gemini defaults. Settings are per browser, so a
+ * GM can point phases at servers on their own machine.
+ *
+ * Other modules can add backends with register(); see AiProvider for the
+ * interface.
+ */
+export class ProviderRegistry {
+    /** Pipeline phases and the provider role each one needs */
+    static PHASES = {
+        outline: { role: "text", label: "Outline" },
+        svg: { role: "text", label: "SVG layout" },
+        imagePrompt: { role: "text", label: "Image prompt" },
+        image: { role: "image", label: "Map image" },
+        inpaint: { role: "inpainting", label: "Inpainting" },
+        qa: { role: "vision", label: "Inpainting quality check" }
+    };
+
+    /** @type {Map<string, typeof import("./ai-provider.js").AiProvider>} */
+    static providers = new Map([GeminiProvider, OpenAiCompatibleProvider, Automatic1111Provider].map(p => [p.ID, p]));
+
+    /** Connection settings passed to register(), by provider id */
+    static configs = new Map();
+
+    /**
+     * Register the phase and connection settings. Call during init.
+     */
+    static registerSettings() {
+        const ids = [...this.providers.keys()].join(", ");
+        for (const [phase, { role, label }] of Object.entries(this.PHASES)) {
+            const capable = [...this.providers.values()].filter(p => p.supports(role)).map(p => p.ID).join(", ");
+            game.settings.register(SCOPE, this.settingKey(phase), {
+                name: `Model: ${label}`,
+                hint: `"provider:model" for the ${role} role (providers able to: ${capable}). A bare model name uses Gemini; leave empty for the default.`,
+                scope: "client",
+                config: true,
+                type: String,
+                default: ""
+            });
+        }
+
+        game.settings.register(SCOPE, "openaiEndpoint", {
+            name: "OpenAI-compatible endpoint",
+            hint: `Base URL ending in /v1, e.g. http://localhost:11434/v1 for Ollama. Empty for ${OpenAiCompatibleProvider.DEFAULT_ENDPOINT}.`,
+            scope: "client",
+            config: true,
+            type: String,
+            default: ""
+        });
+        game.settings.register(SCOPE, "openaiApiKey", {
+            name: "OpenAI-compatible API key",
+            hint: "Leave empty for local servers that need none.",
+            scope: "client",
+            config: true,
+            type: String,
+            default: ""
+        });
+        game.settings.register(SCOPE, "a1111Endpoint", {
+            name: "Automatic1111 endpoint",
+            hint: `Base URL of a Stable Diffusion server with the Automatic1111 API (Automatic1111, Forge or SD.Next; not ComfyUI), started with --api. Empty for ${Automatic1111Provider.DEFAULT_ENDPOINT}.`,
+            scope: "client",
+            config: true,
+            type: String,
+            default: ""
+        });
+        game.settings.register(SCOPE, "a1111ApiKey", {
+            name: "Automatic1111 credentials",
+            hint: "\"user:password\" if the server was started with --api-auth.",
+            scope: "client",
+            config: true,
+            type: String,
+            default: ""
+        });
+        console.log(`ProviderRegistry | Registered settings for providers: ${ids}.`);
+    }
+
+    /**
+     * Add (or replace) a provider backend.
+     * @param {typeof import("./ai-provider.js").AiProvider} ProviderClass - Subclass of AiProvider with a unique ID
+     * @param {{endpoint?: string, apiKey?: string}} [config] - Connection used instead of settings
+     */
+    static register(ProviderClass, config = {}) {
+        if (!ProviderClass?.ID) throw new Error("A provider needs a static ID.");
+        this.providers.set(ProviderClass.ID, ProviderClass);
+        this.configs.set(ProviderClass.ID, config);
+        console.log(`ProviderRegistry | Registered provider "${ProviderClass.ID}".`);
+    }
+
+    /**
+     * @param {string} phase - Key of PHASES
+     * @returns {string} The client setting holding the phase's choice
+     */
+    static settingKey(phase) {
+        return "model" + phase.charAt(0).toUpperCase() + phase.slice(1);
+    }
+
+    /**
+     * The provider id and model chosen for a phase.
+     * @param {string} phase - Key of PHASES
+     * @returns {{providerId: string, model: string}}
+     */
+    static choice(phase) {
+        const value = String(this._setting(this.settingKey(phase)) || "").trim();
+        const cut = value.indexOf(":");
+        const prefix = cut >= 0 ? value.slice(0, cut) : value;
+        if (this.providers.has(prefix)) {
+            return { providerId: prefix, model: cut >= 0 ? value.slice(cut + 1).trim() : "" };
+        }
+        return { providerId: GeminiProvider.ID, model: value };
+    }
+
+    /**
+     * How a phase's model is recorded in state.models: a bare model name for
+     * Gemini, "provider:model" otherwise, and the provider id alone when its
+     * default model is used.
+     * @param {string} phase - Key of PHASES
+     * @returns {string}
+     */
+    static modelLabel(phase) {
+        const { providerId, model } = this.choice(phase);
+        if (!model) return providerId;
+        return providerId === GeminiProvider.ID ? model : `${providerId}:${model}`;
+    }
+
+    /**
+     * The provider and model to run a phase with.
+     * @param {string} phase - Key of PHASES
+     * @param {Object} [options]
+     * @param {string} [options.geminiApiKey] - Key the pipeline was created with
+     * @returns {{provider: import("./ai-provider.js").AiProvider, model: string}}
+     */
+    static forPhase(phase, { geminiApiKey } = {}) {
+        const spec = this.PHASES[phase];
+        if (!spec) throw new Error(`Unknown pipeline phase "${phase}".`);
+
+        const { providerId, model } = this.choice(phase);
+        const ProviderClass = this.providers.get(providerId);
+        if (!ProviderClass.supports(spec.role)) {
+            throw new Error(`${ProviderClass.LABEL} cannot run the ${spec.label} phase: it has no ${spec.role} support. Change the "Model: ${spec.label}" setting.`);
+        }
+        return { provider: new ProviderClass(this._config(providerId, geminiApiKey)), model };
+    }
+
+    static _config(providerId, geminiApiKey) {
+        if (providerId === GeminiProvider.ID) {
+            return { apiKey: geminiApiKey || this._setting("geminiApiKey", "vibe-common") };
+        }
+        const registered = this.configs.get(providerId) ?? {};
+        return {
+            endpoint: registered.endpoint || this._setting(`${providerId}Endpoint`),
+            apiKey: registered.apiKey || this._setting(`${providerId}ApiKey`)
+        };
+    }
+
+    static _setting(key, scope = SCOPE) {
+        if (typeof game === "undefined") return "";
+        try {
+            return game.settings.get(scope, key) ?? "";
+        } catch (e) {
+            // Not registered (providers added by other modules, or outside Foundry)
+            return "";
+        }
+    }
+}
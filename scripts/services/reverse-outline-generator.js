@@ -0,0 +1,176 @@
+import { extractJson } from "../../../vibe-common/scripts/services/gemini-service.js";
+import { GridConfig } from "./grid-config.js";
+import { OutlineSchema } from "./outline-schema.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
+
+/**
+ * Reverse Outline Generator: Existing Map -> Textual Outline
+ * Writes the outline (names, read-aloud text, hazards...) for a map that was
+ * not generated here, from the spaces detected in its layout. The detected
+ * geometry stays authoritative: room ids, sizes and connections come from
+ * the map, the model only fills in the story.
+ */
+export class ReverseOutlineGenerator {
+    /** Door kinds the model may assign to a detected opening */
+    static CONNECTION_TYPES = ["door", "secret", "locked", "window", "portcullis", "archway"];
+
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+    }
+
+    get systemPrompt() {
+        return `You are an expert Foundry VTT cartographer, dungeon designer, and D&D Dungeon Master.
+You are given the floor plan of an EXISTING battle map: the spaces detected on it, their sizes and positions, and the openings between them. Your goal is to decide what each space is and write a detailed conceptual outline a DM can run a session from.
+
+Output JSON only, in the following format:
+{
+  "title": "A short descriptive name for this scene",
+  "description": "A 1-2 sentence description of the overall vibe and atmosphere",
+  "rooms": [
+    {
+      "id": "The id of the detected space, EXACTLY as given",
+      "name": "Room name",
+      "purpose": "What this room is used for",
+      "readAloud": "A 2-3 sentence evocative description the DM can read aloud to players when they enter this room. Use second person ('You see...').",
+      "atmosphere": "A short phrase describing the lighting and mood (e.g., 'Dim flickering torchlight, heavy silence')",
+      "features": ["Notable feature 1", "Notable feature 2"],
+      "hazards": ["Optional: any trap, environmental hazard, or danger in this room"],
+      "interactables": ["Optional: things players can investigate, manipulate, or interact with"]
+    }
+  ],
+  "connections": [
+    {
+      "between": ["space-id-a", "space-id-b or 'outside'"],
+      "type": "door | secret | locked | window | portcullis | archway",
+      "material": "wood | stone | metal | magic"
+    }
+  ]
+}
+
+GUIDELINES:
+- Write exactly one room per detected space, using its id. Do not invent, merge or drop spaces.
+- When a space is labelled on the map, use the label as (or in) the room's name.
+- Let size, shape and position guide what each space is: long narrow spaces are corridors, spaces with an opening to "outside" are entrances, large central spaces are halls, small dead ends are closets, cells or vaults.
+- "connections" must list exactly the openings given to you; you only choose each one's "type" and "material".
+- Every room MUST have readAloud, atmosphere, and at least 1-2 features. At least 30-50% of rooms should have hazards or interactables.
+- Follow the user's concept for the scene when one is given.`;
+    }
+
+    /**
+     * Generate an outline for a detected layout.
+     * @param {Object} layout
+     * @param {Array<{id: string, squares: number, bounds: Object, outdoor?: boolean, label?: string}>} layout.spaces -
+     *   Detected spaces; bounds {x, y, width, height} are in grid squares, label is text drawn in the space
+     * @param {Array<{between: string[]}>} layout.connections - Detected openings between spaces
+     * @param {number} layout.columns - Map width in grid squares
+     * @param {number} layout.rows - Map height in grid squares
+     * @param {Object} [options]
+     * @param {string} [options.concept] - The user's idea for the scene, if any
+     * @param {string} [options.gridScale] - Grid scale option, used to describe sizes
+     * @param {AbortSignal} [options.abortSignal] - Optional abort signal
+     * @returns {Promise<Object>} The outline, with rooms and connections matching the layout
+     */
+    async generateOutline(layout, { concept = "", gridScale, abortSignal } = {}) {
+        console.log(`ReverseOutlineGenerator | Writing outline for ${layout.spaces.length} detected space(s).`);
+        const scale = GridConfig.SCALES[gridScale] || GridConfig.SCALES[GridConfig.DEFAULT_SCALE];
+        const fullPrompt = `${this.systemPrompt}
+
+MAP: ${layout.columns} x ${layout.rows} squares, ${scale.distance} ${scale.units} per square.
+
+DETECTED SPACES:
+${layout.spaces.map(s => this._describeSpace(s, layout, scale)).join("\n")}
+
+OPENINGS:
+${layout.connections.map(c => `- ${c.between.join(" <-> ")}`).join("\n") || "- none detected"}
+
+USER CONCEPT: ${concept || "(none — infer the scene from the floor plan)"}`;
+
+        try {
+            const { provider, model } = ProviderRegistry.forPhase("outline", { geminiApiKey: this.apiKey });
+            const responseText = await provider.generateText({ model, prompt: fullPrompt }, abortSignal);
+
+            console.log("ReverseOutlineGenerator | Raw Response received.");
+            const outline = ReverseOutlineGenerator.mergeLayout(extractJson(responseText), layout, scale);
+            console.log("ReverseOutlineGenerator | Parsed Outline:", outline);
+
+            return outline;
+
+        } catch (error) {
+            console.error("ReverseOutlineGenerator | Error during generation:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Force an outline to match the detected layout: one room per space (in
+     * layout order), sizes from the measured area, and exactly the detected
+     * connections, keeping the model's door kinds and materials where given.
+     * @param {Object} outline - Outline returned by the model
+     * @param {Object} layout - The layout passed to generateOutline()
+     * @param {{distance: number, units: string}} scale - Grid scale
+     * @returns {Object}
+     */
+    static mergeLayout(outline, layout, scale) {
+        const written = new Map((outline?.rooms || []).map(r => [String(r.id), r]));
+        const samePair = (a, b) => a.length === 2 && b.length === 2 && a.every(id => b.map(String).includes(String(id)));
+
+        const rooms = layout.spaces.map(space => ({
+            name: space.label || String(space.id).replace(/[-_]+/g, " ").replace(/\b\w/g, c => c.toUpperCase()),
+            purpose: "",
+            readAloud: "",
+            atmosphere: "",
+            features: [],
+            ...written.get(space.id),
+            id: space.id,
+            approximateSize: this._sizeLabel(space.squares, scale),
+            shapeHint: "polygon"
+        }));
+
+        const connections = layout.connections.map(detected => {
+            const match = (outline?.connections || []).find(c => samePair(c.between || [], detected.between));
+            const type = this.CONNECTION_TYPES.includes(match?.type) ? match.type : detected.type || "door";
+            return { between: [...detected.between], type, ...(match?.material ? { material: match.material } : {}) };
+        });
+
+        const missing = layout.spaces.filter(s => !written.has(s.id)).length;
+        if (missing > 0) console.warn(`ReverseOutlineGenerator | The model skipped ${missing} space(s); they keep placeholder names.`);
+
+        return {
+            title: outline?.title || "Imported Map",
+            description: outline?.description || "",
+            rooms,
+            connections,
+            schemaVersion: OutlineSchema.VERSION
+        };
+    }
+
+    /**
+     * One line describing a space for the prompt, e.g.
+     * "- area-3: about 20 x 35 ft (700 sq ft), north-east of the map".
+     */
+    _describeSpace(space, layout, scale) {
+        const { x, y, width, height } = space.bounds;
+        const w = Math.round(width * scale.distance), h = Math.round(height * scale.distance);
+        const area = Math.round(space.squares * scale.distance * scale.distance);
+        const cx = (x + width / 2) / layout.columns, cy = (y + height / 2) / layout.rows;
+        const vertical = cy < 1 / 3 ? "north" : cy > 2 / 3 ? "south" : "";
+        const horizontal = cx < 1 / 3 ? "west" : cx > 2 / 3 ? "east" : "";
+        const position = [vertical, horizontal].filter(Boolean).join("-") || "centre";
+        const outdoor = space.outdoor ? ", open to the sky" : "";
+        const label = space.label ? `, labelled "${space.label}"` : "";
+        return `- ${space.id}: about ${w} x ${h} ${scale.units} (${area} sq ${scale.units}), ${position} of the map${outdoor}${label}`;
+    }
+
+    /**
+     * Outline approximateSize for a measured floor area, using the same
+     * side lengths GridConfig assumes for each label.
+     */
+    static _sizeLabel(squares, scale) {
+        const spaceFeet = scale.units === "m" ? scale.distance * 3.28084 : scale.distance;
+        const side = Math.sqrt(squares * spaceFeet * spaceFeet);
+        const { small, medium, large } = GridConfig.ROOM_FEET;
+        if (side < (small + medium) / 2) return "small";
+        if (side < (medium + large) / 2) return "medium";
+        return "large";
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Room Regions
+ * Builds a Scene Region (Foundry v13) for each room polygon, with behaviours
+ * driven by the outline:
+ *   - readAloud → whispers the read-aloud text to the GM when a player token enters
+ *   - hazards   → damage, difficult terrain or pause-game behaviours, picked by keyword
+ */
+export class RoomRegions {
+    /** Hazard categories, matched as whole words (plurals allowed) against each hazard string */
+    static HAZARD_KEYWORDS = {
+        damage: ["spike", "fire", "flame", "acid", "poison", "lava", "blade", "needle", "dart", "burn", "burning", "electric",
+            "lightning", "collapse", "collapsing", "falling", "explosion", "explosive", "explode", "exploding", "arrow", "scald", "frost",
+            "necrotic", "crush"],
+        difficult: ["rubble", "mud", "water", "flood", "flooded", "ice", "icy", "web", "swamp", "difficult", "debris", "slippery",
+            "snow", "sand", "roots", "thorn", "bog", "marsh", "uneven"],
+        pause: ["trap", "pressure plate", "tripwire", "trip wire", "ambush", "alarm", "trigger", "glyph", "ward"]
+    };
+
+    /** Damage rolled when a damage hazard doesn't spell out its own dice */
+    static DEFAULT_DAMAGE = "2d6";
+
+    /**
+     * Classify a room's hazards into behaviour categories.
+     * @param {string[]} hazards - Hazard descriptions from the outline
+     * @returns {{damage: string[], difficult: string[], pause: string[]}}
+     */
+    static classifyHazards(hazards = []) {
+        const result = { damage: [], difficult: [], pause: [] };
+        for (const hazard of hazards) {
+            const text = String(hazard);
+            for (const [category, keywords] of Object.entries(this.HAZARD_KEYWORDS)) {
+                // Whole words only, so "device" doesn't read as ice or "toward" as ward
+                if (keywords.some(k => new RegExp(`\\b${k}(?:e?s)?\\b`, "i").test(text))) result[category].push(hazard);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Build Region document data for a room.
+     * @param {Object} roomDef - Room from the outline
+     * @param {number[]} points - Flat [x0,y0,x1,y1,...] polygon in scene coordinates
+     * @returns {Object|null} Region data, or null if the room needs no region
+     */
+    static buildRegionData(roomDef, points) {
+        if (!roomDef || points.length < 6) return null;
+
+        const behaviors = [];
+        if (roomDef.readAloud) {
+            behaviors.push(this._readAloudBehavior(roomDef));
+        }
+
+        const hazards = this.classifyHazards(roomDef.hazards || []);
+        hazards.damage.forEach(h => behaviors.push(this._damageBehavior(roomDef, h)));
+        if (hazards.difficult.length > 0) {
+            behaviors.push({
+                name: `Difficult Terrain: ${hazards.difficult.join("; ")}`.slice(0, 120),
+                type: "modifyMovementCost",
+                system: { difficulties: { walk: 2 } }
+            });
+        }
+        if (hazards.pause.length > 0) {
+            behaviors.push({
+                name: `Pause: ${hazards.pause.join("; ")}`.slice(0, 120),
+                type: "pauseGame",
+                system: { once: true }
+            });
+        }
+
+        if (behaviors.length === 0) return null;
+
+        const hasHazard = hazards.damage.length + hazards.difficult.length + hazards.pause.length > 0;
+        return {
+            name: roomDef.name || "Room",
+            color: hasHazard ? "#cc4444" : "#c9a44a",
+            shapes: [{ type: "polygon", points, hole: false }],
+            behaviors
+        };
+    }
+
+    /**
+     * Flatten a room's ordered edge list into polygon points.
+     * @param {Array} edges - Array of [x1,y1,x2,y2] edges in scene coordinates
+     * @returns {number[]} Flat [x0,y0,x1,y1,...] array
+     */
+    static edgesToPoints(edges) {
+        const points = [];
+        for (const e of edges) points.push(Math.round(e[0]), Math.round(e[1]));
+        return points;
+    }
+
+    // ─── Behaviours ─────────────────────────────────────────────────────
+
+    static _readAloudBehavior(roomDef) {
+        const content = `<h3>📖 ${roomDef.name || "Room"}</h3><blockquote>${roomDef.readAloud}</blockquote>`;
+        return {
+            name: "Read Aloud",
+            type: "executeScript",
+            system: {
+                events: ["tokenMoveIn"],
+                // Behaviour events fire on every client; only the mover's client posts
+                source: `if (!event.user.isSelf) return;
+if (!event.data.token?.actor?.hasPlayerOwner) return;
+await ChatMessage.create({
+    content: ${JSON.stringify(content)},
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+    speaker: { alias: region.name }
+});`
+            }
+        };
+    }
+
+    static _damageBehavior(roomDef, hazard) {
+        const formula = String(hazard).match(/\b\d+d\d+(?:\s*[+-]\s*\d+)?\b/i)?.[0]?.replace(/\s+/g, "") || this.DEFAULT_DAMAGE;
+        const label = `${roomDef.name || "Room"}: ${hazard}`;
+        return {
+            name: `Hazard: ${hazard}`.slice(0, 120),
+            type: "executeScript",
+            system: {
+                events: ["tokenMoveIn"],
+                // Behaviour events fire on every client; only the mover's client rolls and applies damage
+                source: `if (!event.user.isSelf) return;
+const token = event.data.token;
+if (!token?.actor) return;
+const roll = await new Roll(${JSON.stringify(formula)}).evaluate();
+await roll.toMessage({
+    flavor: ${JSON.stringify(`⚠️ ${label}`)} + " — " + token.name,
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id)
+});
+if (typeof token.actor.applyDamage === "function" && token.actor.isOwner) {
+    await token.actor.applyDamage(roll.total);
+}`
+            }
+        };
+    }
+}
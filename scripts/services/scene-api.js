@@ -0,0 +1,132 @@
+import { ScenePipeline } from "./pipeline.js";
+import { InpaintingPipeline } from "./inpainting-pipeline.js";
+import { SceneBuilder } from "./scene-builder.js";
+import { GenerationHistory } from "./generation-history.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
+
+/**
+ * Scene API
+ * Scriptable access to the pipeline and SceneBuilder without any UI, exposed
+ * as game.modules.get("vibe-scene-two").api for macros and other modules.
+ *
+ * Every call works on a plain pipeline state object, updated in place and
+ * returned, so phases can be run one at a time with the state inspected or
+ * edited in between:
+ *
+ *   const api = game.modules.get("vibe-scene-two").api;
+ *   const state = await api.generateOutline("A flooded crypt beneath a chapel");
+ *   state.outline.rooms[0].name = "The Drowned Nave";
+ *   await api.generateSvg(state);
+ *   await api.generateImage(state, { inpainting: true });
+ *   const scene = await api.buildScene(state);
+ *
+ * Options are the generator's Step 2 options (generateWalls, includeTileOverlay,
+ * createRegions, singleJournal, numberRooms, gridScale, gridType, gridSize,
+ * snapToGrid, removeRoomLabels, lintLayout, repairConnections), stored on
+ * state.options, plus two that only affect the call:
+ *   inpainting - paint the map room by room (default: however the state was last rendered)
+ *   signal     - an AbortSignal that cancels the running phase
+ *
+ * The vibeSceneTwo.* hooks (see PipelineHooks) fire for these calls as they do in the generator.
+ */
+export class SceneApi {
+    /**
+     * Run every phase and build the Scene.
+     * @param {string} prompt - The scene concept
+     * @param {Object} [options]
+     * @returns {Promise<{scene: Scene, state: Object}>}
+     */
+    async generateScene(prompt, options = {}) {
+        const state = await this.generateOutline(prompt, options);
+        await this.generateSvg(state, options);
+        await this.generateImage(state, options);
+        const scene = await this.buildScene(state);
+        return { scene, state };
+    }
+
+    /**
+     * Phase 1: write the outline for a concept.
+     * @param {string} prompt - The scene concept
+     * @param {Object} [options]
+     * @returns {Promise<Object>} A new pipeline state holding the outline
+     */
+    async generateOutline(prompt, options = {}) {
+        if (!String(prompt ?? "").trim()) throw new Error("A scene prompt is required.");
+        const pipeline = this._pipeline(ScenePipeline.emptyState(), options);
+        await pipeline.generateOutline(String(prompt).trim(), pipeline.state.options);
+        return pipeline.state;
+    }
+
+    /**
+     * Phase 2: draw and check the SVG layout(s) for a state's outline.
+     * @param {Object} state - A state with an outline
+     * @param {Object} [options]
+     * @returns {Promise<Object>} The same state
+     */
+    async generateSvg(state, options = {}) {
+        await this._pipeline(state, options).generateSvg();
+        return state;
+    }
+
+    /**
+     * Phase 3: render the map image(s) for a state's layout.
+     * @param {Object} state - A state with an outline and SVG layout
+     * @param {Object} [options]
+     * @returns {Promise<Object>} The same state
+     */
+    async generateImage(state, options = {}) {
+        await this._pipeline(state, options).generateImage();
+        return state;
+    }
+
+    /**
+     * Build the Scene(s) for a rendered state, or rebuild the ones built from
+     * it earlier, and add the run to the generation history.
+     * @param {Object} state - A state with an outline, SVG layout and image
+     * @param {Object} [options]
+     * @param {boolean} [options.rebuild] - Rebuild in place (default: when the state's Scene still exists)
+     * @returns {Promise<Scene>} The (first floor's) Scene
+     */
+    async buildScene(state, { rebuild = !!game.scenes.get(state?.sceneId) } = {}) {
+        const builder = new SceneBuilder();
+        const scene = rebuild ? await builder.rebuildSceneFromState(state) : await builder.createSceneFromState(state);
+        await GenerationHistory.record(state, "built");
+        return scene;
+    }
+
+    /**
+     * The pipeline state stored on a Scene built by this module, for further calls.
+     * @param {Scene} scene
+     * @returns {Object}
+     */
+    stateFromScene(scene) {
+        const data = scene?.getFlag(SceneBuilder.FLAG_SCOPE, "pipelineState");
+        if (!data) throw new Error(`Scene "${scene?.name}" has no stored generator state.`);
+        return ScenePipeline.restoreState(data);
+    }
+
+    /**
+     * Add a model backend, usable in the "Model:" settings as "<ID>:<model>".
+     * @param {typeof import("./providers/ai-provider.js").AiProvider} ProviderClass - Subclass of AiProvider
+     * @param {{endpoint?: string, apiKey?: string}} [config] - Connection to use
+     */
+    registerProvider(ProviderClass, config) {
+        ProviderRegistry.register(ProviderClass, config);
+    }
+
+    /**
+     * A pipeline working on the given state, with the call's options merged
+     * into state.options.
+     */
+    _pipeline(state, options) {
+        if (!state || typeof state !== "object") throw new Error("A pipeline state is required.");
+        const { inpainting, signal, ...stateOptions } = options;
+        const useInpainting = inpainting ?? state.models?.pipeline === InpaintingPipeline.PIPELINE_TYPE;
+
+        const pipeline = useInpainting ? new InpaintingPipeline() : new ScenePipeline();
+        state.options = { ...state.options, ...stateOptions };
+        pipeline.state = state;
+        pipeline.abortSignal = signal ?? null;
+        return pipeline;
+    }
+}
@@ -1,39 +1,282 @@
+import { SvgLayoutParser } from "./svg-layout-parser.js";
+import { WallGraph } from "./wall-graph.js";
+import { LightingProfiles } from "./lighting-profiles.js";
+import { RoomRegions } from "./room-regions.js";
+import { GridConfig } from "./grid-config.js";
+import { ScenePipeline } from "./pipeline.js";
+import { PipelineHooks } from "./pipeline-hooks.js";
+import { ImageFiles } from "./image-files.js";
+
 /**
  * Scene Builder
  * Interprets the generated state (SVG, outline, image) and constructs a playable Foundry Scene.
  */
 export class SceneBuilder {
+    constructor() {
+        this.parser = new SvgLayoutParser();
+    }
+
+    /**
+     * Wall data for each SVG `data-door` kind. `null` means the opening gets no wall at all.
+     * door: 0 = none, 1 = door, 2 = secret | ds: 0 = closed, 2 = locked
+     * sight/light/sound/move: 0 = none, 10 = limited, 20 = normal, 30 = proximity
+     */
+    static DOOR_KINDS = {
+        door: { door: 1, ds: 0 },
+        secret: { door: 2, ds: 0 },
+        locked: { door: 1, ds: 2 },
+        // Grate: blocks movement when closed but never sight, light or sound
+        portcullis: { door: 1, ds: 0, sight: 0, light: 0, sound: 0 },
+        // Glass: not a door; blocks movement, lets light in, and is see-through up close
+        window: { door: 0, move: 20, sight: 30, light: 0, sound: 10, threshold: { sight: 10, attenuation: false } },
+        archway: null
+    };
+
+    /** Door sound per material, keyed by CONFIG.Wall.doorSounds ids */
+    static DOOR_SOUNDS = {
+        wood: "woodBasic",
+        stone: "stoneBasic",
+        metal: "metal",
+        magic: "magicDoor"
+    };
+
+    /** Flag scope marking documents this builder created, so a rebuild can replace only those */
+    static FLAG_SCOPE = "vibe-scene-two";
+
+    /** Embedded document types the builder creates and a rebuild replaces */
+    static GENERATED_TYPES = ["Wall", "AmbientLight", "Note", "Tile", "Region", "Drawing"];
+
+    /** Door sound used when the SVG doesn't name a material */
+    static DEFAULT_DOOR_SOUNDS = {
+        door: "woodBasic",
+        secret: "stoneRocky",
+        locked: "woodHeavy",
+        portcullis: "slidingMetalHeavy"
+    };
+
     /**
-     * Create a Foundry Scene from the pipeline state
+     * Create a Foundry Scene from the pipeline state.
+     * Multi-level states produce one linked Scene per floor; the first is returned.
      * @param {Object} state - The pipeline state object
+     * @returns {Promise<Scene>}
      */
     async createSceneFromState(state) {
-        if (!state.imageBuffer || !state.outline || !state.svg) {
+        this._preBuild(state, { rebuild: false });
+        if (state.levels?.length > 1) return this._built(await this._createLevelScenes(state), state);
+
+        if ((!state.imageBuffer && !state.imagePath) || !state.outline || !state.svg) {
             throw new Error("Pipeline state is incomplete. Cannot build scene.");
         }
 
-        console.log("SceneBuilder | Starting Scene construction...");
+        const result = await this._buildScene(state);
+        this._recordBuild(state, result);
+        await this._storePipelineState(state);
+        return this._built(result.scene, state);
+    }
 
-        // 1. Save Image to server
-        const imagePath = await this._saveImageBuffer(state.imageBuffer, state.outline.title);
+    /**
+     * Re-apply the builder to the Scene(s) previously created from this state.
+     * Only walls, lights, notes, tiles, regions, drawings and journals flagged as generated
+     * are replaced; anything the GM added by hand is left alone. The background
+     * is swapped only if the image was regenerated since the last build.
+     * @param {Object} state - The pipeline state object (with sceneId from a previous build)
+     * @returns {Promise<Scene>}
+     */
+    async rebuildSceneFromState(state) {
+        this._preBuild(state, { rebuild: true });
+        if (state.levels?.length > 1) return this._built(await this._createLevelScenes(state, { rebuild: true }), state);
+
+        const scene = game.scenes.get(state.sceneId);
+        if (!scene) throw new Error("The previously generated Scene no longer exists. Create a new one instead.");
+        if (!state.imageBuffer && !state.imagePath) throw new Error("Pipeline state is incomplete. Cannot rebuild scene.");
+
+        const result = await this._rebuildScene(scene, state);
+        this._recordBuild(state, result);
+        await this._storePipelineState(state);
+        return this._built(scene, state);
+    }
 
-        if (state.layoutImageBuffer) {
-            await this._saveImageBuffer(state.layoutImageBuffer, state.outline.title + "-layout");
-            console.log("SceneBuilder | Saved companion layout image.");
+    /**
+     * Fire vibeSceneTwo.preBuildScene, letting other modules adjust the state or stop the build.
+     */
+    _preBuild(state, { rebuild }) {
+        if (PipelineHooks.call("preBuildScene", state, { rebuild }) === false) {
+            throw new Error("The scene build was cancelled by a vibeSceneTwo.preBuildScene hook.");
         }
+    }
 
-        // 2. Determine Map dimensions (Load the image to get native resolution)
-        const dimensions = await new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => resolve({ width: img.width, height: img.height });
-            img.onerror = () => {
-                console.warn("SceneBuilder | Could not load image to determine dimensions. Falling back to 1024x1024.");
-                resolve({ width: 1024, height: 1024 });
+    /**
+     * Fire vibeSceneTwo.sceneBuilt and pass the Scene through.
+     * @returns {Scene}
+     */
+    _built(scene, state) {
+        PipelineHooks.callAll("sceneBuilt", scene, state);
+        return scene;
+    }
+
+    /**
+     * Store the pipeline state (with image paths instead of buffers) in the flags
+     * of every Scene built from it, so the generator can reopen it later.
+     */
+    async _storePipelineState(state) {
+        const data = ScenePipeline.serializeState(state);
+        const sceneIds = state.levels?.length > 1 ? state.levels.map(l => l.sceneId) : [state.sceneId];
+        for (const scene of sceneIds.map(id => game.scenes.get(id)).filter(Boolean)) {
+            // Unset first so keys from an older state don't survive the flag merge
+            await scene.unsetFlag(SceneBuilder.FLAG_SCOPE, "pipelineState");
+            await scene.setFlag(SceneBuilder.FLAG_SCOPE, "pipelineState", data);
+        }
+    }
+
+    /**
+     * Remember which Scene and image files a build produced on the state object,
+     * so later rebuilds can find them.
+     */
+    _recordBuild(target, { scene, imagePath, layoutImagePath }) {
+        target.sceneId = scene.id;
+        target.imagePath = imagePath;
+        target.layoutImagePath = layoutImagePath;
+    }
+
+    /**
+     * Build one Scene per floor inside a shared Scene folder, then wire the
+     * stairs between them. When rebuilding, floors whose Scene still exists are
+     * rebuilt in place and missing ones are created.
+     * @param {Object} state - The pipeline state object
+     * @param {Object} [options]
+     * @param {boolean} [options.rebuild=false] - Re-apply to previously built Scenes
+     * @returns {Promise<Scene>} The first floor's Scene
+     */
+    async _createLevelScenes(state, { rebuild = false } = {}) {
+        if (!state.outline || state.levels.some(l => (!l.imageBuffer && !l.imagePath) || !l.svg)) {
+            throw new Error("Pipeline state is incomplete. Cannot build scene.");
+        }
+
+        const existing = rebuild ? state.levels.map(l => game.scenes.get(l.sceneId)).filter(Boolean) : [];
+        const folderId = existing[0]?.folder?.id
+            ?? (await Folder.create({ name: state.outline.title || "AI Generated Scene", type: "Scene" }))?.id;
+        const outlines = ScenePipeline.levelOutlines(state.outline);
+        const built = [];
+
+        for (const level of state.levels) {
+            console.log(`SceneBuilder | Building level "${level.name}"...`);
+            const levelState = {
+                ...state,
+                outline: outlines.find(l => l.id === level.id)?.outline || state.outline,
+                // Numbered across all floors, so the key reads as one dungeon
+                roomNumbers: SceneBuilder.roomNumbers(state.outline),
+                svg: level.svg,
+                imageBuffer: level.imageBuffer,
+                layoutImageBuffer: level.layoutImageBuffer,
+                imagePath: level.imagePath,
+                layoutImagePath: level.layoutImagePath,
+                levels: null
             };
-            img.src = imagePath;
-        });
+            const scene = rebuild ? game.scenes.get(level.sceneId) : null;
+            const result = scene
+                ? await this._rebuildScene(scene, levelState)
+                : await this._buildScene(levelState, { folder: folderId, flags: { [SceneBuilder.FLAG_SCOPE]: { levelId: level.id } } });
+            this._recordBuild(level, result);
+            built.push({ level, ...result });
+        }
 
-        const gridSize = 40; // standard 40px scale as requested
+        await this._linkStairs(state.outline, built);
+        this._recordBuild(state, built[0]);
+        await this._storePipelineState(state);
+        return built[0].scene;
+    }
+
+    /**
+     * Connect the rooms at either end of each staircase with a pair of
+     * teleport Regions and a Note pointing at the destination room's journal.
+     * @param {Object} outline - The full scene outline
+     * @param {Array} built - [{level, scene, roomAnchors}] for every floor
+     */
+    async _linkStairs(outline, built) {
+        const rooms = outline.rooms || [];
+        const locate = (roomId) => {
+            const entry = built.find(b => b.roomAnchors.has(String(roomId)));
+            return entry ? { scene: entry.scene, anchor: entry.roomAnchors.get(String(roomId)) } : null;
+        };
+
+        let linked = 0;
+        for (const stair of (outline.stairs || [])) {
+            const fromRoom = rooms.find(r => String(r.id) === String(stair.from));
+            const toRoom = rooms.find(r => String(r.id) === String(stair.to));
+            const from = locate(stair.from);
+            const to = locate(stair.to);
+            if (!fromRoom || !toRoom || !from || !to) {
+                console.warn(`SceneBuilder | Could not place stairs ${stair.from} → ${stair.to}; skipping.`);
+                continue;
+            }
+
+            const ends = [
+                { ...from, label: ScenePipeline.stairLabel(outline, stair, fromRoom, toRoom), target: to },
+                { ...to, label: ScenePipeline.stairLabel(outline, stair, toRoom, fromRoom), target: from }
+            ];
+
+            // Stairs sit one grid square off the room center so they don't cover the room's journal note
+            for (const end of ends) {
+                const size = end.scene.grid?.size || 40;
+                end.x = end.anchor.x + size;
+                end.y = end.anchor.y + size;
+            }
+
+            if (CONFIG.Region) {
+                for (const end of ends) {
+                    const size = end.scene.grid?.size || 40;
+                    const [region] = await end.scene.createEmbeddedDocuments("Region", [this._flagged({
+                        name: end.label,
+                        color: "#4a90c9",
+                        shapes: [{ type: "rectangle", x: end.x - size / 2, y: end.y - size / 2, width: size, height: size, rotation: 0, hole: false }]
+                    })]);
+                    end.region = region;
+                }
+                for (const [end, other] of [[ends[0], ends[1]], [ends[1], ends[0]]]) {
+                    if (!end.region || !other.region) continue;
+                    await end.region.createEmbeddedDocuments("RegionBehavior", [{
+                        name: end.label,
+                        type: "teleportToken",
+                        system: { destination: other.region.uuid, choice: true }
+                    }]);
+                }
+            }
+
+            for (const end of ends) {
+                if (!end.target.anchor.journalId) continue;
+                await end.scene.createEmbeddedDocuments("Note", [this._flagged({
+                    x: end.x, y: end.y,
+                    entryId: end.target.anchor.journalId,
+                    pageId: end.target.anchor.pageId ?? null,
+                    icon: "icons/svg/door-exit.svg",
+                    iconSize: 32,
+                    text: end.label,
+                    fontFamily: "Signika",
+                    fontSize: 24,
+                    textAnchor: 1
+                })]);
+            }
+            linked++;
+        }
+        console.log(`SceneBuilder | Linked ${linked} staircase(s) across ${built.length} levels.`);
+    }
+
+    /**
+     * Create a single Scene with walls, lights, regions, journals and notes.
+     * @param {Object} state - Pipeline state for one floor
+     * @param {Object} [extra] - Additional Scene data (e.g. folder, flags)
+     * @returns {Promise<{scene: Scene, roomAnchors: Map, imagePath: string, layoutImagePath: string|null}>}
+     */
+    async _buildScene(state, extra = {}) {
+        console.log("SceneBuilder | Starting Scene construction...");
+
+        // 1. Save Image to server (reusing files saved by an earlier build of this state)
+        const { imagePath, layoutImagePath } = await this._saveStateImages(state);
+
+        // 2. Determine Map dimensions (Load the image to get native resolution)
+        const dimensions = await ImageFiles.dimensions(imagePath);
+
+        const grid = GridConfig.resolve(state.options, state.outline, dimensions.width);
 
         // 3. Create the base Scene document
         const sceneData = {
@@ -44,13 +287,13 @@ export class SceneBuilder {
             },
             width: dimensions.width,
             height: dimensions.height, // Use exact height from image
-            grid: {
-                size: gridSize,
-                type: 1 // Square
-            },
+            grid,
             tokenVision: true,
             fogExploration: true,
-            description: state.outline.description
+            environment: LightingProfiles.sceneEnvironment(state.outline),
+            description: state.outline.description,
+            ...extra,
+            flags: { [SceneBuilder.FLAG_SCOPE]: { generated: true, ...extra.flags?.[SceneBuilder.FLAG_SCOPE] } }
         };
 
         const scene = await Scene.create(sceneData);
@@ -59,9 +302,80 @@ export class SceneBuilder {
         console.log(`SceneBuilder | Base scene created: ${scene.id}`);
 
         // 4. Parse SVG and potentially AI Vision data to extract logical walls, lights, and notes
-        await this._addElementsFromSvgAndState(scene, state, dimensions.width, dimensions.height);
+        const roomAnchors = await this._addElementsFromSvgAndState(scene, state, dimensions.width, dimensions.height);
 
-        return scene;
+        return { scene, roomAnchors, imagePath, layoutImagePath };
+    }
+
+    /**
+     * Replace the generated content of an existing Scene.
+     * @param {Scene} scene - A Scene created by an earlier build
+     * @param {Object} state - Pipeline state for this floor
+     * @returns {Promise<{scene: Scene, roomAnchors: Map, imagePath: string, layoutImagePath: string|null}>}
+     */
+    async _rebuildScene(scene, state) {
+        console.log(`SceneBuilder | Rebuilding scene ${scene.id}...`);
+        await this._clearGenerated(scene);
+
+        const { imagePath, layoutImagePath } = await this._saveStateImages(state);
+        // Regenerated images may already be saved (e.g. by a checkpoint), so compare paths
+        const imageChanged = imagePath !== scene.background?.src;
+
+        let width = scene.width, height = scene.height;
+        if (imageChanged) {
+            ({ width, height } = await ImageFiles.dimensions(imagePath));
+            await scene.update({ background: { src: imagePath }, width, height });
+            console.log("SceneBuilder | Replaced scene background with the regenerated image.");
+        }
+
+        // Grid options may have changed since the last build
+        await scene.update({ grid: GridConfig.resolve(state.options, state.outline, width) });
+
+        const roomAnchors = await this._addElementsFromSvgAndState(scene, state, width, height);
+        return { scene, roomAnchors, imagePath, layoutImagePath };
+    }
+
+    /**
+     * Delete everything an earlier build created on a Scene: flagged embedded
+     * documents and the room journals tied to it.
+     */
+    async _clearGenerated(scene) {
+        const scope = SceneBuilder.FLAG_SCOPE;
+        for (const type of SceneBuilder.GENERATED_TYPES) {
+            const collection = scene.getEmbeddedCollection(type);
+            if (!collection) continue;
+            const ids = collection.filter(d => d.getFlag(scope, "generated")).map(d => d.id);
+            if (ids.length > 0) await scene.deleteEmbeddedDocuments(type, ids);
+        }
+
+        const journalIds = game.journal.filter(j => j.getFlag(scope, "sceneId") === scene.id).map(j => j.id);
+        if (journalIds.length > 0) await JournalEntry.deleteDocuments(journalIds);
+        console.log(`SceneBuilder | Cleared generated content (${journalIds.length} journal(s)).`);
+    }
+
+    /**
+     * Save the state's final and layout images unless an earlier build already did.
+     * @returns {Promise<{imagePath: string, layoutImagePath: string|null}>}
+     */
+    async _saveStateImages(state) {
+        const imagePath = state.imagePath || await this._saveImageBuffer(state.imageBuffer, state.outline.title);
+
+        let layoutImagePath = state.layoutImagePath || null;
+        if (!layoutImagePath && state.layoutImageBuffer) {
+            layoutImagePath = await this._saveImageBuffer(state.layoutImageBuffer, state.outline.title + "-layout");
+            console.log("SceneBuilder | Saved companion layout image.");
+        }
+        return { imagePath, layoutImagePath };
+    }
+
+    /**
+     * Mark document data as created by the builder.
+     */
+    _flagged(data) {
+        return {
+            ...data,
+            flags: { ...data.flags, [SceneBuilder.FLAG_SCOPE]: { ...data.flags?.[SceneBuilder.FLAG_SCOPE], generated: true } }
+        };
     }
 
     /**
@@ -81,11 +395,13 @@ export class SceneBuilder {
             }
             byteArrays.push(new Uint8Array(byteNumbers));
         }
-        const blob = new Blob(byteArrays, { type: "image/jpeg" });
+        // Generated maps are JPEG; imported maps are usually PNG or WebP
+        const { mime, ext } = this._imageType(b64);
+        const blob = new Blob(byteArrays, { type: mime });
 
         // Clean filename
         const cleanName = (namePrefix || "scene").toLowerCase().replace(/[^a-z0-9]+/g, "-");
-        const filename = `vibe-scene-${cleanName}-${Date.now()}.jpg`;
+        const filename = `vibe-scene-${cleanName}-${Date.now()}.${ext}`;
 
         // Directory
         const dir = `worlds/${game.world.id}/ai-scenes`;
@@ -97,239 +413,287 @@ export class SceneBuilder {
             await FilePickerClass.createDirectory("data", dir);
         }
 
-        const file = new File([blob], filename, { type: "image/jpeg" });
+        const file = new File([blob], filename, { type: mime });
         const result = await FilePickerClass.upload("data", dir, file, { notify: false });
 
         return result.path;
     }
 
-    // ─── Geometry Helpers ───────────────────────────────────────────────
-
     /**
-     * Check if a point lies on a line segment within a tolerance.
+     * Map key number of every room: its position in the outline, from 1.
+     * @param {Object} outline - The full scene outline
+     * @returns {Map<string, number>} Room id → number
      */
-    _pointOnSegment(px, py, ax, ay, bx, by, tol = 4) {
-        const lenAB = Math.hypot(bx - ax, by - ay);
-        if (lenAB < 0.1) return false;
-        const cross = Math.abs((px - ax) * (by - ay) - (py - ay) * (bx - ax)) / lenAB;
-        if (cross > tol) return false;
-        const dot = ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / (lenAB * lenAB);
-        return dot >= -0.01 && dot <= 1.01;
+    static roomNumbers(outline) {
+        return new Map((outline?.rooms || []).map((r, i) => [String(r.id), i + 1]));
     }
 
     /**
-     * Project a point onto a line segment, returning the 0-1 parameter.
+     * GM-only Drawing showing a room's key number, one grid square up and
+     * left of the room's center so it doesn't cover the journal note.
      */
-    _projectParam(px, py, ax, ay, bx, by) {
-        const dx = bx - ax, dy = by - ay;
-        const len2 = dx * dx + dy * dy;
-        if (len2 < 0.01) return 0;
-        return ((px - ax) * dx + (py - ay) * dy) / len2;
+    _roomNumberDrawing(number, x, y, gridSize) {
+        const size = Math.max(30, Math.round(gridSize * 0.8));
+        return {
+            shape: { type: "e", width: size, height: size },
+            x: x - gridSize - size / 2,
+            y: y - gridSize - size / 2,
+            hidden: true,
+            fillType: 1,
+            fillColor: "#1a1410",
+            fillAlpha: 0.8,
+            strokeWidth: 3,
+            strokeColor: "#c9a44a",
+            strokeAlpha: 1,
+            text: String(number),
+            fontFamily: "Signika",
+            fontSize: Math.round(size * 0.55),
+            textColor: "#ffffff",
+            textAlpha: 1
+        };
     }
 
     /**
-     * Split a wall segment into sub-segments that leave gaps where doors are.
-     * @param {number[]} wall - [x1,y1,x2,y2] of the wall
-     * @param {Array} doors - Array of {c:[x1,y1,x2,y2]} door objects
-     * @param {number} tol - Tolerance in pixels for matching doors to walls
-     * @returns {Array} Array of {c:[x1,y1,x2,y2]} wall sub-segments
+     * Build a standalone, printable DM handout: per floor, the map with
+     * numbered room markers, then the numbered room key with read-aloud text,
+     * features, hazards and interactables. The map is the rendered image once
+     * there is one, else the layout image or the SVG itself.
+     * @param {Object} state - The pipeline state object
+     * @returns {Promise<string>} A complete HTML document
      */
-    _splitWallForDoors(wall, doors, tol = 6) {
-        const [ax, ay, bx, by] = wall;
-
-        // Find all doors that lie on this wall
-        const overlaps = [];
-        for (const door of doors) {
-            const [dx1, dy1, dx2, dy2] = door.c;
-            const onSeg1 = this._pointOnSegment(dx1, dy1, ax, ay, bx, by, tol);
-            const onSeg2 = this._pointOnSegment(dx2, dy2, ax, ay, bx, by, tol);
-            if (onSeg1 && onSeg2) {
-                let t1 = this._projectParam(dx1, dy1, ax, ay, bx, by);
-                let t2 = this._projectParam(dx2, dy2, ax, ay, bx, by);
-                if (t1 > t2) [t1, t2] = [t2, t1];
-                overlaps.push({ t1: Math.max(0, t1), t2: Math.min(1, t2) });
+    async buildHandoutHtml(state) {
+        if (!state?.outline || !state.svg) throw new Error("Pipeline state is incomplete. Cannot build handout.");
+
+        const outline = state.outline;
+        const numbers = SceneBuilder.roomNumbers(outline);
+        const outlines = ScenePipeline.levelOutlines(outline);
+        const floors = state.levels?.length > 1
+            ? state.levels.map(level => ({ ...level, outline: outlines.find(l => l.id === level.id)?.outline || outline }))
+            : [{ ...state, name: null, outline }];
+
+        const sections = [];
+        for (const floor of floors) {
+            const parts = [];
+            if (floor.name) parts.push(`<h2>${floor.name}</h2>`);
+
+            // Marker positions as percentages of the map, matching how the Scene is built
+            const layout = this.parser.parse(floor.svg, 100, 100);
+            const markers = [];
+            const placed = new Set();
+            for (const room of (layout?.rooms || [])) {
+                const id = String(room.id);
+                if (!numbers.has(id) || placed.has(id)) continue;
+                placed.add(id);
+                markers.push(`<span class="marker" style="left:${room.center[0].toFixed(2)}%;top:${room.center[1].toFixed(2)}%">${numbers.get(id)}</span>`);
+            }
+
+            const image = await this._imageDataUrl(floor.imageBuffer, floor.imagePath)
+                || await this._imageDataUrl(floor.layoutImageBuffer, floor.layoutImagePath);
+            const map = image
+                ? `<img src="${image}" alt="Map">`
+                : `<div class="svg-map">${floor.svg}</div>`;
+            parts.push(`<div class="map">${map}${markers.join("")}</div>`);
+
+            parts.push(`<h2>Map Key</h2>`);
+            for (const roomDef of (floor.outline.rooms || [])) {
+                const name = `${numbers.get(String(roomDef.id))}. ${roomDef.name || "Unknown Room"}`;
+                parts.push(`<section class="room">${this._buildJournalHtml({ ...roomDef, name })}</section>`);
             }
+            sections.push(`<div class="floor">${parts.join("\n")}</div>`);
         }
 
-        if (overlaps.length === 0) return [{ c: wall }];
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${outline.title || "Scene"} — DM Key</title>
+<style>
+body { font-family: Georgia, "Times New Roman", serif; color: #1a1a1a; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+h1 { margin-bottom: 4px; }
+.map { position: relative; margin: 16px 0; }
+.map img, .map .svg-map svg { display: block; width: 100%; height: auto; }
+.marker { position: absolute; transform: translate(-50%, -50%); width: 28px; height: 28px; line-height: 28px; border-radius: 50%;
+  background: #fff; border: 2px solid #000; text-align: center; font: bold 15px sans-serif; }
+.room { break-inside: avoid; border-top: 1px solid #999; padding-top: 4px; }
+.floor + .floor { break-before: page; }
+blockquote { background: #f3ede2 !important; color: #1a1a1a !important; }
+@media print { body { margin: 0; max-width: none; } .map { break-after: page; } }
+</style>
+</head>
+<body>
+<h1>${outline.title || "Untitled Scene"}</h1>
+${outline.description ? `<p><em>${outline.description}</em></p>` : ""}
+${sections.join("\n")}
+</body>
+</html>`;
+    }
 
-        // Sort and merge overlapping door ranges
-        overlaps.sort((a, b) => a.t1 - b.t1);
-        const merged = [overlaps[0]];
-        for (let i = 1; i < overlaps.length; i++) {
-            const last = merged[merged.length - 1];
-            if (overlaps[i].t1 <= last.t2 + 0.001) {
-                last.t2 = Math.max(last.t2, overlaps[i].t2);
-            } else {
-                merged.push(overlaps[i]);
-            }
+    /**
+     * Image as a data URL, from a base64 buffer or by loading a saved file.
+     * @returns {Promise<string|null>}
+     */
+    async _imageDataUrl(b64, path) {
+        if (b64) return `data:${this._imageType(b64).mime};base64,${b64}`;
+        if (!path) return null;
+        try {
+            return await ImageFiles.fetchDataUrl(path);
+        } catch (e) {
+            console.warn(`SceneBuilder | Could not load image "${path}" for the handout:`, e.message);
+            return null;
         }
+    }
 
-        // Build sub-segments around the gaps
-        const dx = bx - ax, dy = by - ay;
-        const lerp = (t) => [ax + dx * t, ay + dy * t];
-        const result = [];
-        let cursor = 0;
+    /**
+     * Detect an image's format from the start of its base64 data.
+     * @returns {{mime: string, ext: string}}
+     */
+    _imageType(b64) {
+        if (b64.startsWith("iVBOR")) return { mime: "image/png", ext: "png" };
+        if (b64.startsWith("UklGR")) return { mime: "image/webp", ext: "webp" };
+        return { mime: "image/jpeg", ext: "jpg" };
+    }
 
-        for (const gap of merged) {
-            if (gap.t1 > cursor + 0.001) {
-                const [sx, sy] = lerp(cursor);
-                const [ex, ey] = lerp(gap.t1);
-                result.push({ c: [sx, sy, ex, ey] });
-            }
-            cursor = gap.t2;
+    /**
+     * Map a parsed SVG door to Foundry wall data.
+     * @param {Object} door - Parsed door {c, type, material}
+     * @returns {Object|null} Wall data, or null for open archways that get no wall
+     */
+    _doorWallData(door) {
+        const kind = door.type in SceneBuilder.DOOR_KINDS ? door.type : "door";
+        const base = SceneBuilder.DOOR_KINDS[kind];
+        if (!base) return null;
+
+        const wall = { c: door.c, ...foundry.utils.deepClone(base) };
+        if (wall.door > 0) {
+            const sound = SceneBuilder.DOOR_SOUNDS[door.material] || SceneBuilder.DEFAULT_DOOR_SOUNDS[kind];
+            const known = CONFIG.Wall?.doorSounds;
+            if (sound && (!known || sound in known)) wall.doorSound = sound;
         }
-        if (cursor < 1 - 0.001) {
-            const [sx, sy] = lerp(cursor);
-            result.push({ c: [sx, sy, bx, by] });
+        return wall;
+    }
+
+    /**
+     * Create one JournalEntry per room inside a folder named after the scene.
+     * @param {Scene} scene
+     * @param {Array<{roomDef: Object, roomId: string, cx: number, cy: number}>} journalRooms
+     * @param {Map} roomAnchors - Updated with each room's journalId
+     * @returns {Promise<Object[]>} Note data pointing at the journals
+     */
+    async _createRoomJournals(scene, journalRooms, roomAnchors) {
+        // Reuse the journal folder from an earlier build so rebuilds don't orphan folders
+        let folder = game.folders.get(scene.getFlag(SceneBuilder.FLAG_SCOPE, "journalFolderId"));
+        if (!folder) {
+            folder = await Folder.create({ name: scene.name, type: "JournalEntry" });
+            await scene.setFlag(SceneBuilder.FLAG_SCOPE, "journalFolderId", folder.id);
         }
 
-        return result;
+        const notesData = [];
+        for (const { roomDef, roomId, cx, cy } of journalRooms) {
+            const journal = await JournalEntry.create({
+                name: roomDef.name || "Unknown Room",
+                folder: folder.id,
+                pages: [{
+                    name: roomDef.name || "Unknown Room",
+                    type: "text",
+                    text: { content: this._buildJournalHtml(roomDef) }
+                }],
+                flags: { [SceneBuilder.FLAG_SCOPE]: { generated: true, sceneId: scene.id } }
+            });
+            if (!journal) continue;
+
+            const anchor = roomAnchors.get(roomId);
+            if (anchor && !anchor.journalId) anchor.journalId = journal.id;
+            notesData.push(this._roomNoteData(cx, cy, journal.id, null, journal.name));
+        }
+        return notesData;
     }
 
     /**
-     * Approximate a circle/ellipse into N-gon edges.
-     * @returns {Array} Array of [x1,y1,x2,y2] edge segments
+     * Create a single JournalEntry for the scene: an overview page with a table
+     * of contents, then one page per room. Notes open the room's own page.
+     * @param {Scene} scene
+     * @param {Object} outline - The scene (or floor) outline
+     * @param {Array<{roomDef: Object, roomId: string, cx: number, cy: number}>} journalRooms
+     * @param {Map} roomAnchors - Updated with each room's journalId and pageId
+     * @returns {Promise<Object[]>} Note data pointing at the room pages
      */
-    _circleToEdges(cx, cy, rx, ry, segments = 24) {
-        const edges = [];
-        for (let i = 0; i < segments; i++) {
-            const a1 = (2 * Math.PI * i) / segments;
-            const a2 = (2 * Math.PI * (i + 1)) / segments;
-            edges.push([
-                cx + rx * Math.cos(a1), cy + ry * Math.sin(a1),
-                cx + rx * Math.cos(a2), cy + ry * Math.sin(a2)
-            ]);
-        }
-        return edges;
+    async _createAdventureJournal(scene, outline, journalRooms, roomAnchors) {
+        // Page ids are generated up front so the overview can link to pages that don't exist yet
+        const journalId = foundry.utils.randomID();
+        const rooms = journalRooms.map(r => ({ ...r, pageId: foundry.utils.randomID() }));
+
+        const pages = [
+            {
+                name: "Overview",
+                type: "text",
+                sort: 0,
+                text: { content: this._buildOverviewHtml(outline, journalId, rooms) }
+            },
+            ...rooms.map((r, i) => ({
+                _id: r.pageId,
+                name: r.roomDef.name || "Unknown Room",
+                type: "text",
+                sort: (i + 1) * 100000,
+                text: { content: this._buildJournalHtml(r.roomDef) }
+            }))
+        ];
+
+        const journal = await JournalEntry.create({
+            _id: journalId,
+            name: scene.name,
+            pages,
+            flags: { [SceneBuilder.FLAG_SCOPE]: { generated: true, sceneId: scene.id } }
+        }, { keepId: true });
+        if (!journal) return [];
+
+        const notesData = [];
+        for (const { roomDef, roomId, cx, cy, pageId } of rooms) {
+            const anchor = roomAnchors.get(roomId);
+            if (anchor && !anchor.journalId) Object.assign(anchor, { journalId: journal.id, pageId });
+            notesData.push(this._roomNoteData(cx, cy, journal.id, pageId, roomDef.name || "Unknown Room"));
+        }
+        console.log(`SceneBuilder | Created adventure journal "${journal.name}" with ${rooms.length} room pages.`);
+        return notesData;
     }
 
     /**
-     * Parse SVG <polygon> points attribute into edges.
-     * @returns {Array} Array of [x1,y1,x2,y2] edge segments
+     * Map Note data for a room's journal (and optionally a specific page).
      */
-    _polygonToEdges(pointsAttr) {
-        const nums = pointsAttr.trim().split(/[\s,]+/).map(Number);
-        const pts = [];
-        for (let i = 0; i < nums.length - 1; i += 2) {
-            pts.push([nums[i], nums[i + 1]]);
-        }
-        if (pts.length < 3) return [];
-        const edges = [];
-        for (let i = 0; i < pts.length; i++) {
-            const next = (i + 1) % pts.length;
-            edges.push([pts[i][0], pts[i][1], pts[next][0], pts[next][1]]);
-        }
-        return edges;
+    _roomNoteData(x, y, entryId, pageId, text) {
+        const note = {
+            x, y,
+            entryId,
+            icon: "icons/svg/book.svg",
+            iconSize: 40,
+            text,
+            fontFamily: "Signika",
+            fontSize: 32,
+            textAnchor: 1
+        };
+        if (pageId) note.pageId = pageId;
+        return note;
     }
 
     /**
-     * Parse a simple SVG <path> (M, L, A, Z commands) into edges.
-     * Arcs are approximated as line sub-segments.
-     * @returns {Array} Array of [x1,y1,x2,y2] edge segments
+     * Build the overview page: title, description and a linked table of contents.
      */
-    _pathToEdges(d) {
-        const edges = [];
-        // Tokenize: split into commands and their numeric args
-        const tokens = d.match(/[MLAZHVCSQmlahvcsqz]|[-+]?[0-9]*\.?[0-9]+/g);
-        if (!tokens) return edges;
-
-        let cx = 0, cy = 0, startX = 0, startY = 0;
-        let i = 0;
-        const num = () => parseFloat(tokens[i++]);
-
-        while (i < tokens.length) {
-            const cmd = tokens[i++];
-            switch (cmd) {
-                case 'M':
-                    cx = num(); cy = num();
-                    startX = cx; startY = cy;
-                    break;
-                case 'm':
-                    cx += num(); cy += num();
-                    startX = cx; startY = cy;
-                    break;
-                case 'L': {
-                    const nx = num(), ny = num();
-                    edges.push([cx, cy, nx, ny]);
-                    cx = nx; cy = ny;
-                    break;
-                }
-                case 'l': {
-                    const dx = num(), dy = num();
-                    const nx = cx + dx, ny = cy + dy;
-                    edges.push([cx, cy, nx, ny]);
-                    cx = nx; cy = ny;
-                    break;
-                }
-                case 'H': {
-                    const nx = num();
-                    edges.push([cx, cy, nx, cy]);
-                    cx = nx;
-                    break;
-                }
-                case 'h': {
-                    const dx = num();
-                    edges.push([cx, cy, cx + dx, cy]);
-                    cx += dx;
-                    break;
-                }
-                case 'V': {
-                    const ny = num();
-                    edges.push([cx, cy, cx, ny]);
-                    cy = ny;
-                    break;
-                }
-                case 'v': {
-                    const dy = num();
-                    edges.push([cx, cy, cx, cy + dy]);
-                    cy += dy;
-                    break;
-                }
-                case 'A': {
-                    // rx ry x-axis-rotation large-arc-flag sweep-flag x y
-                    const rx = num(), ry = num();
-                    num(); num(); num(); // rotation, large-arc, sweep (ignored for approx)
-                    const ex = num(), ey = num();
-                    // Approximate arc as 8 sub-segments
-                    const steps = 8;
-                    for (let s = 0; s < steps; s++) {
-                        const t1 = s / steps, t2 = (s + 1) / steps;
-                        const x1 = cx + (ex - cx) * t1, y1 = cy + (ey - cy) * t1;
-                        const x2 = cx + (ex - cx) * t2, y2 = cy + (ey - cy) * t2;
-                        edges.push([x1, y1, x2, y2]);
-                    }
-                    cx = ex; cy = ey;
-                    break;
-                }
-                case 'a': {
-                    const rx = num(), ry = num();
-                    num(); num(); num();
-                    const dx = num(), dy = num();
-                    const ex = cx + dx, ey = cy + dy;
-                    const steps = 8;
-                    for (let s = 0; s < steps; s++) {
-                        const t1 = s / steps, t2 = (s + 1) / steps;
-                        const x1 = cx + (ex - cx) * t1, y1 = cy + (ey - cy) * t1;
-                        const x2 = cx + (ex - cx) * t2, y2 = cy + (ey - cy) * t2;
-                        edges.push([x1, y1, x2, y2]);
-                    }
-                    cx = ex; cy = ey;
-                    break;
-                }
-                case 'Z':
-                case 'z':
-                    if (Math.hypot(cx - startX, cy - startY) > 0.5) {
-                        edges.push([cx, cy, startX, startY]);
-                    }
-                    cx = startX; cy = startY;
-                    break;
-                default:
-                    // Skip unknown commands / extra numbers
-                    break;
-            }
+    _buildOverviewHtml(outline, journalId, rooms) {
+        const parts = [];
+
+        parts.push(`<h1>${outline?.title || "Untitled Scene"}</h1>`);
+        if (outline?.description) {
+            parts.push(`<p><em>${outline.description}</em></p>`);
         }
-        return edges;
+
+        parts.push(`<h2>Contents</h2>`);
+        const items = rooms.map(r => {
+            const name = r.roomDef.name || "Unknown Room";
+            const purpose = r.roomDef.purpose ? ` — ${r.roomDef.purpose}` : "";
+            return `<li>@UUID[JournalEntry.${journalId}.JournalEntryPage.${r.pageId}]{${name}}${purpose}</li>`;
+        });
+        parts.push(`<ol>${items.join("")}</ol>`);
+
+        return parts.join("\n");
     }
 
     /**
@@ -378,256 +742,183 @@ export class SceneBuilder {
 
     /**
      * Parse the abstract SVG to extract locations for walls, journals, and lights.
-     * Doors are parsed FIRST so wall segments can be split around them.
+     * Doors are parsed FIRST so the wall graph can cut gaps for them.
+     * @returns {Promise<Map<string, {x: number, y: number, journalId: string|null, pageId: string|null}>>}
+     *   Scene position and journal (and page) of every matched outline room, keyed by room id
      */
     async _addElementsFromSvgAndState(scene, state, targetW, targetH) {
-        const svgString = state.svg;
         const outline = state.outline;
 
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(svgString, "image/svg+xml");
-        const svgElement = doc.documentElement;
-
-        if (svgElement.tagName.toLowerCase() !== "svg") {
+        const layout = this.parser.parse(state.svg, targetW, targetH);
+        if (!layout) {
             console.warn("SceneBuilder | Invalid SVG string; skipping wall/light placement.");
-            return;
-        }
-
-        // Determine coordinate scale
-        let viewBox = svgElement.getAttribute("viewBox");
-        let scaleX = 1, scaleY = 1;
-
-        if (viewBox) {
-            const parts = viewBox.split(/[ ,]+/).map(Number);
-            if (parts.length === 4) {
-                const vw = parts[2] - parts[0];
-                const vh = parts[3] - parts[1];
-                scaleX = targetW / vw;
-                scaleY = targetH / vh;
-            }
-        } else {
-            scaleX = targetW / 1000;
-            scaleY = targetH / 1000;
+            return new Map();
         }
 
         const offsetX = scene.dimensions?.sceneX || 0;
         const offsetY = scene.dimensions?.sceneY || 0;
+        const shift = ([x1, y1, x2, y2]) => [x1 + offsetX, y1 + offsetY, x2 + offsetX, y2 + offsetY];
+        // Optionally snap wall and door geometry onto the grid; walls that collapse to a point are dropped
+        const snap = state.options?.snapToGrid
+            ? (c, resolution) => GridConfig.snapSegment(scene, c, { resolution })
+            : (c) => c;
+        const unitsPerPixel = (scene.grid?.distance || 5) / (scene.grid?.size || 40);
+        const numberRooms = !!state.options?.numberRooms;
+        const numbers = state.roomNumbers || SceneBuilder.roomNumbers(outline);
+        // Imported maps bring their own lights in place of the per-room ones
+        const mapLights = state.lights?.length ? state.lights : null;
 
         const wallsData = [];
         const lightsData = [];
         const notesData = [];
-        const journalEntries = [];
+        const regionsData = [];
+        const drawingsData = [];
+        const journalRooms = [];
+        const roomAnchors = new Map();
 
         // ──────────────────────────────────────────────────
         // STEP 1: Parse ALL doors first so we can split walls around them
         // ──────────────────────────────────────────────────
-        const doorSegments = [];
-        const lines = svgElement.querySelectorAll("line");
-        lines.forEach(line => {
-            const x1 = (Number(line.getAttribute("x1")) || 0) * scaleX + offsetX;
-            const y1 = (Number(line.getAttribute("y1")) || 0) * scaleY + offsetY;
-            const x2 = (Number(line.getAttribute("x2")) || 0) * scaleX + offsetX;
-            const y2 = (Number(line.getAttribute("y2")) || 0) * scaleY + offsetY;
-            if (x1 === x2 && y1 === y2) return;
-            doorSegments.push({ c: [x1, y1, x2, y2], door: 1, ds: 0 });
-        });
-
-        // Add door segments to wall data
-        doorSegments.forEach(d => wallsData.push(d));
-        console.log(`SceneBuilder | Found ${doorSegments.length} door segment(s).`);
+        // Every opening (archways included) cuts a gap; only real doors and windows become walls
+        const doorSegments = layout.doors
+            .map(door => ({ ...door, c: snap(shift(door.c), 2) }))
+            .filter(door => door.c);
+        const doorKinds = {};
+        for (const door of doorSegments) {
+            const wall = this._doorWallData(door);
+            if (wall) wallsData.push(wall);
+            doorKinds[door.type] = (doorKinds[door.type] || 0) + 1;
+        }
+        const doorCount = wallsData.length;
+        console.log(`SceneBuilder | Found ${doorSegments.length} door segment(s):`, doorKinds);
 
         // ──────────────────────────────────────────────────
-        // STEP 2: Parse room shapes and split walls around doors
+        // STEP 2: Walk room shapes, feeding their edges into the wall graph
         // ──────────────────────────────────────────────────
+        const wallGraph = new WallGraph();
         let roomIndex = 0;
 
-        /**
-         * Process a single room shape: create walls (split around doors),
-         * a light placeholder, and a journal entry.
-         */
-        const processRoom = (el, edges, cx, cy, radius) => {
-            const isOutdoor = el.getAttribute("data-outdoor") === "true";
-
-            // Create walls (split around doors) unless outdoor
-            if (!isOutdoor) {
-                for (const edge of edges) {
-                    const scaled = [
-                        edge[0] * scaleX + offsetX,
-                        edge[1] * scaleY + offsetY,
-                        edge[2] * scaleX + offsetX,
-                        edge[3] * scaleY + offsetY
-                    ];
-                    const subWalls = this._splitWallForDoors(scaled, doorSegments);
-                    subWalls.forEach(sw => wallsData.push(sw));
-                }
+        // Layouts with explicit walls (imported maps) use those instead of the room outlines
+        const explicitWalls = layout.walls.length > 0;
+        layout.walls.forEach(wall => {
+            const segment = snap(shift(wall), 1);
+            if (segment) wallGraph.addSegment(segment);
+        });
+
+        for (const room of layout.rooms) {
+            // Outdoor rooms get no walls
+            if (!room.outdoor && !explicitWalls) {
+                room.edges.forEach(edge => {
+                    const segment = snap(shift(edge), 1);
+                    if (segment) wallGraph.addSegment(segment);
+                });
             }
 
             // Scaled center
-            const sCx = cx * scaleX + offsetX;
-            const sCy = cy * scaleY + offsetY;
-            const sRadius = radius * Math.max(scaleX, scaleY);
-
-            // Placeholder light (will be replaced by AI vision lights in improvement #4)
-            lightsData.push({
-                x: sCx, y: sCy, rotation: 0,
-                config: {
-                    dim: sRadius * 2,
-                    bright: sRadius,
-                    color: "#ffc880",
-                    alpha: 0.2
-                }
-            });
+            const sCx = room.center[0] + offsetX;
+            const sCy = room.center[1] + offsetY;
 
             // Match with outline room
-            const roomId = el.getAttribute("data-room-id");
             let roomDef;
-            if (roomId && outline.rooms) {
-                roomDef = outline.rooms.find(r => String(r.id) === String(roomId));
+            if (room.id && outline.rooms) {
+                roomDef = outline.rooms.find(r => String(r.id) === String(room.id));
             }
             if (!roomDef && outline.rooms && outline.rooms[roomIndex]) {
                 roomDef = outline.rooms[roomIndex];
                 roomIndex++;
             }
 
-            if (roomDef) {
-                journalEntries.push({
-                    name: roomDef.name || "Unknown Room",
-                    pages: [{
-                        name: roomDef.name || "Unknown Room",
-                        type: "text",
-                        text: { content: this._buildJournalHtml(roomDef) }
-                    }],
-                    _c: { cx: sCx, cy: sCy }
-                });
+            // Light shaped by the room's atmosphere (radii in scene distance units)
+            const profile = LightingProfiles.forRoom(roomDef);
+            const lightConfig = LightingProfiles.lightConfig(profile, room.radius * unitsPerPixel);
+            if (lightConfig && !mapLights) {
+                lightsData.push({ x: sCx, y: sCy, rotation: 0, config: lightConfig });
             }
-        };
 
-        // ── Rectangles ──
-        svgElement.querySelectorAll("rect").forEach(rect => {
-            const x = Number(rect.getAttribute("x")) || 0;
-            const y = Number(rect.getAttribute("y")) || 0;
-            const w = Number(rect.getAttribute("width")) || 0;
-            const h = Number(rect.getAttribute("height")) || 0;
-            if (w === 0 || h === 0) return;
-
-            const edges = [
-                [x, y, x + w, y],
-                [x + w, y, x + w, y + h],
-                [x + w, y + h, x, y + h],
-                [x, y + h, x, y]
-            ];
-            processRoom(rect, edges, x + w / 2, y + h / 2, Math.max(w, h) / 2);
-        });
-
-        // ── Circles ──
-        svgElement.querySelectorAll("circle").forEach(circle => {
-            const cx = Number(circle.getAttribute("cx")) || 0;
-            const cy = Number(circle.getAttribute("cy")) || 0;
-            const r = Number(circle.getAttribute("r")) || 0;
-            if (r === 0) return;
-            const edges = this._circleToEdges(cx, cy, r, r, 24);
-            processRoom(circle, edges, cx, cy, r);
-        });
-
-        // ── Ellipses ──
-        svgElement.querySelectorAll("ellipse").forEach(ellipse => {
-            const cx = Number(ellipse.getAttribute("cx")) || 0;
-            const cy = Number(ellipse.getAttribute("cy")) || 0;
-            const rx = Number(ellipse.getAttribute("rx")) || 0;
-            const ry = Number(ellipse.getAttribute("ry")) || 0;
-            if (rx === 0 || ry === 0) return;
-            const edges = this._circleToEdges(cx, cy, rx, ry, 24);
-            processRoom(ellipse, edges, cx, cy, Math.max(rx, ry));
-        });
+            if (roomDef && !roomAnchors.has(String(roomDef.id))) {
+                roomAnchors.set(String(roomDef.id), { x: sCx, y: sCy, journalId: null, pageId: null });
+            }
 
-        // ── Polygons ──
-        svgElement.querySelectorAll("polygon").forEach(poly => {
-            const pts = poly.getAttribute("points");
-            if (!pts) return;
-            const edges = this._polygonToEdges(pts);
-            if (edges.length === 0) return;
-            // Compute centroid
-            const nums = pts.trim().split(/[\s,]+/).map(Number);
-            let cx = 0, cy = 0, count = 0;
-            for (let i = 0; i < nums.length - 1; i += 2) {
-                cx += nums[i]; cy += nums[i + 1]; count++;
+            // Region with read-aloud and hazard behaviours
+            if (roomDef) {
+                const region = RoomRegions.buildRegionData(roomDef, RoomRegions.edgesToPoints(room.edges.map(shift)));
+                if (region) regionsData.push(region);
             }
-            cx /= count; cy /= count;
-            const maxDist = edges.reduce((m, e) => Math.max(m, Math.hypot(e[0] - cx, e[1] - cy)), 0);
-            processRoom(poly, edges, cx, cy, maxDist);
-        });
 
-        // ── Paths ──
-        svgElement.querySelectorAll("path").forEach(pathEl => {
-            const d = pathEl.getAttribute("d");
-            if (!d) return;
-            const edges = this._pathToEdges(d);
-            if (edges.length === 0) return;
-            // Compute centroid from edge midpoints
-            let cx = 0, cy = 0;
-            for (const e of edges) {
-                cx += (e[0] + e[2]) / 2;
-                cy += (e[1] + e[3]) / 2;
+            if (roomDef) {
+                const roomId = String(roomDef.id);
+                const number = numberRooms ? numbers.get(roomId) : null;
+                if (number && !journalRooms.some(r => r.roomId === roomId)) {
+                    drawingsData.push(this._roomNumberDrawing(number, sCx, sCy, scene.grid?.size || 40));
+                }
+                // Journals and notes carry the key number so they match the GM-only markers
+                const named = number ? { ...roomDef, name: `${number}. ${roomDef.name || "Unknown Room"}` } : roomDef;
+                journalRooms.push({ roomDef: named, roomId, cx: sCx, cy: sCy });
             }
-            cx /= edges.length; cy /= edges.length;
-            const maxDist = edges.reduce((m, e) => Math.max(m, Math.hypot(e[0] - cx, e[1] - cy)), 0);
-            processRoom(pathEl, edges, cx, cy, maxDist);
-        });
+        }
+
+        for (const light of (mapLights || [])) {
+            const dim = Math.round(light.range * (scene.grid?.distance || 5) * 10) / 10;
+            lightsData.push({
+                x: light.x * targetW + offsetX,
+                y: light.y * targetH + offsetY,
+                rotation: 0,
+                config: { dim, bright: Math.round(dim * 5) / 10, color: light.color, alpha: 0.5 }
+            });
+        }
+
+        // Shared edges are merged and junctions split before door gaps are cut,
+        // so each physical wall is emitted exactly once
+        wallGraph.resolve(doorSegments).forEach(w => wallsData.push(w));
 
         // ──────────────────────────────────────────────────
         // STEP 3: Create Journals & Notes
         // ──────────────────────────────────────────────────
-        if (journalEntries.length > 0) {
-            let folder = await Folder.create({ name: scene.name, type: "JournalEntry" });
-            for (const jeData of journalEntries) {
-                jeData.folder = folder.id;
-                const coords = jeData._c;
-                delete jeData._c;
-                const journal = await JournalEntry.create(jeData);
-                if (journal) {
-                    notesData.push({
-                        x: coords.cx, y: coords.cy,
-                        entryId: journal.id,
-                        icon: "icons/svg/book.svg",
-                        iconSize: 40,
-                        text: journal.name,
-                        fontFamily: "Signika",
-                        fontSize: 32,
-                        textAnchor: 1
-                    });
-                }
-            }
+        if (journalRooms.length > 0) {
+            const notes = state.options?.singleJournal
+                ? await this._createAdventureJournal(scene, state.outline, journalRooms, roomAnchors)
+                : await this._createRoomJournals(scene, journalRooms, roomAnchors);
+            notes.forEach(n => notesData.push(n));
         }
 
         // ──────────────────────────────────────────────────
         // STEP 4: Embed documents into scene
         // ──────────────────────────────────────────────────
         if (wallsData.length > 0 && state.options?.generateWalls !== false) {
-            await scene.createEmbeddedDocuments("Wall", wallsData);
+            await scene.createEmbeddedDocuments("Wall", wallsData.map(d => this._flagged(d)));
         } else if (state.options?.generateWalls === false) {
             console.log("SceneBuilder | Wall generation disabled by user, skipping.");
         }
-        if (lightsData.length > 0) await scene.createEmbeddedDocuments("AmbientLight", lightsData);
-        if (notesData.length > 0) await scene.createEmbeddedDocuments("Note", notesData);
+        if (lightsData.length > 0) await scene.createEmbeddedDocuments("AmbientLight", lightsData.map(d => this._flagged(d)));
+        if (notesData.length > 0) await scene.createEmbeddedDocuments("Note", notesData.map(d => this._flagged(d)));
+        if (drawingsData.length > 0) {
+            await scene.createEmbeddedDocuments("Drawing", drawingsData.map(d => this._flagged(d)));
+            console.log(`SceneBuilder | Placed ${drawingsData.length} GM-only room number(s).`);
+        }
+        if (regionsData.length > 0 && state.options?.createRegions !== false && CONFIG.Region) {
+            await scene.createEmbeddedDocuments("Region", regionsData.map(d => this._flagged(d)));
+            console.log(`SceneBuilder | Created ${regionsData.length} room region(s).`);
+        }
 
-        const doorCount = doorSegments.length;
         const wallCount = state.options?.generateWalls !== false ? wallsData.length - doorCount : 0;
         console.log(`SceneBuilder | Placed ${wallCount} wall segments + ${doorCount} doors, ${lightsData.length} lights, and ${notesData.length} journals.`);
 
         // Tile overlay
-        if (state.options?.includeTileOverlay && state.layoutImageBuffer) {
+        if (state.options?.includeTileOverlay && (state.layoutImageBuffer || state.layoutImagePath)) {
             try {
-                const tilePath = await this._saveImageBuffer(state.layoutImageBuffer, state.outline.title + "-tile-overlay");
-                await scene.createEmbeddedDocuments("Tile", [{
+                const tilePath = state.layoutImagePath || await this._saveImageBuffer(state.layoutImageBuffer, state.outline.title + "-tile-overlay");
+                await scene.createEmbeddedDocuments("Tile", [this._flagged({
                     texture: { src: tilePath },
                     x: offsetX, y: offsetY,
                     width: targetW, height: targetH,
                     overhead: false, alpha: 0.5, z: 100
-                }]);
+                })]);
                 console.log("SceneBuilder | Added layout image as tile overlay.");
             } catch (e) {
                 console.warn("SceneBuilder | Failed to add tile overlay:", e.message);
             }
         }
+
+        return roomAnchors;
     }
 }
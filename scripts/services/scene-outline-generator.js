@@ -1,9 +1,14 @@
-import { callGemini, extractJson } from "../../../vibe-common/scripts/services/gemini-service.js";
+import { extractJson } from "../../../vibe-common/scripts/services/gemini-service.js";
+import { OutlineSchema } from "./outline-schema.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
 
 /**
  * Phase 1 Generator: User Concept -> Textual Outline
  */
 export class SceneOutlineGenerator {
+    /** Extra attempts allowed when the model's outline fails validation */
+    static MAX_REPAIRS = 2;
+
     constructor(apiKey) {
         this.apiKey = apiKey;
     }
@@ -16,9 +21,17 @@ Output JSON only, in the following format:
 {
   "title": "A short descriptive name for this scene",
   "description": "A 1-2 sentence description of the overall vibe and atmosphere",
+  "levels": [
+    {
+      "id": "A unique lowercase identifier for the floor (e.g., 'ground', 'cellar', 'tower-top')",
+      "name": "Floor name (e.g., 'Ground Floor', 'Wine Cellar')",
+      "elevation": "Integer floor number: 0 for ground, negative below, positive above"
+    }
+  ],
   "rooms": [
     {
       "id": "A unique lowercase identifier (e.g., 'foyer', 'cell-1')",
+      "level": "The id of the level this room is on (omit when there is only one level)",
       "name": "Room name",
       "purpose": "What this room is used for",
       "approximateSize": "small, medium, or large",
@@ -29,36 +42,98 @@ Output JSON only, in the following format:
       "hazards": ["Optional: any trap, environmental hazard, or danger in this room"],
       "interactables": ["Optional: things players can investigate, manipulate, or interact with (e.g., 'A locked iron chest beneath the altar', 'A suspicious lever on the wall')"]
     }
+  ],
+  "stairs": [
+    {
+      "from": "room-id on one level",
+      "to": "room-id on a different level",
+      "type": "stairs | ladder"
+    }
+  ],
+  "connections": [
+    {
+      "between": ["room-id-a", "room-id-b or 'outside'"],
+      "type": "door | secret | locked | window | portcullis | archway",
+      "material": "wood | stone | metal | magic"
+    }
   ]
 }
 
 GUIDELINES:
 - Every room MUST have readAloud, atmosphere, and at least 1-2 features.
 - hazards and interactables are optional but encouraged — at least 30-50% of rooms should have one or both.
+- "connections" is the complete door graph: list EVERY opening between two rooms, including ordinary doors ("type": "door"). Use "outside" as one of the ids for entrances from the outside world. Every other id in "between" must exist in "rooms", and the two rooms must be on the same level.
+- Every room must be reachable: following "connections" (and "stairs" between levels) from an entrance must lead to every room. Connected rooms will be drawn sharing a wall, so keep the graph plausible for a floor plan.
+- "levels" and "stairs" are only for multi-floor locations (cellars, towers, upper galleries). For a single floor, omit both. When there are several levels, every room MUST have a "level", and every level must be reachable through "stairs" (which connect rooms on DIFFERENT levels).
 - For outdoor areas (courtyards, gardens, clearings), set shapeHint to "polygon" or "circle" as appropriate.
 - Be creative with the descriptions — these will become the DM's reference during gameplay.`;
     }
 
-    async generateOutline(userPrompt) {
+    /**
+     * Generate an outline for a concept. The response is constrained by
+     * OutlineSchema.RESPONSE_SCHEMA and validated locally; when validation
+     * fails, the errors are sent back to the model for a corrected outline.
+     * @param {string} userPrompt - The user's idea for the scene
+     * @param {AbortSignal} [abortSignal] - Optional abort signal
+     * @returns {Promise<Object>} A valid outline, stamped with its schemaVersion
+     */
+    async generateOutline(userPrompt, abortSignal) {
         console.log("SceneOutlineGenerator | Generating outline for prompt:", userPrompt);
         const fullPrompt = `${this.systemPrompt}\n\nUSER PROMPT: ${userPrompt}`;
+        const attempts = 1 + SceneOutlineGenerator.MAX_REPAIRS;
+        let prompt = fullPrompt;
+        let errors = [];
 
         try {
-            const responseText = await callGemini({
-                apiKey: this.apiKey,
-                prompt: fullPrompt,
-                responseSchema: null // Using null schema format to let extractJson handle it based on old pattern
-            });
+            const { provider, model } = ProviderRegistry.forPhase("outline", { geminiApiKey: this.apiKey });
+            for (let attempt = 1; attempt <= attempts; attempt++) {
+                const responseText = await provider.generateText({ model, prompt, responseSchema: OutlineSchema.RESPONSE_SCHEMA }, abortSignal);
+                console.log(`SceneOutlineGenerator | Raw Response received (attempt ${attempt}/${attempts}).`);
 
-            console.log("SceneOutlineGenerator | Raw Response received.");
-            const outline = extractJson(responseText);
-            console.log("SceneOutlineGenerator | Parsed Outline:", outline);
+                let outline = null;
+                try {
+                    outline = OutlineSchema.normalize(extractJson(responseText));
+                    ({ errors } = OutlineSchema.validate(outline));
+                } catch (e) {
+                    errors = [`The response was not valid JSON: ${e.message}`];
+                }
 
-            return outline;
+                if (errors.length === 0) {
+                    outline.schemaVersion = OutlineSchema.VERSION;
+                    console.log("SceneOutlineGenerator | Parsed Outline:", outline);
+                    return outline;
+                }
+
+                console.warn(`SceneOutlineGenerator | Outline failed validation (${errors.length} problem(s)):`, errors);
+                prompt = this._repairPrompt(fullPrompt, responseText, errors);
+            }
+
+            const shown = errors.slice(0, 5).join(" ");
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : "";
+            throw new Error(`The outline was still invalid after ${attempts} attempts: ${shown}${more}`);
 
         } catch (error) {
             console.error("SceneOutlineGenerator | Error during generation:", error);
             throw error;
         }
     }
+
+    /**
+     * Prompt asking the model to fix its previous response.
+     * @param {string} fullPrompt - The original prompt
+     * @param {string} responseText - The rejected response
+     * @param {string[]} errors - Validation errors for it
+     * @returns {string}
+     */
+    _repairPrompt(fullPrompt, responseText, errors) {
+        return `${fullPrompt}
+
+YOUR PREVIOUS RESPONSE:
+${responseText}
+
+It was rejected because of these problems:
+${errors.map(e => `- ${e}`).join("\n")}
+
+Return the complete corrected outline as JSON, fixing every problem listed while keeping everything else the same.`;
+    }
 }
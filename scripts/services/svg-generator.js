@@ -1,4 +1,4 @@
-import { callGemini } from "../../../vibe-common/scripts/services/gemini-service.js";
+import { ProviderRegistry } from "./providers/provider-registry.js";
 
 /**
  * Phase 2 Generator: Textual Outline -> SVG Layout
@@ -22,7 +22,7 @@ SHAPE VARIETY — pick the best shape for each room:
 - <rect> for standard rectangular rooms, hallways, closets.
 - <circle> or <ellipse> for round chambers, towers, arenas, wells, circular pits.
 - <polygon> for irregular rooms: L-shaped rooms, natural caves, triangular alcoves, trapezoid rooms, or any room that is NOT a simple rectangle.
-- <path> with simple arc (A) commands for rooms with curved walls, partial circles, apse-shaped areas, or winding corridors.
+- <path> with arc (A) or Bézier curve (C, S, Q, T) commands for rooms with curved walls, partial circles, apse-shaped areas, or winding corridors.
 - Choose the shape that BEST represents the room's description. NOT everything should be a rectangle. Caves should be irregular polygons. Towers should be circles. Be creative and architectural.
 
 ROOM ATTRIBUTES — REQUIRED:
@@ -42,12 +42,18 @@ DOOR RULES — CORRECT ORIENTATION:
 - The door line should be centered on the shared edge and be shorter than the wall (about 40-80 units long).
 - NEVER draw a door perpendicular to the wall. A door on a vertical shared edge = vertical line. A door on a horizontal shared edge = horizontal line.
 
+DOOR KINDS:
+- Every door <line> MAY carry a \`data-door\` attribute: "door" (default), "secret", "locked", "window", "portcullis", or "archway" (an open passage with no door).
+- Every door <line> MAY carry a \`data-material\` attribute: "wood", "stone", "metal", or "magic".
+- If the SCENE OUTLINE has a "connections" list, draw EXACTLY one door <line> for each connection — no more, no fewer — on the edge shared by its two "between" rooms, and set \`data-door\` and \`data-material\` to its "type" and "material". Connected rooms MUST share a wall. A connection to "outside" goes on an exterior wall of its room.
+- Older outlines have a "doors" list instead, naming only the notable doors: draw those the same way, and add ordinary doors wherever rooms need connecting.
+
 - Add simple text labels in the center of rooms to identify them. Text should be white or high contrast.
 - Ensure the viewBox is appropriately sized (e.g., "0 0 1000 1000").
 - No markdown formatting wrappers like \`\`\`svg or HTML wrappers. Just output the raw <svg>...</svg> element.`;
     }
 
-    async generateSvg(outline, options = {}) {
+    async generateSvg(outline, options = {}, abortSignal) {
         console.log("SvgGenerator | Generating SVG layout for outline:", outline.title);
 
         // Convert outline JSON to a clean string format for the prompt
@@ -55,39 +61,80 @@ DOOR RULES — CORRECT ORIENTATION:
         const fullPrompt = `${this.getSystemPrompt()}\n\nSCENE OUTLINE:\n${outlineContext}`;
 
         try {
-            let svg = await callGemini({
-                apiKey: this.apiKey,
-                prompt: fullPrompt,
-                responseSchema: null
-            });
+            const { provider, model } = ProviderRegistry.forPhase("svg", { geminiApiKey: this.apiKey });
+            const svg = await provider.generateText({ model, prompt: fullPrompt }, abortSignal);
 
             console.log("SvgGenerator | Raw SVG Response received.");
+            return this._extractSvg(svg);
 
-            // Clean up markdown wrappers if Gemini still includes them
-            svg = svg.trim();
-            const match = svg.match(/```(?:svg|xml)?\s*([\s\S]*?)\s*```/i);
-            if (match && match[1]) {
-                svg = match[1].trim();
-            }
+        } catch (error) {
+            console.error("SvgGenerator | Error during generation:", error);
+            throw error;
+        }
+    }
 
-            if (!svg.startsWith('<svg') || !svg.endsWith('</svg>')) {
-                console.warn("SvgGenerator | Did not receive a clean SVG string. Attempting fallback.");
-                // Basic fallback extraction if possible
-                const startIdx = svg.indexOf('<svg');
-                const endIdx = svg.lastIndexOf('</svg>');
-                if (startIdx !== -1 && endIdx !== -1) {
-                    svg = svg.substring(startIdx, endIdx + 6);
-                } else {
-                    throw new Error("Failed to generate valid SVG format.");
-                }
-            }
+    /**
+     * Ask the model to correct an existing layout, given the problems the
+     * layout checks could not fix on their own.
+     * @param {Object} outline - The scene (or floor) outline
+     * @param {string} svg - The current SVG layout
+     * @param {string[]} issues - Problems to fix
+     * @param {AbortSignal} [abortSignal] - Optional abort signal
+     * @returns {Promise<string>} The corrected SVG
+     */
+    async reviseSvg(outline, svg, issues, abortSignal) {
+        console.log(`SvgGenerator | Revising SVG layout for ${issues.length} issue(s).`);
+
+        const fullPrompt = `${this.getSystemPrompt()}
+
+SCENE OUTLINE:
+${JSON.stringify(outline, null, 2)}
+
+CURRENT SVG:
+${svg}
+
+PROBLEMS FOUND IN THE CURRENT SVG:
+${issues.map(i => `- ${i}`).join("\n")}
 
-            console.log("SvgGenerator | Extracted SVG string.");
-            return svg;
+Return a corrected version of the CURRENT SVG that fixes every problem above. Keep everything that is already correct (room positions, sizes and ids) unchanged.`;
+
+        try {
+            const { provider, model } = ProviderRegistry.forPhase("svg", { geminiApiKey: this.apiKey });
+            const revised = await provider.generateText({ model, prompt: fullPrompt }, abortSignal);
+
+            console.log("SvgGenerator | Revised SVG Response received.");
+            return this._extractSvg(revised);
 
         } catch (error) {
-            console.error("SvgGenerator | Error during generation:", error);
+            console.error("SvgGenerator | Error during revision:", error);
             throw error;
         }
     }
+
+    /**
+     * Pull the raw <svg>...</svg> element out of a model response.
+     */
+    _extractSvg(svg) {
+        // Clean up markdown wrappers if Gemini still includes them
+        svg = svg.trim();
+        const match = svg.match(/```(?:svg|xml)?\s*([\s\S]*?)\s*```/i);
+        if (match && match[1]) {
+            svg = match[1].trim();
+        }
+
+        if (!svg.startsWith('<svg') || !svg.endsWith('</svg>')) {
+            console.warn("SvgGenerator | Did not receive a clean SVG string. Attempting fallback.");
+            // Basic fallback extraction if possible
+            const startIdx = svg.indexOf('<svg');
+            const endIdx = svg.lastIndexOf('</svg>');
+            if (startIdx !== -1 && endIdx !== -1) {
+                svg = svg.substring(startIdx, endIdx + 6);
+            } else {
+                throw new Error("Failed to generate valid SVG format.");
+            }
+        }
+
+        console.log("SvgGenerator | Extracted SVG string.");
+        return svg;
+    }
 }
@@ -0,0 +1,131 @@
+import { SvgLayoutLinter } from "./svg-layout-linter.js";
+import { ConnectionVerifier } from "./connection-verifier.js";
+
+/**
+ * SVG Layout Importer
+ * Prepares a hand-drawn SVG floorplan (e.g. from Inkscape) for the pipeline:
+ * every room shape gets a `data-room-id`, props drawn inside rooms are
+ * removed, and the rooms and door connections are measured so an outline
+ * can be written for them.
+ *
+ * Rooms are filled shapes (rect, circle, ellipse, polygon, path) and doors
+ * are <line> elements, as in generated layouts. Room ids already in the file
+ * are kept; other rooms are named after a text label inside them, or
+ * numbered ("area-1", "area-2", ...).
+ */
+export class SvgLayoutImporter {
+    /** Measurement space, shared with the linter and connection verifier */
+    static SPACE = 1000;
+
+    /** Grid squares assumed across the measurement space when describing room sizes */
+    static SQUARES_ACROSS = 40;
+
+    constructor() {
+        this.linter = new SvgLayoutLinter();
+        this.verifier = new ConnectionVerifier();
+    }
+
+    /**
+     * Assign room ids and measure the layout.
+     * @param {string} svg - The SVG floorplan
+     * @returns {{svg: string, spaces: Array, connections: Array, columns: number, rows: number, fixes: string[]}}
+     *   Spaces are {id, label, squares, bounds, outdoor} with bounds in grid squares; connections
+     *   are {between, type} read from the doors drawn on shared edges.
+     */
+    prepare(svg) {
+        const doc = new DOMParser().parseFromString(String(svg || ""), "image/svg+xml");
+        const root = doc.documentElement;
+        if (!root || root.tagName.toLowerCase() !== "svg" || doc.querySelector("parsererror")) {
+            throw new Error("The file is not a valid SVG document.");
+        }
+
+        const fixes = [];
+        const measured = this.linter.measure(root, fixes);
+        const shapes = this._dropProps(measured.shapes, fixes);
+        if (shapes.length === 0) throw new Error("No room shapes (rect, circle, ellipse, polygon or path) were found in the SVG.");
+
+        this._assignIds(shapes, measured.labels, fixes);
+
+        const result = new XMLSerializer().serializeToString(doc);
+        const connections = this.verifier.drawnConnections(result);
+
+        const unit = SvgLayoutImporter.SPACE / SvgLayoutImporter.SQUARES_ACROSS;
+        const spaces = shapes.map(shape => ({
+            id: shape.id,
+            label: shape.label || null,
+            squares: Math.max(1, Math.round(shape.area / (unit * unit))),
+            bounds: {
+                x: shape.bbox[0] / unit,
+                y: shape.bbox[1] / unit,
+                width: (shape.bbox[2] - shape.bbox[0]) / unit,
+                height: (shape.bbox[3] - shape.bbox[1]) / unit
+            },
+            outdoor: shape.el.getAttribute("data-outdoor") === "true"
+        }));
+
+        console.log(`SvgLayoutImporter | ${spaces.length} room(s), ${connections.length} connection(s), ${fixes.length} fix(es).`);
+        return {
+            svg: result,
+            spaces,
+            connections,
+            columns: SvgLayoutImporter.SQUARES_ACROSS,
+            rows: SvgLayoutImporter.SQUARES_ACROSS,
+            fixes
+        };
+    }
+
+    /**
+     * Remove unlabelled shapes that are props rather than rooms: tiny shapes
+     * and shapes drawn inside a larger one. Shapes with a room id are kept.
+     * @returns {Array} The remaining room shapes
+     */
+    _dropProps(shapes, fixes) {
+        const space = SvgLayoutImporter.SPACE * SvgLayoutImporter.SPACE;
+        return shapes.filter(shape => {
+            if (shape.id) return true;
+            const host = shapes.find(s => s !== shape && s.area > shape.area && SvgLayoutLinter.pointInPolygon(shape.center[0], shape.center[1], s.polygon));
+            if (!host && shape.area >= space * 0.002) return true;
+            shape.el.remove();
+            fixes.push(`Removed a ${host ? "" : "small "}<${shape.tag}> that looks like a prop, not a room.`);
+            return false;
+        });
+    }
+
+    /**
+     * Give every shape a unique data-room-id: its own if it has one, else a
+     * slug of the text label inside it, else the next free "area-N".
+     */
+    _assignIds(shapes, labels, fixes) {
+        const taken = new Set();
+        const unique = (base) => {
+            let id = base, n = 2;
+            while (taken.has(id)) id = `${base}-${n++}`;
+            taken.add(id);
+            return id;
+        };
+        let counter = 1;
+
+        // Ids drawn in the file claim their names before generated ones
+        for (const shape of [...shapes.filter(s => s.id), ...shapes.filter(s => !s.id)]) {
+            const text = labels.find(t => SvgLayoutLinter.pointInPolygon(t.x, t.y, shape.polygon))?.text;
+            shape.label = text || null;
+
+            const slug = String(shape.id || text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+            let id;
+            if (slug) {
+                id = unique(slug);
+            } else {
+                while (taken.has(`area-${counter}`)) counter++;
+                id = unique(`area-${counter}`);
+            }
+
+            if (id !== shape.id) {
+                fixes.push(shape.id
+                    ? `Renamed duplicate or invalid room id "${shape.id}" to "${id}".`
+                    : `Gave a <${shape.tag}> without a room id the id "${id}".`);
+                shape.id = id;
+                shape.el.setAttribute("data-room-id", id);
+            }
+        }
+    }
+}
@@ -0,0 +1,481 @@
+import { SvgLayoutParser } from "./svg-layout-parser.js";
+
+/**
+ * SVG Layout Linter
+ * Enforces the layout rules the SVG prompt asks for, between Phase 2 and
+ * Phase 3. Fixable problems are repaired in place; the rest are reported.
+ *
+ * Fixes: a missing viewBox, the full-canvas background rect, room ids that
+ * don't match the outline, props drawn as shapes, small overlaps between
+ * rectangular rooms, and doors that are off the wall or perpendicular to it.
+ * Reported: rooms that aren't drawn, duplicate ids, unlabelled shapes and
+ * overlaps too large to trim.
+ *
+ * Geometry is measured in the same fixed 1000×1000 space as ConnectionVerifier.
+ */
+export class SvgLayoutLinter {
+    /** Size of the measurement space in pixels */
+    static SPACE = 1000;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.tolerance=8] - Distance (px) within which a door counts as on a wall
+     * @param {number} [options.snapRange=40] - Max distance (px) a door is moved to reach a wall
+     */
+    constructor({ tolerance = 8, snapRange = 40 } = {}) {
+        this.tolerance = tolerance;
+        this.snapRange = snapRange;
+        this.parser = new SvgLayoutParser();
+    }
+
+    /**
+     * Lint and repair an SVG layout.
+     * @param {Object} outline - The scene (or floor) outline
+     * @param {string} svg - The SVG layout
+     * @returns {{svg: string, fixes: string[], issues: string[]}} The repaired SVG and what was done / left
+     */
+    lint(outline, svg) {
+        const doc = new DOMParser().parseFromString(svg, "image/svg+xml");
+        const root = doc.documentElement;
+        if (!root || root.tagName.toLowerCase() !== "svg") {
+            return { svg, fixes: [], issues: ["The layout is not a valid SVG document."] };
+        }
+
+        const fixes = [];
+        const issues = [];
+        const names = new Map((outline?.rooms || []).map(r => [String(r.id), r.name || String(r.id)]));
+        const label = (id) => `"${names.get(String(id)) || id}"`;
+
+        const { rootMatrix, shapes: measured } = this.measure(root, fixes);
+        this._matchRoomIds(outline, root, rootMatrix, measured, fixes, label);
+        const shapes = this._dropProps(measured, names, fixes, issues, label);
+        this._resolveOverlaps(shapes, rootMatrix, fixes, issues, label);
+        this._fixDoors(root, rootMatrix, shapes, fixes, issues, label);
+        this._checkCoverage(outline, shapes, issues, label);
+
+        const result = fixes.length > 0 ? new XMLSerializer().serializeToString(doc) : svg;
+        console.log(`SvgLayoutLinter | ${fixes.length} fix(es), ${issues.length} issue(s).`);
+        return { svg: result, fixes, issues };
+    }
+
+    /**
+     * Read a layout's room shapes and text labels in measurement space. A
+     * missing viewBox is added and the full-canvas background marked first,
+     * as lint() does, and both are recorded in fixes.
+     * @param {Element} root - The <svg> element (changed in place)
+     * @param {string[]} fixes - Receives what was changed
+     * @returns {{rootMatrix: number[], shapes: Array, labels: Array}} Shapes are
+     *   {el, tag, id, edges, polygon, center, area, bbox}; labels are {text, x, y}
+     */
+    measure(root, fixes) {
+        this._checkViewBox(root, fixes);
+        const rootMatrix = this.parser._rootMatrix(root, SvgLayoutLinter.SPACE, SvgLayoutLinter.SPACE);
+        const shapes = this._markBackground(this._collectShapes(root, rootMatrix), fixes);
+        return { rootMatrix, shapes, labels: this._collectLabels(root, rootMatrix) };
+    }
+
+    /**
+     * Even-odd test of a point against a polygon.
+     * @param {number} x
+     * @param {number} y
+     * @param {number[][]} polygon - [[x, y], ...]
+     * @returns {boolean}
+     */
+    static pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // ─── Rules ──────────────────────────────────────────────────────────
+
+    /**
+     * Add a viewBox when the root has none, matching how the parser already
+     * reads such files (its width/height, or the legacy 1000×1000 space).
+     */
+    _checkViewBox(root, fixes) {
+        if (this.parser._parseViewBox(root.getAttribute("viewBox"))) return;
+        const w = this.parser._absoluteLength(root.getAttribute("width"));
+        const h = this.parser._absoluteLength(root.getAttribute("height"));
+        const viewBox = w && h ? `0 0 ${w} ${h}` : "0 0 1000 1000";
+        root.setAttribute("viewBox", viewBox);
+        fixes.push(`Added the missing viewBox (${viewBox}).`);
+    }
+
+    /**
+     * A rect covering nearly the whole canvas without a room id is the
+     * background, not a room; mark it so it isn't walled or matched.
+     */
+    _markBackground(shapes, fixes) {
+        const space = SvgLayoutLinter.SPACE * SvgLayoutLinter.SPACE;
+        return shapes.filter(shape => {
+            if (shape.el.getAttribute("data-background") === "true") return false;
+            if (shape.id || shape.tag !== "rect" || shape.area < space * 0.9) return true;
+            shape.el.setAttribute("data-background", "true");
+            fixes.push("Marked the full-canvas background rect so it isn't treated as a room.");
+            return false;
+        });
+    }
+
+    /**
+     * Give shapes with a missing or unknown data-room-id the id of an outline
+     * room that isn't drawn yet: by a similar id or name, then by a text label
+     * inside the shape, then — if exactly one of each is left — by elimination.
+     */
+    _matchRoomIds(outline, root, rootMatrix, shapes, fixes, label) {
+        const rooms = outline?.rooms || [];
+        const known = new Set(rooms.map(r => String(r.id)));
+        const taken = new Set(shapes.filter(s => s.id && known.has(s.id)).map(s => s.id));
+        const free = () => rooms.filter(r => !taken.has(String(r.id)));
+        const assign = (shape, room, how) => {
+            const from = shape.id ? `"${shape.id}"` : `an unlabelled <${shape.tag}>`;
+            shape.id = String(room.id);
+            shape.el.setAttribute("data-room-id", shape.id);
+            taken.add(shape.id);
+            fixes.push(`Matched ${from} to outline room ${label(room.id)} (${how}).`);
+        };
+        const norm = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+        const similar = (a, b) => a && b && (a === b || (Math.min(a.length, b.length) >= 4 && (a.includes(b) || b.includes(a))));
+
+        const unmatched = shapes.filter(s => !s.id || !known.has(s.id));
+
+        for (const shape of unmatched.filter(s => s.id)) {
+            const room = free().find(r => similar(norm(shape.id), norm(r.id)) || similar(norm(shape.id), norm(r.name)));
+            if (room) assign(shape, room, "similar id");
+        }
+
+        const texts = this._collectLabels(root, rootMatrix);
+        for (const shape of unmatched.filter(s => !s.id || !known.has(s.id))) {
+            const inside = texts.filter(t => SvgLayoutLinter.pointInPolygon(t.x, t.y, shape.polygon));
+            const room = free().find(r => inside.some(t => similar(norm(t.text), norm(r.name)) || similar(norm(t.text), norm(r.id))));
+            if (room) assign(shape, room, "text label");
+        }
+
+        const leftover = unmatched.filter(s => s.id && !known.has(s.id));
+        if (leftover.length === 1 && free().length === 1) assign(leftover[0], free()[0], "only room left");
+    }
+
+    /**
+     * Remove shapes that are props rather than rooms: unlabelled shapes that
+     * are tiny or sit inside a room. Other unlabelled shapes are reported.
+     * @returns {Array} The remaining room shapes
+     */
+    _dropProps(shapes, names, fixes, issues, label) {
+        const space = SvgLayoutLinter.SPACE * SvgLayoutLinter.SPACE;
+        const rooms = shapes.filter(s => s.id && names.has(s.id));
+        return shapes.filter(shape => {
+            if (shape.id && names.has(shape.id)) return true;
+            const host = rooms.find(r => r !== shape && r.area > shape.area && SvgLayoutLinter.pointInPolygon(shape.center[0], shape.center[1], r.polygon));
+            if (host || shape.area < space * 0.01) {
+                shape.el.remove();
+                fixes.push(host
+                    ? `Removed a prop <${shape.tag}> drawn inside ${label(host.id)}.`
+                    : `Removed a small unlabelled <${shape.tag}> (likely a prop).`);
+                return false;
+            }
+            issues.push(shape.id
+                ? `Shape with data-room-id "${shape.id}" matches no outline room.`
+                : `A <${shape.tag}> has no data-room-id and matches no outline room.`);
+            return true;
+        });
+    }
+
+    /**
+     * Trim small overlaps between untransformed-relative rects so their edges
+     * touch; report overlaps between other shapes, or that are too large.
+     */
+    _resolveOverlaps(shapes, rootMatrix, fixes, issues, label) {
+        const rooms = shapes.filter(s => s.id);
+        for (let i = 0; i < rooms.length; i++) {
+            for (let j = i + 1; j < rooms.length; j++) {
+                const a = rooms[i], b = rooms[j];
+                if (!this._bboxesOverlap(a, b)) continue;
+
+                if (a.tag === "rect" && b.tag === "rect" && this._sameAxisAlignedMatrix(a.matrix, b.matrix)) {
+                    const result = this._trimRects(a, b);
+                    if (result === "trimmed") {
+                        const [small, big] = a.area <= b.area ? [a, b] : [b, a];
+                        this._refreshShape(small, rootMatrix);
+                        fixes.push(`Trimmed ${label(small.id)} so it no longer overlaps ${label(big.id)}.`);
+                    } else if (result === "large") {
+                        issues.push(`${label(a.id)} and ${label(b.id)} overlap too much to fix automatically.`);
+                    }
+                    continue;
+                }
+
+                if (this._polygonsOverlap(a, b)) {
+                    issues.push(`${label(a.id)} and ${label(b.id)} overlap.`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Move doors that are near but off a wall onto it, and turn doors that
+     * cross a wall so they run along it. Doors already on a wall and running
+     * along it are left alone; the rest go to the nearest wall, shared or outer.
+     */
+    _fixDoors(root, rootMatrix, shapes, fixes, issues, label) {
+        const rooms = shapes.filter(s => s.id);
+        const shared = [];
+        for (let i = 0; i < rooms.length; i++) {
+            for (let j = i + 1; j < rooms.length; j++) {
+                for (const ea of rooms[i].edges) {
+                    for (const eb of rooms[j].edges) {
+                        const overlap = this._overlap(ea, eb);
+                        if (overlap && overlap.length >= this.tolerance * 2) shared.push({ seg: overlap.seg, rooms: [rooms[i].id, rooms[j].id] });
+                    }
+                }
+            }
+        }
+        const outer = rooms.flatMap(r => r.edges.map(e => ({ seg: e, rooms: [r.id] })));
+
+        for (const line of root.querySelectorAll("line")) {
+            if (!this.parser._isRendered(line, root)) continue;
+            const matrix = this.parser._multiply(rootMatrix, this.parser._elementMatrix(line, root));
+            const num = (name) => Number(line.getAttribute(name)) || 0;
+            const [x1, y1] = this.parser._apply(matrix, num("x1"), num("y1"));
+            const [x2, y2] = this.parser._apply(matrix, num("x2"), num("y2"));
+            const length = Math.hypot(x2 - x1, y2 - y1);
+            if (length < 0.001) continue;
+            const mx = (x1 + x2) / 2, my = (y1 + y2) / 2;
+
+            // In range if any part of the door is near, so a door crossing a wall counts as on it
+            const door = [x1, y1, x2, y2];
+            const walls = [...shared, ...outer]
+                .filter(w => this._segmentDistance(door, w.seg) <= this.snapRange)
+                .map(w => ({ ...w, dist: this._distanceToSegment(mx, my, w.seg) }));
+            if (walls.some(w => w.dist <= this.tolerance && !this._crosses(door, w.seg))) continue;
+
+            // Nearest to the door's middle; a shared wall and the room edge along it are
+            // the same wall, so ties go to the shared one to name both rooms
+            const wall = walls.sort((p, q) => Math.abs(p.dist - q.dist) > 0.001 ? p.dist - q.dist : q.rooms.length - p.rooms.length)[0];
+            if (!wall) {
+                issues.push(`Door at (${Math.round(mx)}, ${Math.round(my)}) is not near any wall.`);
+                continue;
+            }
+
+            const [ax, ay, bx, by] = wall.seg;
+            const wallLength = Math.hypot(bx - ax, by - ay);
+            const ux = (bx - ax) / wallLength, uy = (by - ay) / wallLength;
+            const misaligned = this._crosses(door, wall.seg);
+
+            // Center the door on the closest point of the wall, keeping it inside the wall
+            const half = Math.min(length / 2, wallLength * 0.4);
+            const t = Math.max(half, Math.min(wallLength - half, (mx - ax) * ux + (my - ay) * uy));
+            const cx = ax + ux * t, cy = ay + uy * t;
+            const inverse = this.parser._invert(matrix);
+            const round = (v) => Math.round(v * 100) / 100;
+            const [nx1, ny1] = this.parser._apply(inverse, cx - ux * half, cy - uy * half);
+            const [nx2, ny2] = this.parser._apply(inverse, cx + ux * half, cy + uy * half);
+            line.setAttribute("x1", round(nx1));
+            line.setAttribute("y1", round(ny1));
+            line.setAttribute("x2", round(nx2));
+            line.setAttribute("y2", round(ny2));
+
+            const where = wall.rooms.length === 2
+                ? `the wall between ${label(wall.rooms[0])} and ${label(wall.rooms[1])}`
+                : `the outer wall of ${label(wall.rooms[0])}`;
+            fixes.push(misaligned
+                ? `Turned a door to run along ${where}.`
+                : `Snapped a door onto ${where}.`);
+        }
+    }
+
+    /**
+     * Whether a door is turned more than 20° away from a wall's direction.
+     * @param {number[]} door - [x1, y1, x2, y2]
+     * @param {number[]} seg - The wall segment
+     */
+    _crosses([x1, y1, x2, y2], [ax, ay, bx, by]) {
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        const wallLength = Math.hypot(bx - ax, by - ay);
+        const sin = Math.abs(((x2 - x1) * (by - ay) - (y2 - y1) * (bx - ax)) / (length * wallLength));
+        return sin > Math.sin(Math.PI / 9);
+    }
+
+    /**
+     * Report outline rooms that aren't drawn and ids drawn more than once.
+     */
+    _checkCoverage(outline, shapes, issues, label) {
+        const counts = new Map();
+        for (const shape of shapes) {
+            if (shape.id) counts.set(shape.id, (counts.get(shape.id) || 0) + 1);
+        }
+        for (const room of (outline?.rooms || [])) {
+            const count = counts.get(String(room.id)) || 0;
+            if (count === 0) issues.push(`${label(room.id)} from the outline is not drawn.`);
+            else if (count > 1) issues.push(`${label(room.id)} is drawn ${count} times.`);
+        }
+    }
+
+    // ─── Shapes ─────────────────────────────────────────────────────────
+
+    /**
+     * Every rendered room-like shape, with its geometry in measurement space.
+     */
+    _collectShapes(root, rootMatrix) {
+        const shapes = [];
+        for (const tag of SvgLayoutParser.ROOM_TAGS) {
+            root.querySelectorAll(tag).forEach(el => {
+                if (!this.parser._isRendered(el, root)) return;
+                const shape = { el, tag, id: el.getAttribute("data-room-id") || null };
+                if (this._refreshShape(shape, rootMatrix)) shapes.push(shape);
+            });
+        }
+        return shapes;
+    }
+
+    /**
+     * (Re)compute a shape's edges, polygon, area, center and bounding box.
+     * @returns {boolean} False if the shape has no geometry
+     */
+    _refreshShape(shape, rootMatrix) {
+        const local = this.parser._shapeToEdges(shape.el);
+        if (!local || local.length === 0) return false;
+        shape.matrix = this.parser._multiply(rootMatrix, this.parser._elementMatrix(shape.el, shape.el.ownerDocument.documentElement));
+        shape.edges = local.map(e => [...this.parser._apply(shape.matrix, e[0], e[1]), ...this.parser._apply(shape.matrix, e[2], e[3])]);
+        shape.polygon = shape.edges.map(e => [e[0], e[1]]);
+        shape.center = this.parser._edgeCentroid(shape.edges) || shape.polygon[0];
+
+        let area = 0;
+        for (let i = 0; i < shape.polygon.length; i++) {
+            const [x1, y1] = shape.polygon[i];
+            const [x2, y2] = shape.polygon[(i + 1) % shape.polygon.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        shape.area = Math.abs(area) / 2;
+
+        const xs = shape.polygon.map(p => p[0]), ys = shape.polygon.map(p => p[1]);
+        shape.bbox = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+        return true;
+    }
+
+    /**
+     * Text labels with their anchor point in measurement space.
+     */
+    _collectLabels(root, rootMatrix) {
+        const labels = [];
+        root.querySelectorAll("text").forEach(el => {
+            const text = (el.textContent || "").trim();
+            if (!text || !this.parser._isRendered(el, root)) return;
+            const matrix = this.parser._multiply(rootMatrix, this.parser._elementMatrix(el, root));
+            const [x, y] = this.parser._apply(matrix, Number(el.getAttribute("x")) || 0, Number(el.getAttribute("y")) || 0);
+            labels.push({ text, x, y });
+        });
+        return labels;
+    }
+
+    /**
+     * Trim the smaller of two overlapping rects along the axis of least
+     * penetration. Both rects share an axis-aligned matrix, so the work is done
+     * on their own x/y/width/height attributes.
+     * @returns {"none"|"trimmed"|"large"}
+     */
+    _trimRects(a, b) {
+        const box = (s) => {
+            const num = (n) => Number(s.el.getAttribute(n)) || 0;
+            const x = num("x"), y = num("y"), w = num("width"), h = num("height");
+            return { x1: Math.min(x, x + w), y1: Math.min(y, y + h), x2: Math.max(x, x + w), y2: Math.max(y, y + h) };
+        };
+        const A = box(a), B = box(b);
+        const ix = Math.min(A.x2, B.x2) - Math.max(A.x1, B.x1);
+        const iy = Math.min(A.y2, B.y2) - Math.max(A.y1, B.y1);
+        const eps = 1e-6;
+        if (ix <= eps || iy <= eps) return "none";
+
+        const [small, S, L] = a.area <= b.area ? [a, A, B] : [b, B, A];
+        const horizontal = ix <= iy;
+        const depth = horizontal ? ix : iy;
+        const limit = 0.25 * Math.min(S.x2 - S.x1, S.y2 - S.y1);
+        if (depth > limit) return "large";
+
+        if (horizontal) {
+            if ((S.x1 + S.x2) / 2 > (L.x1 + L.x2) / 2) S.x1 += depth;
+            else S.x2 -= depth;
+        } else if ((S.y1 + S.y2) / 2 > (L.y1 + L.y2) / 2) {
+            S.y1 += depth;
+        } else {
+            S.y2 -= depth;
+        }
+        const round = (v) => Math.round(v * 100) / 100;
+        small.el.setAttribute("x", round(S.x1));
+        small.el.setAttribute("y", round(S.y1));
+        small.el.setAttribute("width", round(S.x2 - S.x1));
+        small.el.setAttribute("height", round(S.y2 - S.y1));
+        return "trimmed";
+    }
+
+    // ─── Geometry ───────────────────────────────────────────────────────
+
+    _sameAxisAlignedMatrix(m1, m2) {
+        const axisAligned = Math.abs(m1[1]) < 1e-9 && Math.abs(m1[2]) < 1e-9;
+        return axisAligned && m1.every((v, i) => Math.abs(v - m2[i]) < 1e-9);
+    }
+
+    _bboxesOverlap(a, b) {
+        const tol = this.tolerance / 2;
+        return a.bbox[0] < b.bbox[2] - tol && b.bbox[0] < a.bbox[2] - tol
+            && a.bbox[1] < b.bbox[3] - tol && b.bbox[1] < a.bbox[3] - tol;
+    }
+
+    /**
+     * Whether either shape has a vertex (or its center) clearly inside the other.
+     */
+    _polygonsOverlap(a, b) {
+        const clearlyInside = (p, shape) => SvgLayoutLinter.pointInPolygon(p[0], p[1], shape.polygon)
+            && Math.min(...shape.edges.map(e => this._distanceToSegment(p[0], p[1], e))) > this.tolerance;
+        return [...a.polygon, a.center].some(p => clearlyInside(p, b))
+            || [...b.polygon, b.center].some(p => clearlyInside(p, a));
+    }
+
+    /**
+     * Overlapping stretch of two nearly collinear edges.
+     * @returns {{seg: number[], length: number}|null} The stretch as [x1, y1, x2, y2] on ea
+     */
+    _overlap(ea, eb) {
+        const [ax, ay, bx, by] = ea;
+        const len = Math.hypot(bx - ax, by - ay);
+        if (len < 0.1) return null;
+        const off = (px, py) => Math.abs((px - ax) * (by - ay) - (py - ay) * (bx - ax)) / len;
+        if (off(eb[0], eb[1]) > this.tolerance || off(eb[2], eb[3]) > this.tolerance) return null;
+
+        const param = (px, py) => ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / (len * len);
+        const t0 = param(eb[0], eb[1]), t1 = param(eb[2], eb[3]);
+        const start = Math.max(0, Math.min(t0, t1));
+        const end = Math.min(1, Math.max(t0, t1));
+        if (end - start <= 0) return null;
+
+        return {
+            seg: [ax + (bx - ax) * start, ay + (by - ay) * start, ax + (bx - ax) * end, ay + (by - ay) * end],
+            length: (end - start) * len
+        };
+    }
+
+    /**
+     * Shortest distance between two segments (0 if they cross).
+     */
+    _segmentDistance(s1, s2) {
+        const cross = (ox, oy, ax, ay, bx, by) => (ax - ox) * (by - oy) - (ay - oy) * (bx - ox);
+        const d1 = cross(s2[0], s2[1], s2[2], s2[3], s1[0], s1[1]);
+        const d2 = cross(s2[0], s2[1], s2[2], s2[3], s1[2], s1[3]);
+        const d3 = cross(s1[0], s1[1], s1[2], s1[3], s2[0], s2[1]);
+        const d4 = cross(s1[0], s1[1], s1[2], s1[3], s2[2], s2[3]);
+        if (((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0))) return 0;
+        return Math.min(
+            this._distanceToSegment(s1[0], s1[1], s2), this._distanceToSegment(s1[2], s1[3], s2),
+            this._distanceToSegment(s2[0], s2[1], s1), this._distanceToSegment(s2[2], s2[3], s1)
+        );
+    }
+
+    _distanceToSegment(px, py, [ax, ay, bx, by]) {
+        const dx = bx - ax, dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 < 0.01 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2));
+        return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+    }
+}
@@ -0,0 +1,672 @@
+/**
+ * SVG Layout Parser
+ * Reads the abstract SVG layout and resolves every room shape and door <line>
+ * into edges in target (image pixel) coordinates.
+ *
+ * The full transform chain is honored: `transform` attributes on the element
+ * and every ancestor <g>, nested <svg> viewports (x/y/width/height/viewBox)
+ * and `preserveAspectRatio` on both the root and nested viewports.
+ */
+export class SvgLayoutParser {
+    /** Tags that describe room shapes, in the order rooms are matched to the outline */
+    static ROOM_TAGS = ["rect", "circle", "ellipse", "polygon", "path"];
+
+    /** Containers whose children are never rendered directly */
+    static NON_RENDERED = ["defs", "clippath", "mask", "pattern", "symbol", "marker", "lineargradient", "radialgradient", "filter"];
+
+    /**
+     * Parse an SVG string into rooms and doors in target coordinates.
+     * @param {string} svgString - The SVG layout
+     * @param {number} targetW - Width of the target image in pixels
+     * @param {number} targetH - Height of the target image in pixels
+     * @returns {{rooms: Array, doors: Array, walls: Array}|null} Parsed layout, or null if the SVG is invalid.
+     *   Each room is {el, id, outdoor, edges, center, radius}; each door is {el, c, type, material}.
+     *   Walls are [x1,y1,x2,y2] segments from `<polyline data-wall>` elements; layouts that
+     *   have them (such as imported maps) take their walls from these instead of the room outlines.
+     */
+    parse(svgString, targetW, targetH) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(svgString, "image/svg+xml");
+        const svgElement = doc.documentElement;
+
+        if (!svgElement || svgElement.tagName.toLowerCase() !== "svg") {
+            return null;
+        }
+
+        const rootMatrix = this._rootMatrix(svgElement, targetW, targetH);
+
+        // ── Doors ──
+        const doors = [];
+        svgElement.querySelectorAll("line").forEach(line => {
+            if (!this._isRendered(line, svgElement)) return;
+            const m = this._multiply(rootMatrix, this._elementMatrix(line, svgElement));
+            const [x1, y1] = this._apply(m, Number(line.getAttribute("x1")) || 0, Number(line.getAttribute("y1")) || 0);
+            const [x2, y2] = this._apply(m, Number(line.getAttribute("x2")) || 0, Number(line.getAttribute("y2")) || 0);
+            if (Math.hypot(x2 - x1, y2 - y1) < 0.001) return;
+            doors.push({
+                el: line,
+                c: [x1, y1, x2, y2],
+                type: (line.getAttribute("data-door") || "door").trim().toLowerCase(),
+                material: (line.getAttribute("data-material") || "").trim().toLowerCase() || null
+            });
+        });
+
+        // ── Explicit walls ──
+        const walls = [];
+        svgElement.querySelectorAll("polyline").forEach(polyline => {
+            if (polyline.getAttribute("data-wall") !== "true" || !this._isRendered(polyline, svgElement)) return;
+            const nums = (polyline.getAttribute("points") || "").trim().split(/[\s,]+/).map(Number);
+            const m = this._multiply(rootMatrix, this._elementMatrix(polyline, svgElement));
+            const pts = [];
+            for (let i = 0; i + 1 < nums.length; i += 2) pts.push(this._apply(m, nums[i], nums[i + 1]));
+            for (let i = 0; i < pts.length - 1; i++) {
+                if (Math.hypot(pts[i + 1][0] - pts[i][0], pts[i + 1][1] - pts[i][1]) < 0.001) continue;
+                walls.push([...pts[i], ...pts[i + 1]]);
+            }
+        });
+
+        // ── Rooms ──
+        const rooms = [];
+        for (const tag of SvgLayoutParser.ROOM_TAGS) {
+            svgElement.querySelectorAll(tag).forEach(el => {
+                if (!this._isRendered(el, svgElement)) return;
+                // The full-canvas background (marked by SvgLayoutLinter) is not a room
+                if (el.getAttribute("data-background") === "true") return;
+                const localEdges = this._shapeToEdges(el);
+                if (!localEdges || localEdges.length === 0) return;
+
+                const m = this._multiply(rootMatrix, this._elementMatrix(el, svgElement));
+                const edges = localEdges.map(e => [...this._apply(m, e[0], e[1]), ...this._apply(m, e[2], e[3])]);
+                const center = this._edgeCentroid(edges);
+                if (!center) return;
+                const radius = edges.reduce((r, e) => Math.max(r, Math.hypot(e[0] - center[0], e[1] - center[1])), 0);
+
+                rooms.push({
+                    el,
+                    id: el.getAttribute("data-room-id"),
+                    outdoor: el.getAttribute("data-outdoor") === "true",
+                    edges,
+                    center,
+                    radius
+                });
+            });
+        }
+
+        return { rooms, doors, walls };
+    }
+
+    /**
+     * Build untransformed edges for a single shape element.
+     * @returns {Array|null} Array of [x1,y1,x2,y2] edge segments in the element's user space
+     */
+    _shapeToEdges(el) {
+        const num = (name) => Number(el.getAttribute(name)) || 0;
+        switch (el.tagName.toLowerCase()) {
+            case "rect": {
+                const x = num("x"), y = num("y"), w = num("width"), h = num("height");
+                if (w === 0 || h === 0) return null;
+                return [
+                    [x, y, x + w, y],
+                    [x + w, y, x + w, y + h],
+                    [x + w, y + h, x, y + h],
+                    [x, y + h, x, y]
+                ];
+            }
+            case "circle": {
+                const r = num("r");
+                if (r === 0) return null;
+                return this._circleToEdges(num("cx"), num("cy"), r, r, 24);
+            }
+            case "ellipse": {
+                const rx = num("rx"), ry = num("ry");
+                if (rx === 0 || ry === 0) return null;
+                return this._circleToEdges(num("cx"), num("cy"), rx, ry, 24);
+            }
+            case "polygon": {
+                const pts = el.getAttribute("points");
+                return pts ? this._polygonToEdges(pts) : null;
+            }
+            case "path": {
+                const d = el.getAttribute("d");
+                return d ? this._pathToEdges(d) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Centroid of a closed outline, computed from edge midpoints weighted by
+     * length so densely flattened curves don't pull the center toward them.
+     * @returns {number[]|null} [x, y]
+     */
+    _edgeCentroid(edges) {
+        let cx = 0, cy = 0, total = 0;
+        for (const e of edges) {
+            const len = Math.hypot(e[2] - e[0], e[3] - e[1]);
+            cx += len * (e[0] + e[2]) / 2;
+            cy += len * (e[1] + e[3]) / 2;
+            total += len;
+        }
+        if (total === 0) return null;
+        return [cx / total, cy / total];
+    }
+
+    /**
+     * Whether an element is part of the rendered tree (not inside <defs>, <mask>, etc.
+     * and not hidden with display="none").
+     */
+    _isRendered(el, root) {
+        for (let node = el; node && node !== root.parentNode; node = node.parentNode) {
+            if (!node.getAttribute) continue;
+            if (SvgLayoutParser.NON_RENDERED.includes(node.tagName.toLowerCase())) return false;
+            if (node.getAttribute("display") === "none") return false;
+        }
+        return true;
+    }
+
+    // ─── Transforms ─────────────────────────────────────────────────────
+    // Matrices use the SVG [a, b, c, d, e, f] convention:
+    //   x' = a*x + c*y + e,  y' = b*x + d*y + f
+
+    /**
+     * Matrix mapping root user space into target pixel space.
+     * If the root declares an absolute width/height, the SVG is first laid out
+     * at that size and then stretched to the target, which is how the layout
+     * image is rasterized onto the square canvas.
+     */
+    _rootMatrix(svgElement, targetW, targetH) {
+        const w = this._absoluteLength(svgElement.getAttribute("width"));
+        const h = this._absoluteLength(svgElement.getAttribute("height"));
+        const viewBox = this._parseViewBox(svgElement.getAttribute("viewBox"));
+        const par = svgElement.getAttribute("preserveAspectRatio");
+
+        if (w && h) {
+            const stretch = [targetW / w, 0, 0, targetH / h, 0, 0];
+            if (!viewBox) return stretch;
+            return this._multiply(stretch, this._viewBoxMatrix(viewBox, w, h, par));
+        }
+
+        // No intrinsic size: assume the legacy 1000×1000 user space
+        return this._viewBoxMatrix(viewBox || [0, 0, 1000, 1000], targetW, targetH, viewBox ? par : "none");
+    }
+
+    /**
+     * Combined matrix from an element's user space to the root's user space,
+     * walking up through ancestor transforms and nested <svg> viewports.
+     */
+    _elementMatrix(el, root) {
+        let m = [1, 0, 0, 1, 0, 0];
+        for (let node = el; node && node !== root; node = node.parentNode) {
+            if (!node.getAttribute) continue;
+            if (node !== el && node.tagName.toLowerCase() === "svg") {
+                m = this._multiply(this._nestedViewportMatrix(node), m);
+            }
+            const transform = node.getAttribute("transform");
+            if (transform) m = this._multiply(this._parseTransform(transform), m);
+        }
+        return m;
+    }
+
+    /**
+     * Matrix for a nested <svg> element: its viewBox is fitted into the
+     * viewport rectangle (x, y, width, height) of the parent coordinate system.
+     */
+    _nestedViewportMatrix(svgEl) {
+        const x = Number(svgEl.getAttribute("x")) || 0;
+        const y = Number(svgEl.getAttribute("y")) || 0;
+        const viewBox = this._parseViewBox(svgEl.getAttribute("viewBox"));
+        const w = this._absoluteLength(svgEl.getAttribute("width")) || viewBox?.[2];
+        const h = this._absoluteLength(svgEl.getAttribute("height")) || viewBox?.[3];
+        const translate = [1, 0, 0, 1, x, y];
+        if (!viewBox || !w || !h) return translate;
+        return this._multiply(translate, this._viewBoxMatrix(viewBox, w, h, svgEl.getAttribute("preserveAspectRatio")));
+    }
+
+    /**
+     * Fit a viewBox into a viewport of size (vpW, vpH) following preserveAspectRatio.
+     * @param {number[]} viewBox - [minX, minY, width, height]
+     * @param {string|null} par - preserveAspectRatio value (default "xMidYMid meet")
+     */
+    _viewBoxMatrix(viewBox, vpW, vpH, par) {
+        const [minX, minY, vbW, vbH] = viewBox;
+        let sx = vpW / vbW, sy = vpH / vbH;
+        const [align = "xMidYMid", meetOrSlice = "meet"] = (par || "xMidYMid meet").trim().split(/\s+/);
+
+        let tx = -minX * sx, ty = -minY * sy;
+        if (align !== "none") {
+            const s = meetOrSlice === "slice" ? Math.max(sx, sy) : Math.min(sx, sy);
+            sx = sy = s;
+            tx = -minX * s;
+            ty = -minY * s;
+            const extraX = vpW - vbW * s, extraY = vpH - vbH * s;
+            if (align.includes("xMid")) tx += extraX / 2;
+            else if (align.includes("xMax")) tx += extraX;
+            if (align.includes("YMid")) ty += extraY / 2;
+            else if (align.includes("YMax")) ty += extraY;
+        }
+        return [sx, 0, 0, sy, tx, ty];
+    }
+
+    /**
+     * Parse a viewBox attribute.
+     * @returns {number[]|null} [minX, minY, width, height]
+     */
+    _parseViewBox(attr) {
+        if (!attr) return null;
+        const parts = attr.trim().split(/[\s,]+/).map(Number);
+        if (parts.length !== 4 || parts.some(n => !Number.isFinite(n)) || parts[2] <= 0 || parts[3] <= 0) return null;
+        return parts;
+    }
+
+    /**
+     * Parse a width/height attribute, ignoring relative units (%, em) that
+     * can't be resolved without a layout engine.
+     */
+    _absoluteLength(attr) {
+        if (!attr) return null;
+        const match = String(attr).trim().match(/^([-+]?[0-9]*\.?[0-9]+)(px)?$/);
+        return match ? Number(match[1]) || null : null;
+    }
+
+    /**
+     * Parse an SVG transform list (matrix, translate, scale, rotate, skewX, skewY).
+     * @returns {number[]} The combined matrix
+     */
+    _parseTransform(str) {
+        let m = [1, 0, 0, 1, 0, 0];
+        const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = re.exec(str)) !== null) {
+            const args = (match[2].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+            let t;
+            switch (match[1]) {
+                case "matrix":
+                    if (args.length < 6) continue;
+                    t = args.slice(0, 6);
+                    break;
+                case "translate":
+                    t = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case "scale": {
+                    const sx = args[0] ?? 1;
+                    t = [sx, 0, 0, args[1] ?? sx, 0, 0];
+                    break;
+                }
+                case "rotate": {
+                    const a = ((args[0] || 0) * Math.PI) / 180;
+                    const cos = Math.cos(a), sin = Math.sin(a);
+                    t = [cos, sin, -sin, cos, 0, 0];
+                    if (args.length >= 3) {
+                        const [, px, py] = args;
+                        t = this._multiply([1, 0, 0, 1, px, py], this._multiply(t, [1, 0, 0, 1, -px, -py]));
+                    }
+                    break;
+                }
+                case "skewX":
+                    t = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+                    break;
+                case "skewY":
+                    t = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+                    break;
+            }
+            m = this._multiply(m, t);
+        }
+        return m;
+    }
+
+    /**
+     * Multiply two matrices (m1 applied after m2).
+     */
+    _multiply(m1, m2) {
+        const [a1, b1, c1, d1, e1, f1] = m1;
+        const [a2, b2, c2, d2, e2, f2] = m2;
+        return [
+            a1 * a2 + c1 * b2,
+            b1 * a2 + d1 * b2,
+            a1 * c2 + c1 * d2,
+            b1 * c2 + d1 * d2,
+            a1 * e2 + c1 * f2 + e1,
+            b1 * e2 + d1 * f2 + f1
+        ];
+    }
+
+    /**
+     * Invert an affine matrix. Singular matrices fall back to the identity.
+     */
+    _invert(m) {
+        const [a, b, c, d, e, f] = m;
+        const det = a * d - b * c;
+        if (Math.abs(det) < 1e-12) return [1, 0, 0, 1, 0, 0];
+        return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+    }
+
+    /**
+     * Apply a matrix to a point.
+     * @returns {number[]} [x, y]
+     */
+    _apply(m, x, y) {
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+
+    // ─── Shape Helpers ──────────────────────────────────────────────────
+
+    /**
+     * Approximate a circle/ellipse into N-gon edges.
+     * @returns {Array} Array of [x1,y1,x2,y2] edge segments
+     */
+    _circleToEdges(cx, cy, rx, ry, segments = 24) {
+        const edges = [];
+        for (let i = 0; i < segments; i++) {
+            const a1 = (2 * Math.PI * i) / segments;
+            const a2 = (2 * Math.PI * (i + 1)) / segments;
+            edges.push([
+                cx + rx * Math.cos(a1), cy + ry * Math.sin(a1),
+                cx + rx * Math.cos(a2), cy + ry * Math.sin(a2)
+            ]);
+        }
+        return edges;
+    }
+
+    /**
+     * Parse SVG <polygon> points attribute into edges.
+     * @returns {Array} Array of [x1,y1,x2,y2] edge segments
+     */
+    _polygonToEdges(pointsAttr) {
+        const nums = pointsAttr.trim().split(/[\s,]+/).map(Number);
+        const pts = [];
+        for (let i = 0; i < nums.length - 1; i += 2) {
+            pts.push([nums[i], nums[i + 1]]);
+        }
+        if (pts.length < 3) return [];
+        const edges = [];
+        for (let i = 0; i < pts.length; i++) {
+            const next = (i + 1) % pts.length;
+            edges.push([pts[i][0], pts[i][1], pts[next][0], pts[next][1]]);
+        }
+        return edges;
+    }
+
+    /**
+     * Parse an SVG <path> into edges. Supports the full command set
+     * (M, L, H, V, C, S, Q, T, A, Z and their relative forms), including
+     * implicit repeated commands. Curves are flattened into line sub-segments
+     * whose count adapts to the curve's size.
+     * @param {string} d - The path's `d` attribute
+     * @param {number} tol - Maximum deviation (in SVG units) between a curve and its chords
+     * @returns {Array} Array of [x1,y1,x2,y2] edge segments
+     */
+    _pathToEdges(d, tol = 0.5) {
+        const edges = [];
+        const commands = this._tokenizePath(d);
+        if (commands.length === 0) return edges;
+
+        let cx = 0, cy = 0, startX = 0, startY = 0;
+        // Last control point, used to reflect S/T shorthand curves
+        let lastCtrl = null, lastCmd = "";
+
+        const lineTo = (nx, ny) => {
+            if (Math.hypot(nx - cx, ny - cy) > 0.001) edges.push([cx, cy, nx, ny]);
+            cx = nx; cy = ny;
+        };
+        const polyTo = (pts) => {
+            for (const [px, py] of pts) lineTo(px, py);
+        };
+
+        for (const { cmd, args } of commands) {
+            const rel = cmd === cmd.toLowerCase();
+            const ox = () => (rel ? cx : 0);
+            const oy = () => (rel ? cy : 0);
+            const upper = cmd.toUpperCase();
+
+            switch (upper) {
+                case 'M': {
+                    cx = args[0] + ox(); cy = args[1] + oy();
+                    startX = cx; startY = cy;
+                    // Extra coordinate pairs after a moveto are implicit linetos
+                    for (let k = 2; k + 1 < args.length; k += 2) {
+                        lineTo(args[k] + ox(), args[k + 1] + oy());
+                    }
+                    lastCtrl = null;
+                    break;
+                }
+                case 'L':
+                    for (let k = 0; k + 1 < args.length; k += 2) {
+                        lineTo(args[k] + ox(), args[k + 1] + oy());
+                    }
+                    lastCtrl = null;
+                    break;
+                case 'H':
+                    for (const x of args) lineTo(x + ox(), cy);
+                    lastCtrl = null;
+                    break;
+                case 'V':
+                    for (const y of args) lineTo(cx, y + oy());
+                    lastCtrl = null;
+                    break;
+                case 'C':
+                case 'S': {
+                    const stride = upper === 'C' ? 6 : 4;
+                    for (let k = 0; k + stride - 1 < args.length; k += stride) {
+                        let x1, y1;
+                        if (upper === 'C') {
+                            x1 = args[k] + ox(); y1 = args[k + 1] + oy();
+                        } else if (lastCtrl && (lastCmd === 'C' || lastCmd === 'S')) {
+                            x1 = 2 * cx - lastCtrl[0]; y1 = 2 * cy - lastCtrl[1];
+                        } else {
+                            x1 = cx; y1 = cy;
+                        }
+                        const o = upper === 'C' ? 2 : 0;
+                        const x2 = args[k + o] + ox(), y2 = args[k + o + 1] + oy();
+                        const ex = args[k + o + 2] + ox(), ey = args[k + o + 3] + oy();
+                        polyTo(this._cubicToPoints(cx, cy, x1, y1, x2, y2, ex, ey, tol));
+                        lastCtrl = [x2, y2];
+                        lastCmd = upper;
+                    }
+                    continue;
+                }
+                case 'Q':
+                case 'T': {
+                    const stride = upper === 'Q' ? 4 : 2;
+                    for (let k = 0; k + stride - 1 < args.length; k += stride) {
+                        let qx, qy;
+                        if (upper === 'Q') {
+                            qx = args[k] + ox(); qy = args[k + 1] + oy();
+                        } else if (lastCtrl && (lastCmd === 'Q' || lastCmd === 'T')) {
+                            qx = 2 * cx - lastCtrl[0]; qy = 2 * cy - lastCtrl[1];
+                        } else {
+                            qx = cx; qy = cy;
+                        }
+                        const o = upper === 'Q' ? 2 : 0;
+                        const ex = args[k + o] + ox(), ey = args[k + o + 1] + oy();
+                        polyTo(this._quadToPoints(cx, cy, qx, qy, ex, ey, tol));
+                        lastCtrl = [qx, qy];
+                        lastCmd = upper;
+                    }
+                    continue;
+                }
+                case 'A':
+                    // rx ry x-axis-rotation large-arc-flag sweep-flag x y
+                    for (let k = 0; k + 6 < args.length; k += 7) {
+                        const [rx, ry, rot, largeArc, sweep] = args.slice(k, k + 5);
+                        const ex = args[k + 5] + ox(), ey = args[k + 6] + oy();
+                        polyTo(this._arcToPoints(cx, cy, rx, ry, rot, largeArc, sweep, ex, ey, tol));
+                    }
+                    lastCtrl = null;
+                    break;
+                case 'Z':
+                    if (Math.hypot(cx - startX, cy - startY) > 0.5) {
+                        edges.push([cx, cy, startX, startY]);
+                    }
+                    cx = startX; cy = startY;
+                    lastCtrl = null;
+                    break;
+            }
+            lastCmd = upper;
+        }
+        return edges;
+    }
+
+    /**
+     * Split a path `d` attribute into commands with their numeric arguments.
+     * Arc flags may be written without separators (e.g. "a5 5 0 0110 10"),
+     * so they are read as single digits.
+     * @returns {Array<{cmd: string, args: number[]}>}
+     */
+    _tokenizePath(d) {
+        const commands = [];
+        const numRe = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+        const argCounts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+        let i = 0;
+        let current = null;
+
+        while (i < d.length) {
+            const ch = d[i];
+            if (/[\s,]/.test(ch)) { i++; continue; }
+
+            if (/[MLHVCSQTAZmlhvcsqtaz]/.test(ch)) {
+                current = { cmd: ch, args: [] };
+                commands.push(current);
+                i++;
+                continue;
+            }
+
+            if (!current || argCounts[current.cmd.toUpperCase()] === 0) {
+                // Stray number with no command to own it; skip it
+                numRe.lastIndex = i;
+                const stray = numRe.exec(d);
+                i = stray ? numRe.lastIndex : i + 1;
+                continue;
+            }
+
+            // Arc flags (4th and 5th argument of each arc) are single 0/1 digits
+            const isArc = current.cmd.toUpperCase() === 'A';
+            const argPos = current.args.length % 7;
+            if (isArc && (argPos === 3 || argPos === 4) && (ch === '0' || ch === '1')) {
+                current.args.push(ch === '1' ? 1 : 0);
+                i++;
+                continue;
+            }
+
+            numRe.lastIndex = i;
+            const match = numRe.exec(d);
+            if (!match) { i++; continue; }
+            current.args.push(parseFloat(match[0]));
+            i = numRe.lastIndex;
+        }
+        return commands;
+    }
+
+    /**
+     * Number of chords needed to keep a circular arc of radius r within tol of the curve.
+     */
+    _arcSegmentCount(r, sweepAngle, tol) {
+        if (r <= tol) return 1;
+        const maxStep = 2 * Math.acos(Math.max(-1, 1 - tol / r));
+        const n = Math.ceil(Math.abs(sweepAngle) / Math.max(maxStep, 0.01));
+        return Math.min(Math.max(n, 2), 128);
+    }
+
+    /**
+     * Flatten an SVG elliptical arc into points (excluding the start point).
+     * Converts endpoint parameterization to center parameterization as
+     * described in the SVG spec (Appendix B.2.4), including radius correction.
+     * @returns {Array} Array of [x,y] points ending at (x2,y2)
+     */
+    _arcToPoints(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2, tol = 0.5) {
+        rx = Math.abs(rx); ry = Math.abs(ry);
+        if (Math.hypot(x2 - x1, y2 - y1) < 0.001) return [];
+        // Degenerate radii: treat as a straight line
+        if (rx < 0.001 || ry < 0.001) return [[x2, y2]];
+
+        const phi = (rotationDeg * Math.PI) / 180;
+        const cosPhi = Math.cos(phi), sinPhi = Math.sin(phi);
+
+        // Step 1: compute (x1', y1')
+        const dx2 = (x1 - x2) / 2, dy2 = (y1 - y2) / 2;
+        const x1p = cosPhi * dx2 + sinPhi * dy2;
+        const y1p = -sinPhi * dx2 + cosPhi * dy2;
+
+        // Correct out-of-range radii
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            const s = Math.sqrt(lambda);
+            rx *= s; ry *= s;
+        }
+
+        // Step 2: compute (cx', cy')
+        const rx2 = rx * rx, ry2 = ry * ry;
+        const num = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p;
+        const den = rx2 * y1p * y1p + ry2 * x1p * x1p;
+        let coef = den === 0 ? 0 : Math.sqrt(Math.max(0, num / den));
+        if (!!largeArc === !!sweep) coef = -coef;
+        const cxp = coef * ((rx * y1p) / ry);
+        const cyp = coef * (-(ry * x1p) / rx);
+
+        // Step 3: compute (cx, cy)
+        const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+        // Step 4: start angle and sweep
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const steps = this._arcSegmentCount(Math.max(rx, ry), delta, tol);
+        const points = [];
+        for (let s = 1; s <= steps; s++) {
+            if (s === steps) {
+                points.push([x2, y2]);
+                break;
+            }
+            const t = theta1 + (delta * s) / steps;
+            const ex = rx * Math.cos(t), ey = ry * Math.sin(t);
+            points.push([cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy]);
+        }
+        return points;
+    }
+
+    /**
+     * Flatten a cubic Bézier into points (excluding the start point).
+     * The segment count is derived from the curve's second differences so the
+     * chord error stays within tol.
+     * @returns {Array} Array of [x,y] points ending at (x3,y3)
+     */
+    _cubicToPoints(x0, y0, x1, y1, x2, y2, x3, y3, tol = 0.5) {
+        const dd = Math.max(
+            Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2),
+            Math.hypot(x1 - 2 * x2 + x3, y1 - 2 * y2 + y3)
+        );
+        const steps = Math.min(Math.max(Math.ceil(Math.sqrt((0.75 * dd) / tol)), 1), 64);
+        const points = [];
+        for (let s = 1; s <= steps; s++) {
+            const t = s / steps, mt = 1 - t;
+            const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, e = t * t * t;
+            points.push([
+                a * x0 + b * x1 + c * x2 + e * x3,
+                a * y0 + b * y1 + c * y2 + e * y3
+            ]);
+        }
+        return points;
+    }
+
+    /**
+     * Flatten a quadratic Bézier into points (excluding the start point).
+     * @returns {Array} Array of [x,y] points ending at (x2,y2)
+     */
+    _quadToPoints(x0, y0, x1, y1, x2, y2, tol = 0.5) {
+        const dd = Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2);
+        const steps = Math.min(Math.max(Math.ceil(Math.sqrt(dd / (4 * tol))), 1), 64);
+        const points = [];
+        for (let s = 1; s <= steps; s++) {
+            const t = s / steps, mt = 1 - t;
+            points.push([
+                mt * mt * x0 + 2 * mt * t * x1 + t * t * x2,
+                mt * mt * y0 + 2 * mt * t * y1 + t * t * y2
+            ]);
+        }
+        return points;
+    }
+}
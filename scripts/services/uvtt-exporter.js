@@ -0,0 +1,242 @@
+import { SvgLayoutParser } from "./svg-layout-parser.js";
+import { WallGraph } from "./wall-graph.js";
+import { LightingProfiles } from "./lighting-profiles.js";
+import { GridConfig } from "./grid-config.js";
+import { ScenePipeline } from "./pipeline.js";
+import { SceneBuilder } from "./scene-builder.js";
+import { ImageFiles } from "./image-files.js";
+
+/**
+ * Universal VTT Exporter
+ * Writes maps as Universal VTT (.dd2vtt / .uvtt) files so they can be used on
+ * other virtual tabletops without redrawing walls.
+ *
+ * Two sources are supported: a pipeline state (walls, doors and lights are
+ * derived from the SVG layout the same way SceneBuilder does) and a built
+ * Scene (its actual walls and lights are exported, including GM edits).
+ *
+ * All geometry in the file is in grid units, measured from the map's top-left.
+ */
+export class UniversalVttExporter {
+    /** Universal VTT format version written */
+    static FORMAT = 0.3;
+
+    /** Door kinds (data-door) exported as portals; secret doors export as plain walls. A built Scene's windows are portals too */
+    static PORTAL_KINDS = ["door", "locked", "portcullis", "window"];
+
+    constructor() {
+        this.parser = new SvgLayoutParser();
+    }
+
+    /**
+     * Build Universal VTT data for every floor of a pipeline state.
+     * @param {Object} state - The pipeline state (images as buffers or saved paths)
+     * @returns {Promise<Array<{name: string, data: Object}>>} One file per floor
+     */
+    async fromState(state) {
+        if (!state?.outline) throw new Error("Pipeline state is incomplete. Cannot export.");
+
+        const outlines = ScenePipeline.levelOutlines(state.outline);
+        const floors = state.levels?.length > 1
+            ? state.levels.map(level => ({
+                ...level,
+                outline: outlines.find(l => l.id === level.id)?.outline || state.outline,
+                name: `${state.outline.title || "Scene"} - ${level.name}`
+            }))
+            : [{ ...state, name: state.outline.title || "Scene" }];
+
+        const files = [];
+        for (const floor of floors) {
+            if (!floor.svg || (!floor.imageBuffer && !floor.imagePath)) {
+                throw new Error("Pipeline state is incomplete. Cannot export.");
+            }
+            const image = floor.imageBuffer || await ImageFiles.fetchBase64(floor.imagePath);
+            const { width, height } = await ImageFiles.dimensions(`data:image/jpeg;base64,${image}`);
+            const grid = GridConfig.resolve(state.options, floor.outline, width);
+            files.push({ name: floor.name, data: this._layoutData(floor, image, width, height, grid) });
+        }
+        return files;
+    }
+
+    /**
+     * Build Universal VTT data from a Scene's background, walls and lights.
+     * @param {Scene} scene
+     * @returns {Promise<{name: string, data: Object}>}
+     */
+    async fromScene(scene) {
+        const src = scene.background?.src;
+        if (!src) throw new Error(`Scene "${scene.name}" has no background image to export.`);
+
+        const size = scene.grid?.size || 100;
+        const offsetX = scene.dimensions?.sceneX || 0;
+        const offsetY = scene.dimensions?.sceneY || 0;
+        const toGrid = (x, y) => this._point((x - offsetX) / size, (y - offsetY) / size);
+
+        const lineOfSight = [];
+        const portals = [];
+        for (const wall of scene.walls) {
+            const [x1, y1, x2, y2] = wall.c;
+            if (wall.door === 1) {
+                portals.push(this._portal(toGrid(x1, y1), toGrid(x2, y2), wall.ds !== 1));
+            } else if (this._isWindow(wall)) {
+                portals.push(this._portal(toGrid(x1, y1), toGrid(x2, y2), true));
+            } else if (wall.door === 2 || wall.sight > 0 || wall.move > 0) {
+                lineOfSight.push([toGrid(x1, y1), toGrid(x2, y2)]);
+            }
+        }
+
+        const distance = scene.grid?.distance || 5;
+        const lights = scene.lights.map(light => this._light(
+            toGrid(light.x, light.y),
+            (light.config?.dim || light.config?.bright || 0) / distance,
+            light.config?.color
+        ));
+
+        return {
+            name: scene.name,
+            data: this._document({
+                image: await ImageFiles.fetchBase64(src),
+                width: scene.width,
+                height: scene.height,
+                pixelsPerGrid: size,
+                lineOfSight,
+                portals,
+                lights,
+                darkness: scene.environment?.darknessLevel ?? 0
+            })
+        };
+    }
+
+    /**
+     * Download Universal VTT data as a file.
+     * @param {{name: string, data: Object}} file
+     * @param {string} [extension="dd2vtt"] - "dd2vtt" or "uvtt"
+     */
+    download(file, extension = "dd2vtt") {
+        const name = (file.name || "scene").replace(/[^a-zA-Z0-9-_ ]/g, "").trim().replace(/\s+/g, "-") || "scene";
+        foundry.utils.saveDataToFile(JSON.stringify(file.data), "application/json", `${name}.${extension}`);
+        console.log(`UniversalVttExporter | Exported ${name}.${extension}`);
+    }
+
+    /**
+     * Whether a Scene wall is one SceneBuilder built for a window: not a door,
+     * with the window's sight and movement restrictions.
+     */
+    _isWindow(wall) {
+        const { door, move, sight } = SceneBuilder.DOOR_KINDS.window;
+        return wall.door === door && wall.move === move && wall.sight === sight;
+    }
+
+    // ─── From the SVG layout ────────────────────────────────────────────
+
+    /**
+     * Derive walls, portals and lights from one floor's SVG layout.
+     */
+    _layoutData(floor, image, width, height, grid) {
+        const layout = this.parser.parse(floor.svg, width, height);
+        if (!layout) throw new Error("The SVG layout could not be parsed. Cannot export.");
+
+        const toGrid = (x, y) => this._point(x / grid.size, y / grid.size);
+        const portals = [];
+        const lineOfSight = [];
+
+        // Every opening cuts a gap in the walls; secret doors are drawn back in as plain walls
+        for (const door of layout.doors) {
+            const [x1, y1, x2, y2] = door.c;
+            if (UniversalVttExporter.PORTAL_KINDS.includes(door.type)) {
+                portals.push(this._portal(toGrid(x1, y1), toGrid(x2, y2), true));
+            } else if (door.type === "secret") {
+                lineOfSight.push([toGrid(x1, y1), toGrid(x2, y2)]);
+            }
+        }
+
+        const wallGraph = new WallGraph();
+        layout.walls.forEach(wall => wallGraph.addSegment(wall));
+        if (layout.walls.length === 0) {
+            for (const room of layout.rooms) {
+                if (!room.outdoor) room.edges.forEach(edge => wallGraph.addSegment(edge));
+            }
+        }
+        for (const wall of wallGraph.resolve(layout.doors)) {
+            const [x1, y1, x2, y2] = wall.c;
+            lineOfSight.push([toGrid(x1, y1), toGrid(x2, y2)]);
+        }
+
+        // Lights follow the same atmosphere profiles as the Foundry scene, or are the imported map's own
+        const rooms = floor.outline?.rooms || [];
+        const lights = [];
+        if (floor.lights?.length) {
+            floor.lights.forEach(l => lights.push(this._light(toGrid(l.x * width, l.y * height), l.range, l.color)));
+        } else {
+            layout.rooms.forEach((room, index) => {
+                const roomDef = rooms.find(r => String(r.id) === String(room.id)) || rooms[index];
+                const profile = LightingProfiles.forRoom(roomDef);
+                const config = LightingProfiles.lightConfig(profile, room.radius / grid.size * grid.distance);
+                if (config) lights.push(this._light(toGrid(...room.center), config.dim / grid.distance, config.color));
+            });
+        }
+
+        return this._document({
+            image,
+            width,
+            height,
+            pixelsPerGrid: grid.size,
+            lineOfSight,
+            portals,
+            lights,
+            darkness: LightingProfiles.sceneEnvironment(floor.outline).darknessLevel
+        });
+    }
+
+    // ─── File structure ─────────────────────────────────────────────────
+
+    _document({ image, width, height, pixelsPerGrid, lineOfSight, portals, lights, darkness }) {
+        const ambient = Math.round(255 * (1 - Math.min(1, Math.max(0, darkness))));
+        const hex = ambient.toString(16).padStart(2, "0");
+        return {
+            format: UniversalVttExporter.FORMAT,
+            resolution: {
+                map_origin: { x: 0, y: 0 },
+                map_size: { x: this._round(width / pixelsPerGrid), y: this._round(height / pixelsPerGrid) },
+                pixels_per_grid: pixelsPerGrid
+            },
+            line_of_sight: lineOfSight,
+            objects_line_of_sight: [],
+            portals,
+            environment: {
+                baked_lighting: true,
+                ambient_light: `ff${hex}${hex}${hex}`
+            },
+            lights,
+            image
+        };
+    }
+
+    _portal(a, b, closed) {
+        return {
+            position: this._point((a.x + b.x) / 2, (a.y + b.y) / 2),
+            bounds: [a, b],
+            rotation: this._round(Math.atan2(b.y - a.y, b.x - a.x)),
+            closed,
+            freestanding: false
+        };
+    }
+
+    _light(position, range, color) {
+        return {
+            position,
+            range: this._round(range),
+            intensity: 1,
+            color: `ff${String(color || "#ffffff").replace("#", "").toLowerCase()}`,
+            shadows: true
+        };
+    }
+
+    _point(x, y) {
+        return { x: this._round(x), y: this._round(y) };
+    }
+
+    _round(v) {
+        return Math.round(v * 1000) / 1000;
+    }
+}
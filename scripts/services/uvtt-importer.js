@@ -0,0 +1,371 @@
+/**
+ * Universal VTT Importer
+ * Reads Universal VTT (.dd2vtt / .uvtt) files — as exported by Dungeondraft
+ * and other map makers — and turns them into an SVG layout the rest of the
+ * pipeline understands.
+ *
+ * The file only knows walls and portals, not rooms. Rooms are found by
+ * rasterizing walls and portals onto a fine grid and flood-filling the open
+ * cells: every enclosed space becomes a room, traced back into a polygon.
+ * Open space that reaches the map edge counts as "outside".
+ *
+ * The original walls are kept as `<polyline data-wall>` elements, so the
+ * Scene gets the map maker's walls rather than walls rebuilt from the traced
+ * room outlines. Open portals become archways, and the file's lights are
+ * kept for the Scene in place of the per-room ones.
+ */
+export class UniversalVttImporter {
+    /** Raster cells per grid square used for room detection */
+    static CELLS_PER_GRID = 4;
+
+    /** Enclosed spaces smaller than this many grid squares are ignored (wall cavities, pillars) */
+    static MIN_ROOM_SQUARES = 2;
+
+    /** Id used in connections for open space reaching the map edge */
+    static OUTSIDE = "outside";
+
+    /**
+     * Parse a Universal VTT file.
+     * @param {Object|string} data - The file contents (parsed JSON or raw text)
+     * @returns {{image: string, width: number, height: number, gridSize: number,
+     *   walls: number[][], portals: Array, rooms: Array, connections: Array, lights: Array}}
+     *   Geometry is in image pixels. Each room is {id, points, center, squares, bounds};
+     *   each portal is {c, closed, between}. Each light is {x, y, range, color} with x and y
+     *   as fractions of the map size and range in grid squares.
+     */
+    parse(data) {
+        if (typeof data === "string") {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new Error("The file is not valid Universal VTT JSON.");
+            }
+        }
+        const resolution = data?.resolution;
+        const gridSize = Number(resolution?.pixels_per_grid);
+        if (!resolution?.map_size || !(gridSize > 0)) throw new Error("The file has no map resolution. Is it a Universal VTT file?");
+        if (!data.image) throw new Error("The file has no embedded map image.");
+
+        const origin = resolution.map_origin || { x: 0, y: 0 };
+        const toPx = (p) => [(Number(p.x) - (origin.x || 0)) * gridSize, (Number(p.y) - (origin.y || 0)) * gridSize];
+        const width = Math.round(resolution.map_size.x * gridSize);
+        const height = Math.round(resolution.map_size.y * gridSize);
+
+        // Map objects that block sight (pillars, statues) are walls too
+        const walls = [];
+        for (const line of [...(data.line_of_sight || []), ...(data.objects_line_of_sight || [])]) {
+            for (let i = 0; i < line.length - 1; i++) {
+                walls.push([...toPx(line[i]), ...toPx(line[i + 1])]);
+            }
+        }
+
+        const portals = (data.portals || [])
+            .filter(p => p.bounds?.length >= 2)
+            .map(p => ({ c: [...toPx(p.bounds[0]), ...toPx(p.bounds[1])], closed: p.closed !== false, between: null }));
+
+        const lights = (data.lights || [])
+            .filter(l => l.position && Number(l.range) > 0)
+            .map(l => {
+                const [x, y] = toPx(l.position);
+                return { x: x / width, y: y / height, range: Number(l.range), color: this._color(l.color) };
+            });
+
+        const { rooms, labelAt } = this._detectRooms(walls, portals, width, height, gridSize);
+        const connections = this._connections(portals, labelAt, gridSize);
+
+        console.log(`UniversalVttImporter | ${walls.length} wall segment(s), ${portals.length} portal(s), ${lights.length} light(s), ${rooms.length} room(s) detected.`);
+        return { image: data.image, width, height, gridSize, walls, portals, rooms, connections, lights };
+    }
+
+    /**
+     * Write the parsed map as an SVG layout. Room labels and door kinds come
+     * from the outline when one is given.
+     * @param {Object} layout - Result of parse()
+     * @param {Object} [outline] - Scene outline whose room ids match the detected rooms
+     * @returns {string}
+     */
+    toSvg(layout, outline = null) {
+        const { width, height } = layout;
+        const rooms = outline?.rooms || [];
+        const fmt = (n) => Math.round(n * 10) / 10;
+        const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+        const colors = ["#445566", "#554433", "#465a3c", "#5a3c4b", "#3c4b5a", "#5a5a3c"];
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect data-background="true" x="0" y="0" width="${width}" height="${height}" fill="#111111"/>`
+        ];
+
+        layout.rooms.forEach((room, i) => {
+            const points = room.points.map(([x, y]) => `${fmt(x)},${fmt(y)}`).join(" ");
+            const outdoor = room.outdoor ? ` data-outdoor="true" stroke-dasharray="10,5" fill-opacity="0.5"` : "";
+            parts.push(`<polygon data-room-id="${esc(room.id)}" points="${points}" fill="${colors[i % colors.length]}" stroke="#222222"${outdoor}/>`);
+        });
+
+        for (const [x1, y1, x2, y2] of layout.walls) {
+            parts.push(`<polyline data-wall="true" points="${fmt(x1)},${fmt(y1)} ${fmt(x2)},${fmt(y2)}" fill="none" stroke="#dddddd" stroke-width="4"/>`);
+        }
+
+        for (const portal of layout.portals) {
+            const connection = portal.between && (outline?.connections || []).find(c =>
+                c.between?.length === 2 && portal.between.every(id => c.between.map(String).includes(id)));
+            // Archways stay open passages: they cut a gap in the walls but get no door
+            const kind = connection?.type || (portal.closed ? "door" : "archway");
+            const material = connection?.material ? ` data-material="${esc(connection.material)}"` : "";
+            const [x1, y1, x2, y2] = portal.c.map(fmt);
+            parts.push(`<line data-door="${esc(kind)}"${material} x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#8B4513" stroke-width="8"/>`);
+        }
+
+        const fontSize = Math.max(12, Math.round(layout.gridSize / 3));
+        for (const room of layout.rooms) {
+            const name = rooms.find(r => String(r.id) === room.id)?.name || room.id;
+            parts.push(`<text x="${fmt(room.center[0])}" y="${fmt(room.center[1])}" fill="white" font-size="${fontSize}" text-anchor="middle">${esc(name)}</text>`);
+        }
+
+        parts.push("</svg>");
+        return parts.join("\n");
+    }
+
+    // ─── Room Detection ─────────────────────────────────────────────────
+
+    /**
+     * Rasterize walls and portals, then flood-fill the open cells.
+     * Closed portals separate rooms just like walls do.
+     * @returns {{rooms: Array, labelAt: function(number, number): string|null}}
+     *   labelAt maps a pixel position to a room id, OUTSIDE, or null for walls and ignored cells.
+     */
+    _detectRooms(walls, portals, width, height, gridSize) {
+        const perGrid = UniversalVttImporter.CELLS_PER_GRID;
+        const cell = gridSize / perGrid;
+        const cols = Math.max(1, Math.ceil(width / cell));
+        const rows = Math.max(1, Math.ceil(height / cell));
+
+        // 0 = open, -1 = wall, >0 = component label
+        const grid = new Int32Array(cols * rows);
+        for (const [x1, y1, x2, y2] of [...walls, ...portals.map(p => p.c)]) {
+            const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / (cell / 4)));
+            for (let s = 0; s <= steps; s++) {
+                const cx = Math.floor((x1 + (x2 - x1) * s / steps) / cell);
+                const cy = Math.floor((y1 + (y2 - y1) * s / steps) / cell);
+                if (cx >= 0 && cy >= 0 && cx < cols && cy < rows) grid[cy * cols + cx] = -1;
+            }
+        }
+
+        const components = [];
+        for (let start = 0; start < grid.length; start++) {
+            if (grid[start] !== 0) continue;
+            const label = components.length + 1;
+            const cells = [];
+            let edge = false;
+            const stack = [start];
+            grid[start] = label;
+            while (stack.length > 0) {
+                const i = stack.pop();
+                cells.push(i);
+                const x = i % cols, y = (i - x) / cols;
+                if (x === 0 || y === 0 || x === cols - 1 || y === rows - 1) edge = true;
+                for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+                    if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+                    const n = ny * cols + nx;
+                    if (grid[n] !== 0) continue;
+                    grid[n] = label;
+                    stack.push(n);
+                }
+            }
+            components.push({ label, cells, edge });
+        }
+
+        const minCells = UniversalVttImporter.MIN_ROOM_SQUARES * perGrid * perGrid;
+        const enclosed = components.filter(c => !c.edge && c.cells.length >= minCells);
+
+        let rooms = enclosed.map(c => this._roomFromCells(c, cols, cell, gridSize));
+        if (rooms.length === 0) {
+            // Nothing is enclosed (an outdoor map, or a cave open to the edge): treat the map as one outdoor area
+            console.warn("UniversalVttImporter | No enclosed rooms found; using the whole map as one outdoor area.");
+            rooms = [{
+                label: null,
+                points: [[0, 0], [width, 0], [width, height], [0, height]],
+                center: [width / 2, height / 2],
+                squares: Math.round((width * height) / (gridSize * gridSize)),
+                bounds: { x: 0, y: 0, width: width / gridSize, height: height / gridSize },
+                outdoor: true
+            }];
+        }
+
+        // Number rooms in reading order so ids are stable between imports of the same file
+        rooms.sort((a, b) => (Math.round(a.center[1] / gridSize) - Math.round(b.center[1] / gridSize)) || (a.center[0] - b.center[0]));
+        rooms.forEach((room, i) => { room.id = `area-${i + 1}`; });
+
+        const idByLabel = new Map(rooms.filter(r => r.label).map(r => [r.label, r.id]));
+        const edgeLabels = new Set(components.filter(c => c.edge).map(c => c.label));
+        const labelAt = (px, py) => {
+            const cx = Math.floor(px / cell), cy = Math.floor(py / cell);
+            if (cx < 0 || cy < 0 || cx >= cols || cy >= rows) return UniversalVttImporter.OUTSIDE;
+            const label = grid[cy * cols + cx];
+            if (idByLabel.has(label)) return idByLabel.get(label);
+            if (edgeLabels.has(label)) return UniversalVttImporter.OUTSIDE;
+            return null;
+        };
+
+        return { rooms: rooms.map(({ label, ...room }) => room), labelAt };
+    }
+
+    /**
+     * Trace a component's outer boundary into a simplified polygon.
+     */
+    _roomFromCells(component, cols, cell, gridSize) {
+        const inside = new Set(component.cells);
+        const has = (x, y) => x >= 0 && x < cols && inside.has(y * cols + x);
+
+        // Directed boundary edges, clockwise around each cell, between cell corners
+        const next = new Map();
+        const addEdge = (ax, ay, bx, by) => {
+            const key = `${ax},${ay}`;
+            if (!next.has(key)) next.set(key, []);
+            next.get(key).push([bx, by]);
+        };
+        let sumX = 0, sumY = 0, minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const i of component.cells) {
+            const x = i % cols, y = (i - x) / cols;
+            sumX += x + 0.5;
+            sumY += y + 0.5;
+            minX = Math.min(minX, x); minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x + 1); maxY = Math.max(maxY, y + 1);
+            if (!has(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!has(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!has(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!has(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+
+        // Chain the edges into loops; the one enclosing the largest area is the outer boundary
+        let outer = [];
+        let outerArea = 0;
+        for (const startKey of next.keys()) {
+            while (next.get(startKey).length > 0) {
+                const loop = [startKey.split(",").map(Number)];
+                let key = startKey;
+                while (next.get(key)?.length > 0) {
+                    const point = next.get(key).pop();
+                    key = `${point[0]},${point[1]}`;
+                    if (key === startKey) break;
+                    loop.push(point);
+                }
+                const area = Math.abs(this._area(loop));
+                if (area > outerArea) {
+                    outer = loop;
+                    outerArea = area;
+                }
+            }
+        }
+
+        const count = component.cells.length;
+        const perGrid = gridSize / cell;
+        return {
+            label: component.label,
+            points: this._simplify(outer, 0.75).map(([x, y]) => [x * cell, y * cell]),
+            center: [(sumX / count) * cell, (sumY / count) * cell],
+            squares: Math.round(count / (perGrid * perGrid)),
+            bounds: { x: minX / perGrid, y: minY / perGrid, width: (maxX - minX) / perGrid, height: (maxY - minY) / perGrid },
+            outdoor: false
+        };
+    }
+
+    /**
+     * Find the spaces on either side of every portal.
+     * Each portal's `between` is filled in, and each distinct pair of spaces
+     * becomes one connection.
+     * @returns {Array<{between: string[], type: string}>}
+     */
+    _connections(portals, labelAt, gridSize) {
+        const connections = [];
+        const seen = new Set();
+        for (const portal of portals) {
+            const [x1, y1, x2, y2] = portal.c;
+            const len = Math.hypot(x2 - x1, y2 - y1);
+            if (len < 1) continue;
+            const mx = (x1 + x2) / 2, my = (y1 + y2) / 2;
+            const nx = -(y2 - y1) / len, ny = (x2 - x1) / len;
+
+            // Step away from the portal on both sides until a space is found
+            const side = (dir) => {
+                for (const d of [0.5, 1, 1.5]) {
+                    const label = labelAt(mx + nx * dir * d * gridSize, my + ny * dir * d * gridSize);
+                    if (label) return label;
+                }
+                return null;
+            };
+            const a = side(1), b = side(-1);
+            if (!a || !b || a === b) continue;
+            portal.between = [a, b];
+
+            const key = [a, b].sort().join("|");
+            if (seen.has(key)) continue;
+            seen.add(key);
+            connections.push({ between: a === UniversalVttImporter.OUTSIDE ? [b, a] : [a, b], type: portal.closed ? "door" : "archway" });
+        }
+        return connections;
+    }
+
+    /**
+     * Convert a Universal VTT color ("AARRGGBB" hex) to "#rrggbb".
+     */
+    _color(value) {
+        const hex = String(value || "").replace("#", "").toLowerCase();
+        return /^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex) ? `#${hex.slice(-6)}` : "#ffffff";
+    }
+
+    // ─── Geometry Helpers ───────────────────────────────────────────────
+
+    /**
+     * Signed area of a polygon (shoelace formula).
+     */
+    _area(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Simplify a closed polygon with Ramer–Douglas–Peucker, so the staircase
+     * left by the raster along diagonal walls becomes straight edges again.
+     * @param {number[][]} points - Closed polygon (first point not repeated)
+     * @param {number} tol - Maximum deviation, in the points' units
+     */
+    _simplify(points, tol) {
+        if (points.length < 4) return points;
+
+        // Split the loop at the point farthest from the start, and simplify both halves
+        let far = 0, farDist = -1;
+        points.forEach(([x, y], i) => {
+            const d = Math.hypot(x - points[0][0], y - points[0][1]);
+            if (d > farDist) { far = i; farDist = d; }
+        });
+        const first = this._simplifyChain(points.slice(0, far + 1), tol);
+        const second = this._simplifyChain([...points.slice(far), points[0]], tol);
+        return [...first.slice(0, -1), ...second.slice(0, -1)];
+    }
+
+    _simplifyChain(points, tol) {
+        if (points.length < 3) return points;
+        const [ax, ay] = points[0];
+        const [bx, by] = points[points.length - 1];
+        const len = Math.hypot(bx - ax, by - ay);
+
+        let index = 0, maxDist = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const [px, py] = points[i];
+            const d = len < 1e-9
+                ? Math.hypot(px - ax, py - ay)
+                : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len;
+            if (d > maxDist) { index = i; maxDist = d; }
+        }
+        if (maxDist <= tol) return [points[0], points[points.length - 1]];
+        const left = this._simplifyChain(points.slice(0, index + 1), tol);
+        const right = this._simplifyChain(points.slice(index), tol);
+        return [...left.slice(0, -1), ...right];
+    }
+}
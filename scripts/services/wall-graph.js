@@ -0,0 +1,280 @@
+/**
+ * Wall Graph
+ * Turns the raw edges of every room into a single set of physical walls.
+ *
+ * Adjacent rooms share edges, so each shared edge arrives twice (once per room),
+ * often slightly offset. Before door gaps are cut, the graph:
+ *   1. Snaps near-coincident endpoints together
+ *   2. Merges collinear, overlapping segments into one
+ *   3. Splits walls where another wall's endpoint touches them (T-junctions)
+ * so every physical wall exists exactly once and a door gap can't be left
+ * blocked by a duplicate.
+ */
+export class WallGraph {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.tolerance=5] - Distance in pixels under which points and lines are considered coincident
+     */
+    constructor({ tolerance = 5 } = {}) {
+        this.tolerance = tolerance;
+        /** @type {number[][]} Raw [x1,y1,x2,y2] segments */
+        this.segments = [];
+    }
+
+    /**
+     * Add a raw wall segment.
+     * @param {number[]} segment - [x1,y1,x2,y2]
+     */
+    addSegment(segment) {
+        if (Math.hypot(segment[2] - segment[0], segment[3] - segment[1]) < 0.5) return;
+        this.segments.push([...segment]);
+    }
+
+    /**
+     * Resolve the graph and cut door gaps.
+     * @param {Array} doors - Array of {c:[x1,y1,x2,y2]} door objects
+     * @returns {Array} Array of {c:[x1,y1,x2,y2]} wall segments
+     */
+    resolve(doors = []) {
+        const rawCount = this.segments.length;
+        let segments = this._snapEndpoints(this.segments);
+        segments = this._mergeCollinear(segments);
+        segments = this._splitAtJunctions(segments);
+
+        const walls = [];
+        for (const segment of segments) {
+            this._splitWallForDoors(segment, doors).forEach(w => walls.push(w));
+        }
+
+        console.log(`WallGraph | Resolved ${rawCount} raw edge(s) into ${segments.length} wall(s) (${walls.length} after door gaps).`);
+        return walls;
+    }
+
+    // ─── Graph Passes ───────────────────────────────────────────────────
+
+    /**
+     * Cluster endpoints that lie within tolerance of each other and move
+     * every member to the cluster's average position.
+     */
+    _snapEndpoints(segments) {
+        const points = [];
+        segments.forEach(s => points.push([s[0], s[1]], [s[2], s[3]]));
+
+        // Union-find over endpoints
+        const parent = points.map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                if (Math.hypot(points[i][0] - points[j][0], points[i][1] - points[j][1]) <= this.tolerance) {
+                    parent[find(i)] = find(j);
+                }
+            }
+        }
+
+        const sums = new Map();
+        points.forEach((p, i) => {
+            const root = find(i);
+            const sum = sums.get(root) || { x: 0, y: 0, n: 0 };
+            sum.x += p[0]; sum.y += p[1]; sum.n++;
+            sums.set(root, sum);
+        });
+        const snapped = points.map((_, i) => {
+            const sum = sums.get(find(i));
+            return [sum.x / sum.n, sum.y / sum.n];
+        });
+
+        const result = [];
+        for (let i = 0; i < segments.length; i++) {
+            const [ax, ay] = snapped[i * 2];
+            const [bx, by] = snapped[i * 2 + 1];
+            if (Math.hypot(bx - ax, by - ay) < 0.5) continue;
+            result.push([ax, ay, bx, by]);
+        }
+        return result;
+    }
+
+    /**
+     * Group segments lying on (nearly) the same line and replace each group
+     * with the union of their extents along that line.
+     */
+    _mergeCollinear(segments) {
+        const tol = this.tolerance;
+        const maxSin = Math.sin((2 * Math.PI) / 180);
+        const order = segments
+            .map((s, i) => ({ s, i, len: Math.hypot(s[2] - s[0], s[3] - s[1]) }))
+            .sort((a, b) => b.len - a.len);
+        const used = new Set();
+        const result = [];
+
+        for (const { s: base, i: baseIdx, len } of order) {
+            if (used.has(baseIdx)) continue;
+            used.add(baseIdx);
+
+            // Line of the longest remaining segment is the group's axis
+            const [ax, ay, bx, by] = base;
+            const ux = (bx - ax) / len, uy = (by - ay) / len;
+            const distToLine = (px, py) => Math.abs((px - ax) * uy - (py - ay) * ux);
+            const along = (px, py) => (px - ax) * ux + (py - ay) * uy;
+
+            const intervals = [[0, len]];
+            for (const { s: other, i: otherIdx, len: otherLen } of order) {
+                if (used.has(otherIdx)) continue;
+                const [cx, cy, dx, dy] = other;
+                const cross = Math.abs(((dx - cx) * uy - (dy - cy) * ux) / otherLen);
+                if (cross > maxSin) continue;
+                if (distToLine(cx, cy) > tol || distToLine(dx, dy) > tol) continue;
+                const t1 = along(cx, cy), t2 = along(dx, dy);
+                intervals.push([Math.min(t1, t2), Math.max(t1, t2)]);
+                used.add(otherIdx);
+            }
+
+            // Union the intervals, bridging gaps smaller than tolerance
+            intervals.sort((a, b) => a[0] - b[0]);
+            const merged = [intervals[0].slice()];
+            for (let k = 1; k < intervals.length; k++) {
+                const last = merged[merged.length - 1];
+                if (intervals[k][0] <= last[1] + tol) {
+                    last[1] = Math.max(last[1], intervals[k][1]);
+                } else {
+                    merged.push(intervals[k].slice());
+                }
+            }
+
+            for (const [t1, t2] of merged) {
+                result.push([ax + ux * t1, ay + uy * t1, ax + ux * t2, ay + uy * t2]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Split walls wherever another wall's endpoint lands on their interior,
+     * moving the split point onto that endpoint so the two walls connect.
+     */
+    _splitAtJunctions(segments) {
+        const tol = this.tolerance;
+        const endpoints = [];
+        segments.forEach(s => endpoints.push([s[0], s[1]], [s[2], s[3]]));
+
+        const result = [];
+        for (const seg of segments) {
+            const [ax, ay, bx, by] = seg;
+            const len = Math.hypot(bx - ax, by - ay);
+            const cuts = [];
+            for (const [px, py] of endpoints) {
+                if (!this._pointOnSegment(px, py, ax, ay, bx, by, tol)) continue;
+                const t = this._projectParam(px, py, ax, ay, bx, by);
+                // Ignore points at (or within tolerance of) this wall's own ends
+                if (t * len <= tol || (1 - t) * len <= tol) continue;
+                cuts.push({ t, p: [px, py] });
+            }
+
+            if (cuts.length === 0) {
+                result.push(seg);
+                continue;
+            }
+
+            cuts.sort((a, b) => a.t - b.t);
+            let prev = [ax, ay];
+            let prevT = 0;
+            for (const cut of cuts) {
+                if ((cut.t - prevT) * len < 0.5) continue;
+                result.push([prev[0], prev[1], cut.p[0], cut.p[1]]);
+                prev = cut.p;
+                prevT = cut.t;
+            }
+            result.push([prev[0], prev[1], bx, by]);
+        }
+        return result;
+    }
+
+    // ─── Geometry Helpers ───────────────────────────────────────────────
+
+    /**
+     * Check if a point lies on a line segment within a tolerance.
+     */
+    _pointOnSegment(px, py, ax, ay, bx, by, tol = 4) {
+        const lenAB = Math.hypot(bx - ax, by - ay);
+        if (lenAB < 0.1) return false;
+        const cross = Math.abs((px - ax) * (by - ay) - (py - ay) * (bx - ax)) / lenAB;
+        if (cross > tol) return false;
+        const dot = ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / (lenAB * lenAB);
+        return dot >= -0.01 && dot <= 1.01;
+    }
+
+    /**
+     * Project a point onto a line segment, returning the 0-1 parameter.
+     */
+    _projectParam(px, py, ax, ay, bx, by) {
+        const dx = bx - ax, dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        if (len2 < 0.01) return 0;
+        return ((px - ax) * dx + (py - ay) * dy) / len2;
+    }
+
+    /**
+     * Split a wall segment into sub-segments that leave gaps where doors are.
+     * @param {number[]} wall - [x1,y1,x2,y2] of the wall
+     * @param {Array} doors - Array of {c:[x1,y1,x2,y2]} door objects
+     * @param {number} tol - Tolerance in pixels for matching doors to walls
+     * @returns {Array} Array of {c:[x1,y1,x2,y2]} wall sub-segments
+     */
+    _splitWallForDoors(wall, doors, tol = 6) {
+        const [ax, ay, bx, by] = wall;
+
+        // Find all doors that lie on this wall
+        const overlaps = [];
+        for (const door of doors) {
+            const [dx1, dy1, dx2, dy2] = door.c;
+            const onSeg1 = this._pointOnSegment(dx1, dy1, ax, ay, bx, by, tol);
+            const onSeg2 = this._pointOnSegment(dx2, dy2, ax, ay, bx, by, tol);
+            if (onSeg1 && onSeg2) {
+                let t1 = this._projectParam(dx1, dy1, ax, ay, bx, by);
+                let t2 = this._projectParam(dx2, dy2, ax, ay, bx, by);
+                if (t1 > t2) [t1, t2] = [t2, t1];
+                overlaps.push({ t1: Math.max(0, t1), t2: Math.min(1, t2) });
+            }
+        }
+
+        if (overlaps.length === 0) return [{ c: wall }];
+
+        // Sort and merge overlapping door ranges
+        overlaps.sort((a, b) => a.t1 - b.t1);
+        const merged = [overlaps[0]];
+        for (let i = 1; i < overlaps.length; i++) {
+            const last = merged[merged.length - 1];
+            if (overlaps[i].t1 <= last.t2 + 0.001) {
+                last.t2 = Math.max(last.t2, overlaps[i].t2);
+            } else {
+                merged.push(overlaps[i]);
+            }
+        }
+
+        // Build sub-segments around the gaps
+        const dx = bx - ax, dy = by - ay;
+        const lerp = (t) => [ax + dx * t, ay + dy * t];
+        const result = [];
+        let cursor = 0;
+
+        for (const gap of merged) {
+            if (gap.t1 > cursor + 0.001) {
+                const [sx, sy] = lerp(cursor);
+                const [ex, ey] = lerp(gap.t1);
+                result.push({ c: [sx, sy, ex, ey] });
+            }
+            cursor = gap.t2;
+        }
+        if (cursor < 1 - 0.001) {
+            const [sx, sy] = lerp(cursor);
+            result.push({ c: [sx, sy, bx, by] });
+        }
+
+        return result;
+    }
+}
@@ -4,6 +4,13 @@ import { InpaintingPipeline } from "../services/inpainting-pipeline.js";
 import { VibeToast } from "../../../vibe-common/scripts/ui/toast-manager.js";
 import { SceneBuilder } from "../services/scene-builder.js";
 import { ProgressDialog } from "./progress-dialog.js";
+import { GridConfig } from "../services/grid-config.js";
+import { UniversalVttExporter } from "../services/uvtt-exporter.js";
+import { GenerationBundle } from "../services/generation-bundle.js";
+import { PipelineCheckpoint } from "../services/pipeline-checkpoint.js";
+import { GenerationHistory } from "../services/generation-history.js";
+import { Cancellation } from "../services/cancellation.js";
+import { ModelRequestError } from "../services/providers/model-request-error.js";
 
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -15,9 +22,74 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
         this.userPrompt = "";
         this.generateWalls = true;
         this.includeTileOverlay = false;
+        this.createRegions = true;
+        this.singleJournal = false;
+        this.numberRooms = false;
+        this.gridScale = GridConfig.DEFAULT_SCALE;
+        this.gridType = GridConfig.DEFAULT_TYPE;
+        this.gridSize = null; // null = derived from the outline
+        this.snapToGrid = false;
         this.removeRoomLabels = true;
         this.useInpaintingPipeline = false;
         this.isGenerating = false;
+        this.showHistory = false;
+    }
+
+    /**
+     * Reopen the generator for a Scene built earlier, using the pipeline state
+     * stored in its flags.
+     * @param {Scene} scene - A Scene created by SceneBuilder
+     * @param {Object} [options]
+     * @param {number} [options.step] - 2 to revisit the layout, 3 to review the map (default: 3 if an image was saved)
+     * @returns {GeneratorApp|null} The rendered app, or null if the Scene has no stored state
+     */
+    static fromScene(scene, { step } = {}) {
+        const data = scene?.getFlag(SceneBuilder.FLAG_SCOPE, "pipelineState");
+        if (!data) {
+            VibeToast.warn(`Scene "${scene?.name}" has no stored generator state.`);
+            return null;
+        }
+
+        const state = ScenePipeline.restoreState(data);
+        const app = new GeneratorApp();
+        app._applyState(state);
+        app.step = step ?? (state.imagePath ? 3 : 2);
+        if (app.step === 3 && !state.imagePath) app.step = 2;
+
+        app.render({ force: true });
+        return app;
+    }
+
+    /**
+     * Load a pipeline state into the app, picking the pipeline that rendered
+     * it and restoring the Step 2 options it was generated with.
+     * @param {Object} state - A restored pipeline state
+     */
+    _applyState(state) {
+        const opts = state.options || {};
+        this.useInpaintingPipeline = state.models?.pipeline === InpaintingPipeline.PIPELINE_TYPE;
+        this.pipeline = this.useInpaintingPipeline ? new InpaintingPipeline() : new ScenePipeline();
+        this.pipeline.state = state;
+        this.userPrompt = state.userConcept || "";
+        this.generateWalls = opts.generateWalls ?? this.generateWalls;
+        this.includeTileOverlay = opts.includeTileOverlay ?? this.includeTileOverlay;
+        this.createRegions = opts.createRegions ?? this.createRegions;
+        this.singleJournal = opts.singleJournal ?? this.singleJournal;
+        this.numberRooms = opts.numberRooms ?? this.numberRooms;
+        this.gridScale = opts.gridScale ?? this.gridScale;
+        this.gridType = opts.gridType ?? this.gridType;
+        this.gridSize = opts.gridSize ?? this.gridSize;
+        this.snapToGrid = opts.snapToGrid ?? this.snapToGrid;
+        this.removeRoomLabels = opts.removeRoomLabels ?? this.removeRoomLabels;
+    }
+
+    /**
+     * Image source for a state or level: the in-memory buffer if there is one,
+     * otherwise the file saved by an earlier build.
+     */
+    static _imageSrc(target) {
+        if (target?.imageBuffer) return `data:image/jpeg;base64,${target.imageBuffer}`;
+        return target?.imagePath || null;
     }
 
     static DEFAULT_OPTIONS = {
@@ -33,7 +105,22 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             next: this.prototype._onNextStep,
             back: this.prototype._onBackStep,
             finish: this.prototype._onFinish,
-            randomize: this.prototype._onRandomize
+            rebuild: this.prototype._onRebuild,
+            reviseLayout: this.prototype._onReviseLayout,
+            exportUvtt: this.prototype._onExportUvtt,
+            randomize: this.prototype._onRandomize,
+            importUvtt: this.prototype._onImportUvtt,
+            importSvg: this.prototype._onImportSvg,
+            saveBundle: this.prototype._onSaveBundle,
+            dmHandout: this.prototype._onDmHandout,
+            loadBundle: this.prototype._onLoadBundle,
+            resumeCheckpoint: this.prototype._onResumeCheckpoint,
+            discardCheckpoint: this.prototype._onDiscardCheckpoint,
+            toggleHistory: this.prototype._onToggleHistory,
+            historyOpen: this.prototype._onHistoryOpen,
+            historyRebuild: this.prototype._onHistoryRebuild,
+            historyDuplicate: this.prototype._onHistoryDuplicate,
+            historyDelete: this.prototype._onHistoryDelete
         }
     };
 
@@ -52,16 +139,53 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             userPrompt: this.userPrompt,
             generateWalls: this.generateWalls,
             includeTileOverlay: this.includeTileOverlay,
+            createRegions: this.createRegions,
+            singleJournal: this.singleJournal,
+            numberRooms: this.numberRooms,
+            gridScale: this.gridScale,
+            gridScales: { "5ft": "5 ft per square", "10ft": "10 ft per square", "1.5m": "1.5 m per square" },
+            gridType: this.gridType,
+            gridTypes: { "square": "Square", "hex-rows": "Hex (rows)", "hex-columns": "Hex (columns)" },
+            gridSize: this.gridSize,
+            snapToGrid: this.snapToGrid,
             removeRoomLabels: this.removeRoomLabels,
             useInpaintingPipeline: this.useInpaintingPipeline,
             isGenerating: this.isGenerating,
             outline: this.pipeline.state.outline,
             rooms: this.pipeline.state.outline?.rooms || [],
             svg: this.pipeline.state.svg,
-            imageBuffer: this.pipeline.state.imageBuffer
+            levels: this.pipeline.state.levels?.map(l => ({ ...l, imageSrc: GeneratorApp._imageSrc(l) })) ?? null,
+            imageSrc: GeneratorApp._imageSrc(this.pipeline.state),
+            layoutReports: this._layoutReports(),
+            hasLayoutIssues: this._layoutReports().some(r => r.issues.length > 0),
+            existingScene: game.scenes.get(this.pipeline.state.sceneId)?.name ?? null,
+            // Offered only on a fresh Step 1, never over work already in the window
+            checkpoint: this.step === 1 && !this.pipeline.state.outline ? PipelineCheckpoint.summary() : null,
+            showHistory: this.step === 1 && this.showHistory,
+            history: this.step === 1 && this.showHistory ? GenerationHistory.summaries() : []
         };
     }
 
+    /**
+     * Layout lint and connection check results for Step 2, one entry per floor.
+     * @returns {Array<{name: string|null, ok: boolean, fixes: string[], issues: string[]}>}
+     */
+    _layoutReports() {
+        const state = this.pipeline.state;
+        const targets = state.levels ? state.levels.map(l => ({ name: l.name, target: l })) : [{ name: null, target: state }];
+        return targets
+            .filter(({ target }) => target.lintReport || target.connectionReport)
+            .map(({ name, target }) => {
+                const issues = [...(target.lintReport?.issues || []), ...(target.connectionReport?.issues || [])];
+                return {
+                    name,
+                    ok: issues.length === 0,
+                    fixes: [...(target.lintReport?.fixes || []), ...(target.connectionReport?.repairs || [])],
+                    issues
+                };
+            });
+    }
+
     // ---- Random Prompt Tables (40 items each) ----
     static MOODS = [
         "eerie", "cozy", "ancient", "crumbling", "opulent", "haunted", "overgrown", "frozen",
@@ -171,7 +295,9 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             // Close this window and open progress dialog
             this.close();
 
-            const progress = new ProgressDialog({ phase: 1 });
+            const controller = new AbortController();
+            this.pipeline.abortSignal = controller.signal;
+            const progress = new ProgressDialog({ phase: 1, abortController: controller });
             await progress.render({ force: true });
 
             // Wait a tick for the DOM to be ready
@@ -182,38 +308,38 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             progress.addLog(`Prompt: "${this.userPrompt}"`);
 
             try {
-                progress.addLog("Brainstorming scene architecture...");
-                VibeToast.info("Brainstorming scene architecture...");
-
-                await this.pipeline.generateOutline(this.userPrompt);
+                // An outline whose layout failed last time is reused rather than paid for again
+                const state = this.pipeline.state;
+                if (state.outline && !state.svg && state.userConcept === this.userPrompt) {
+                    progress.addLog("Reusing the outline from the last attempt.", "highlight");
+                } else {
+                    progress.addLog("Brainstorming scene architecture...");
+                    VibeToast.info("Brainstorming scene architecture...");
+
+                    await this.pipeline.generateOutline(this.userPrompt);
+                    await this._savePhase("outline");
+                }
 
                 // Show generated outline data in the log
-                const outline = this.pipeline.state.outline;
-                if (outline) {
-                    progress.addLog(`Scene: "${outline.title}"`, "highlight");
-                    if (outline.description) {
-                        progress.addLog(outline.description);
-                    }
-                    progress.addLog(`Defined ${outline.rooms?.length || 0} rooms:`, "highlight");
-                    for (const room of (outline.rooms || [])) {
-                        progress.addLog(`  ◆ ${room.name} — ${room.purpose}`, "room-entry");
-                    }
-                }
+                this._logOutline(progress, this.pipeline.state.outline);
 
                 progress.addLog("Drawing SVG layout boundaries...");
                 progress.setStatus("Drafting SVG cartography...");
                 VibeToast.info("Drawing SVG Layout boundaries...");
 
                 await this.pipeline.generateSvg();
+                await this._savePhase("svg");
                 progress.addLog("SVG layout complete!", "highlight");
 
+                this._logLayoutReports(progress);
+
                 this.step = 2;
             } catch (e) {
-                VibeToast.error("Failed to generate layout: " + e.message);
-                progress.addLog(`ERROR: ${e.message}`, "highlight");
+                await this._reportFailure(progress, e, "generate layout");
                 // Re-open generator on failure so user can retry
                 this.step = 1;
             } finally {
+                this.pipeline.abortSignal = null;
                 await progress.close();
                 // Small delay to ensure Foundry fully processes the close
                 await new Promise(r => setTimeout(r, 100));
@@ -229,6 +355,27 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             const tileCheckbox = this.element.querySelector('input[name="includeTileOverlay"]');
             if (tileCheckbox) this.includeTileOverlay = tileCheckbox.checked;
 
+            const regionsCheckbox = this.element.querySelector('input[name="createRegions"]');
+            if (regionsCheckbox) this.createRegions = regionsCheckbox.checked;
+
+            const journalCheckbox = this.element.querySelector('input[name="singleJournal"]');
+            if (journalCheckbox) this.singleJournal = journalCheckbox.checked;
+
+            const numbersCheckbox = this.element.querySelector('input[name="numberRooms"]');
+            if (numbersCheckbox) this.numberRooms = numbersCheckbox.checked;
+
+            const scaleSelect = this.element.querySelector('select[name="gridScale"]');
+            if (scaleSelect) this.gridScale = scaleSelect.value;
+
+            const typeSelect = this.element.querySelector('select[name="gridType"]');
+            if (typeSelect) this.gridType = typeSelect.value;
+
+            const sizeInput = this.element.querySelector('input[name="gridSize"]');
+            if (sizeInput) this.gridSize = Number(sizeInput.value) > 0 ? Number(sizeInput.value) : null;
+
+            const snapCheckbox = this.element.querySelector('input[name="snapToGrid"]');
+            if (snapCheckbox) this.snapToGrid = snapCheckbox.checked;
+
             const labelsCheckbox = this.element.querySelector('input[name="removeRoomLabels"]');
             if (labelsCheckbox) this.removeRoomLabels = labelsCheckbox.checked;
 
@@ -240,6 +387,13 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
                 ...this.pipeline.state.options,
                 generateWalls: this.generateWalls,
                 includeTileOverlay: this.includeTileOverlay,
+                createRegions: this.createRegions,
+                singleJournal: this.singleJournal,
+                numberRooms: this.numberRooms,
+                gridScale: this.gridScale,
+                gridType: this.gridType,
+                gridSize: this.gridSize,
+                snapToGrid: this.snapToGrid,
                 removeRoomLabels: this.removeRoomLabels
             };
 
@@ -257,7 +411,9 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             // Close this window and open progress dialog with SVG silhouette
             this.close();
 
-            const progress = new ProgressDialog({ phase: 2 });
+            const controller = new AbortController();
+            this.pipeline.abortSignal = controller.signal;
+            const progress = new ProgressDialog({ phase: 2, abortController: controller });
             await progress.render({ force: true });
 
             await new Promise(r => setTimeout(r, 200));
@@ -304,6 +460,11 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
                         progress.addLog(`  ⚠ ${label} accepted after max retries`, "room-entry");
                         return;
                     }
+                    if (roomId === "__resumed__") {
+                        progress.highlightRoom(extra);
+                        progress.addLog(`  ↷ Keeping ${label}, painted before the last run stopped`, "room-entry");
+                        return;
+                    }
 
                     const roomDef = rooms.find(r => String(r.id) === String(roomId));
                     const roomLabel = roomDef?.name || roomId;
@@ -317,12 +478,14 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
             try {
                 await this.pipeline.generateImage();
                 progress.addLog("Image generation complete!", "highlight");
+                progress.addLog("Saving checkpoint...");
+                await this._savePhase("image");
                 this.step = 3;
             } catch (e) {
-                VibeToast.error("Failed to render image: " + e.message);
-                progress.addLog(`ERROR: ${e.message}`, "highlight");
+                await this._reportFailure(progress, e, "render image");
                 this.step = 2;
             } finally {
+                this.pipeline.abortSignal = null;
                 await progress.close();
                 await new Promise(r => setTimeout(r, 100));
                 this.render({ force: true });
@@ -331,7 +494,372 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
     }
 
     /**
-     * Finish the workflow and create the scene
+     * Write an outline's title and rooms to the progress log
+     */
+    _logOutline(progress, outline) {
+        if (!outline) return;
+        progress.addLog(`Scene: "${outline.title}"`, "highlight");
+        if (outline.description) {
+            progress.addLog(outline.description);
+        }
+        progress.addLog(`Defined ${outline.rooms?.length || 0} rooms:`, "highlight");
+        for (const room of (outline.rooms || [])) {
+            progress.addLog(`  ◆ ${room.name} — ${room.purpose}`, "room-entry");
+        }
+        if (outline.levels?.length > 1) {
+            progress.addLog(`Spread across ${outline.levels.length} levels: ${outline.levels.map(l => l.name).join(", ")}`, "highlight");
+        }
+    }
+
+    /**
+     * Report a failed or cancelled long-running operation. Failures stay on
+     * the progress dialog until dismissed; model call failures are described
+     * by kind (quota, out of credits, safety block, bad request, network) with what to do.
+     * @param {ProgressDialog} progress
+     * @param {Error} error
+     * @param {string} action - What was being done, e.g. "render image"
+     * @returns {Promise<void>} Resolves once the failure is dismissed
+     */
+    async _reportFailure(progress, error, action) {
+        if (Cancellation.isAbort(error)) {
+            VibeToast.info("Cancelled. Work finished before cancelling was kept.");
+            progress.addLog("Cancelled.", "highlight");
+            return;
+        }
+        console.error(error);
+        progress.addLog(`ERROR: ${error.message}`, "highlight");
+
+        if (error instanceof ModelRequestError) {
+            VibeToast.error(`Failed to ${action}: ${error.title}.`);
+            await progress.showFailure({ title: error.title, hint: error.hint, message: error.message, icon: error.icon });
+        } else {
+            VibeToast.error(`Failed to ${action}: ` + error.message);
+            await progress.showFailure({ title: `Failed to ${action}`, message: error.message });
+        }
+    }
+
+    /**
+     * Write the layout check fixes and issues to the progress log
+     */
+    _logLayoutReports(progress) {
+        for (const report of this._layoutReports()) {
+            const prefix = report.name ? `${report.name}: ` : "";
+            for (const fix of report.fixes) progress.addLog(`  🔧 ${prefix}${fix}`, "room-entry");
+            for (const issue of report.issues) progress.addLog(`  ⚠ ${prefix}${issue}`, "room-entry");
+        }
+    }
+
+    /**
+     * Let the user pick a local file.
+     * @param {string} accept - Accepted file extensions
+     * @returns {Promise<File|null>} The file, or null if the dialog was cancelled
+     */
+    static _pickFile(accept) {
+        return new Promise((resolve) => {
+            const input = document.createElement("input");
+            input.type = "file";
+            input.accept = accept;
+            input.addEventListener("change", () => resolve(input.files?.[0] ?? null), { once: true });
+            input.addEventListener("cancel", () => resolve(null), { once: true });
+            input.click();
+        });
+    }
+
+    /**
+     * Start from an existing Universal VTT / Dungeondraft map instead of generating one.
+     * The concept text, if any, steers the outline written for the imported rooms.
+     */
+    async _onImportUvtt(event, target) {
+        const file = await GeneratorApp._pickFile(".dd2vtt,.uvtt,.df2vtt,.json");
+        if (!file) return;
+
+        const textarea = this.element.querySelector('textarea[name="userPrompt"]');
+        if (textarea) this.userPrompt = textarea.value.trim();
+
+        this.close();
+
+        const controller = new AbortController();
+        this.pipeline.abortSignal = controller.signal;
+        const progress = new ProgressDialog({ phase: 1, abortController: controller });
+        await progress.render({ force: true });
+        await new Promise(r => setTimeout(r, 200));
+
+        progress.setStatus("Importing map...");
+        progress.addLog(`Importing "${file.name}"...`, "highlight");
+
+        try {
+            progress.addLog("Detecting rooms and doors, then writing the outline...");
+            await this.pipeline.importUvtt(await file.text(), this.userPrompt);
+            await this._savePhase("image");
+            this._logOutline(progress, this.pipeline.state.outline);
+            progress.addLog(`Found ${this.pipeline.state.outline.connections.length} connection(s) between rooms.`);
+            VibeToast.info("Map imported. Review it and create the scene.");
+            this.step = 3;
+        } catch (e) {
+            await this._reportFailure(progress, e, "import map");
+            this.step = 1;
+        } finally {
+            this.pipeline.abortSignal = null;
+            await progress.close();
+            await new Promise(r => setTimeout(r, 100));
+            this.render({ force: true });
+        }
+    }
+
+    /**
+     * Start from the GM's own SVG floorplan instead of a generated layout.
+     * SVG markup pasted into the concept box is used directly; otherwise an
+     * .svg file is picked and the concept text, if any, steers the outline.
+     */
+    async _onImportSvg(event, target) {
+        const textarea = this.element.querySelector('textarea[name="userPrompt"]');
+        const text = textarea?.value.trim() || "";
+        const pasted = /^(<\?xml[\s\S]*?\?>\s*)?<svg[\s>]/i.test(text);
+
+        let svg = pasted ? text : null;
+        let name = "pasted SVG";
+        if (!pasted) {
+            const file = await GeneratorApp._pickFile(".svg");
+            if (!file) return;
+            svg = await file.text();
+            name = file.name;
+        }
+        this.userPrompt = pasted ? "" : text;
+
+        this.close();
+
+        const controller = new AbortController();
+        this.pipeline.abortSignal = controller.signal;
+        const progress = new ProgressDialog({ phase: 1, abortController: controller });
+        await progress.render({ force: true });
+        await new Promise(r => setTimeout(r, 200));
+
+        progress.setStatus("Reading your layout...");
+        progress.addLog(`Importing ${name}...`, "highlight");
+
+        try {
+            progress.addLog("Labelling rooms and writing the outline...");
+            await this.pipeline.importSvg(svg, this.userPrompt);
+            await this._savePhase("svg");
+            this._logOutline(progress, this.pipeline.state.outline);
+            this._logLayoutReports(progress);
+            VibeToast.info("Layout imported. Review it and render the map.");
+            this.step = 2;
+        } catch (e) {
+            await this._reportFailure(progress, e, "import layout");
+            this.step = 1;
+        } finally {
+            this.pipeline.abortSignal = null;
+            await progress.close();
+            await new Promise(r => setTimeout(r, 100));
+            this.render({ force: true });
+        }
+    }
+
+    /**
+     * Download a printable DM handout: the map with numbered rooms and the room key
+     */
+    async _onDmHandout(event, target) {
+        try {
+            const html = await new SceneBuilder().buildHandoutHtml(this.pipeline.state);
+            const title = this.pipeline.state.outline?.title || "scene";
+            const name = title.replace(/[^a-zA-Z0-9-_ ]/g, "").trim().replace(/\s+/g, "-") || "scene";
+            foundry.utils.saveDataToFile(html, "text/html", `${name}-dm-key.html`);
+        } catch (e) {
+            VibeToast.error("Failed to build handout: " + e.message);
+            console.error(e);
+        }
+    }
+
+    /**
+     * Download the current generation (prompt, outline, layout, options and images) as a bundle file
+     */
+    async _onSaveBundle(event, target) {
+        try {
+            GenerationBundle.download(await GenerationBundle.create(this.pipeline.state));
+        } catch (e) {
+            VibeToast.error("Failed to save bundle: " + e.message);
+            console.error(e);
+        }
+    }
+
+    /**
+     * Load a bundle file and continue from the furthest step it reached
+     */
+    async _onLoadBundle(event, target) {
+        const file = await GeneratorApp._pickFile(`.json,.${GenerationBundle.EXTENSION}`);
+        if (!file) return;
+        try {
+            const state = GenerationBundle.restore(await file.text());
+            this._applyState(state);
+            this.step = GenerationBundle.resumeStep(state);
+            VibeToast.info(`Loaded "${state.outline?.title || file.name}".`);
+        } catch (e) {
+            VibeToast.error("Failed to load bundle: " + e.message);
+            console.error(e);
+        }
+        this.render({ force: true });
+    }
+
+    /**
+     * Checkpoint the run after a completed phase and update its history entry
+     * @param {string} phase - "outline", "svg" or "image"
+     */
+    async _savePhase(phase) {
+        await PipelineCheckpoint.save(this.pipeline.state, phase);
+        await GenerationHistory.record(this.pipeline.state, phase);
+    }
+
+    /**
+     * Continue the last unfinished run from its checkpoint, after its last completed phase
+     */
+    async _onResumeCheckpoint(event, target) {
+        try {
+            const state = PipelineCheckpoint.restore();
+            if (!state) return;
+            this._applyState(state);
+            this.step = GenerationBundle.resumeStep(state);
+            VibeToast.info(`Resumed "${state.outline?.title || "scene"}".`);
+        } catch (e) {
+            VibeToast.error("Failed to resume run: " + e.message);
+            console.error(e);
+        }
+        this.render({ force: true });
+    }
+
+    /**
+     * Forget the last unfinished run
+     */
+    async _onDiscardCheckpoint(event, target) {
+        await PipelineCheckpoint.clear();
+        this.render({ force: true });
+    }
+
+    /**
+     * Show or hide the list of past runs
+     */
+    async _onToggleHistory(event, target) {
+        this.showHistory = !this.showHistory;
+        this.render({ force: true });
+    }
+
+    /**
+     * Reopen a past run at the step on the button
+     */
+    async _onHistoryOpen(event, target) {
+        try {
+            const state = GenerationHistory.restore(target.dataset.id);
+            this._applyState(state);
+            this.step = Math.min(Number(target.dataset.step) || 1, GenerationBundle.resumeStep(state));
+            this.showHistory = false;
+        } catch (e) {
+            VibeToast.error("Failed to reopen run: " + e.message);
+            console.error(e);
+        }
+        this.render({ force: true });
+    }
+
+    /**
+     * Rebuild the Scene(s) of a past run in place, or create them if they no longer exist
+     */
+    async _onHistoryRebuild(event, target) {
+        this.isGenerating = true;
+        this.render({ force: true });
+        this.showLoading("Rebuilding Scene in Foundry...");
+        try {
+            const state = GenerationHistory.restore(target.dataset.id);
+            const sceneIds = state.levels?.length > 1 ? state.levels.map(l => l.sceneId) : [state.sceneId];
+            const builder = new SceneBuilder();
+            const scene = sceneIds.some(id => id && game.scenes.get(id))
+                ? await builder.rebuildSceneFromState(state)
+                : await builder.createSceneFromState(state);
+            await GenerationHistory.record(state, "built");
+            VibeToast.info(`Scene "${scene.name}" rebuilt.`);
+            await scene.view();
+        } catch (e) {
+            VibeToast.error("Failed to rebuild scene: " + e.message);
+            console.error(e);
+        } finally {
+            this.isGenerating = false;
+            this.hideLoading();
+            this.render({ force: true });
+        }
+    }
+
+    /**
+     * Copy a past run as a new run, not tied to its Scene, and open the copy
+     */
+    async _onHistoryDuplicate(event, target) {
+        try {
+            const state = await GenerationHistory.duplicate(target.dataset.id);
+            this._applyState(state);
+            this.step = GenerationBundle.resumeStep(state);
+            this.showHistory = false;
+            VibeToast.info(`Duplicated "${state.outline?.title || "scene"}" as a new run.`);
+        } catch (e) {
+            VibeToast.error("Failed to duplicate run: " + e.message);
+            console.error(e);
+        }
+        this.render({ force: true });
+    }
+
+    /**
+     * Remove a past run from the history. Its image files can't be deleted
+     * from the client, so the GM is shown which ones to delete by hand.
+     */
+    async _onHistoryDelete(event, target) {
+        const entry = GenerationHistory.get(target.dataset.id);
+        if (!entry) return;
+        const title = foundry.utils.escapeHTML(entry.title);
+        const files = GenerationHistory.leftoverFiles(entry.id);
+        const fileList = files.length
+            ? `<p>Foundry can't delete uploaded files from the browser. These images stay on the server until you delete
+                them from its Data folder:</p>
+                <ul>${files.map(f => `<li><code>${foundry.utils.escapeHTML(f)}</code></li>`).join("")}</ul>`
+            : "";
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Remove from History" },
+            content: `<p>Remove <strong>${title}</strong> from the history? Scenes built from it are kept.</p>${fileList}`
+        });
+        if (!confirmed) return;
+
+        try {
+            await GenerationHistory.remove(entry.id);
+            VibeToast.info(files.length
+                ? `Removed "${entry.title}" from the history. Its ${files.length} image file(s) are still on the server.`
+                : `Removed "${entry.title}" from the history.`);
+        } catch (e) {
+            VibeToast.error("Failed to remove run: " + e.message);
+            console.error(e);
+        }
+        this.render({ force: true });
+    }
+
+    /**
+     * Send the remaining layout problems back to the model for a corrected SVG
+     */
+    async _onReviseLayout(event, target) {
+        this.isGenerating = true;
+        this.render({ force: true });
+        this.showLoading("Asking the model to fix the layout...");
+        try {
+            const revised = await this.pipeline.reviseSvg();
+            await this._savePhase("svg");
+            const remaining = this._layoutReports().reduce((n, r) => n + r.issues.length, 0);
+            VibeToast.info(`Revised ${revised} layout(s); ${remaining} problem(s) remain.`);
+        } catch (e) {
+            VibeToast.error("Failed to revise layout: " + e.message);
+            console.error(e);
+        } finally {
+            this.isGenerating = false;
+            this.hideLoading();
+            this.render({ force: true });
+        }
+    }
+
+    /**
+     * Finish the workflow and create the scene.
+     * The window stays open on Step 3 so the GM can go back, tweak and update the scene.
      */
     async _onFinish(event, target) {
         this.isGenerating = true;
@@ -341,15 +869,56 @@ export class GeneratorApp extends HandlebarsApplicationMixin(VibeApplicationV2)
         try {
             const builder = new SceneBuilder();
             const scene = await builder.createSceneFromState(this.pipeline.state);
+            await PipelineCheckpoint.clear();
+            await GenerationHistory.record(this.pipeline.state, "built");
             VibeToast.info(`Scene "${scene.name}" created successfully!`);
             await scene.view();
-            this.close();
         } catch (e) {
             VibeToast.error("Failed to create scene: " + e.message);
             console.error(e);
         } finally {
             this.isGenerating = false;
             this.hideLoading();
+            this.render({ force: true });
+        }
+    }
+
+    /**
+     * Re-apply the current map to the scene built earlier, replacing only generated content
+     */
+    async _onRebuild(event, target) {
+        this.isGenerating = true;
+        this.render({ force: true });
+        this.showLoading("Updating Scene in Foundry...");
+        try {
+            const builder = new SceneBuilder();
+            const scene = await builder.rebuildSceneFromState(this.pipeline.state);
+            await PipelineCheckpoint.clear();
+            await GenerationHistory.record(this.pipeline.state, "built");
+            VibeToast.info(`Scene "${scene.name}" updated.`);
+            await scene.view();
+        } catch (e) {
+            VibeToast.error("Failed to update scene: " + e.message);
+            console.error(e);
+        } finally {
+            this.isGenerating = false;
+            this.hideLoading();
+            this.render({ force: true });
+        }
+    }
+
+    /**
+     * Download the current map as Universal VTT files (one per floor)
+     */
+    async _onExportUvtt(event, target) {
+        try {
+            const exporter = new UniversalVttExporter();
+            const files = await exporter.fromState(this.pipeline.state);
+            files.forEach(file => exporter.download(file));
+            VibeToast.info(`Exported ${files.length} Universal VTT file${files.length === 1 ? "" : "s"}.`);
+        } catch (e) {
+            VibeToast.error("Failed to export map: " + e.message);
+            console.error(e);
         }
     }
 }
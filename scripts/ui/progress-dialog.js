@@ -1,4 +1,5 @@
 import { VibeApplicationV2 } from "../../../vibe-common/scripts/ui/vibe-application.js";
+import { ModelRequest } from "../services/providers/model-request.js";
 
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -6,6 +7,9 @@ const { HandlebarsApplicationMixin } = foundry.applications.api;
  * ProgressDialog
  * A standalone window that replaces the generator during long-running operations.
  * Shows scrolling text log during Phase 1 and SVG silhouette with light-trace animation during Phase 2.
+ * Given an AbortController, it shows a Cancel button that aborts it.
+ * Model call retries and pacing are logged while it is open, and a failure
+ * can be shown in place until the user dismisses it.
  */
 export class ProgressDialog extends HandlebarsApplicationMixin(VibeApplicationV2) {
     constructor(options = {}) {
@@ -14,6 +18,12 @@ export class ProgressDialog extends HandlebarsApplicationMixin(VibeApplicationV2
         this._svgContent = null;
         this._phase = options.phase || 1; // 1 = outline+SVG, 2 = image render
         this._traceAnimationFrame = null;
+        /** @type {AbortController|null} Aborted by the Cancel button */
+        this._abortController = options.abortController || null;
+        /** @type {{title: string, hint: string|null, message: string, icon: string}|null} Shown instead of the spinner */
+        this._failure = null;
+        this._resolveFailure = null;
+        this._unsubscribe = ModelRequest.subscribe(event => this._onModelRequestEvent(event));
     }
 
     static DEFAULT_OPTIONS = {
@@ -24,6 +34,10 @@ export class ProgressDialog extends HandlebarsApplicationMixin(VibeApplicationV2
         window: {
             icon: "fas fa-cog fa-spin",
             resizable: false,
+        },
+        actions: {
+            cancel: this.prototype._onCancel,
+            dismiss: this.prototype._onDismiss
         }
     };
 
@@ -37,10 +51,69 @@ export class ProgressDialog extends HandlebarsApplicationMixin(VibeApplicationV2
         return {
             phase: this._phase,
             hasSvg: !!this._svgContent,
-            svgContent: this._svgContent
+            svgContent: this._svgContent,
+            canCancel: !!this._abortController,
+            cancelling: !!this._abortController?.signal.aborted,
+            failure: this._failure,
+            // Re-renders (the silhouette, a failure) keep the log
+            logEntries: this._logEntries
         };
     }
 
+    async _onRender(context, options) {
+        await super._onRender(context, options);
+        const logEl = this.element?.querySelector(".progress-log");
+        if (logEl) logEl.scrollTop = logEl.scrollHeight;
+    }
+
+    /**
+     * Log a model call being retried or paced.
+     */
+    _onModelRequestEvent(event) {
+        const seconds = Math.ceil(event.delayMs / 1000);
+        if (event.type === "retry") {
+            this.addLog(`${event.error.title} (${event.label}). Retrying in ${seconds}s, attempt ${event.attempt}/${event.maxAttempts}...`, "warning");
+        } else if (event.type === "throttle") {
+            this.addLog(`Pacing requests to ${event.label}: waiting ${seconds}s for the rate budget...`);
+        }
+    }
+
+    /**
+     * Show a failure in place of the spinner and wait for the user to dismiss it.
+     * @param {Object} failure
+     * @param {string} failure.title - What went wrong, in plain words
+     * @param {string|null} [failure.hint] - What to do about it
+     * @param {string} failure.message - The underlying error message
+     * @param {string} [failure.icon] - Font Awesome icon class
+     * @returns {Promise<void>} Resolves when dismissed or closed
+     */
+    async showFailure({ title, hint = null, message, icon = "fa-triangle-exclamation" }) {
+        this._stopTraceAnimation();
+        this._failure = { title, hint, message, icon };
+        const dismissed = new Promise(resolve => { this._resolveFailure = resolve; });
+        await this.render({ force: true });
+        this.setStatus(title);
+        return dismissed;
+    }
+
+    _onDismiss() {
+        this.close();
+    }
+
+    /**
+     * Abort the running operation. The caller's catch block handles the rest.
+     */
+    _onCancel(event, target) {
+        if (!this._abortController || this._abortController.signal.aborted) return;
+        this._abortController.abort();
+        this.setStatus("Cancelling...");
+        this.addLog("Cancelling — finished work is kept.", "highlight");
+        if (target) {
+            target.disabled = true;
+            target.innerHTML = `<i class="fas fa-ban"></i> Cancelling...`;
+        }
+    }
+
     /**
      * Add a log message to the scrolling log area
      */
@@ -237,6 +310,10 @@ export class ProgressDialog extends HandlebarsApplicationMixin(VibeApplicationV2
 
     close(options) {
         this._stopTraceAnimation();
+        this._unsubscribe?.();
+        this._unsubscribe = null;
+        this._resolveFailure?.();
+        this._resolveFailure = null;
         return super.close(options);
     }
 }
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Just enough of Foundry for the pipeline and the Scene builder
+const scenes = new Map([["sceneGround", { id: "sceneGround", folder: { id: "folder1" } }], ["sceneCellar", { id: "sceneCellar", folder: { id: "folder1" } }]]);
+const foldersCreated = [];
+global.foundry = { utils: { deepClone: (obj) => structuredClone(obj), randomID: () => "id" } };
+global.game = { settings: { get: () => "" }, user: { isGM: true }, scenes: { get: (id) => scenes.get(id) } };
+global.Folder = { create: async (data) => { foldersCreated.push(data); return { id: "folder2" }; } };
+
+const { ScenePipeline } = await import("../scripts/services/pipeline.js");
+const { SceneBuilder } = await import("../scripts/services/scene-builder.js");
+
+const outline = {
+    title: "Watchtower",
+    levels: [{ id: "ground", name: "Ground Floor", elevation: 0 }, { id: "cellar", name: "Cellar", elevation: -1 }],
+    rooms: [{ id: "hall", level: "ground", name: "Hall" }, { id: "vault", level: "cellar", name: "Vault" }],
+    stairs: [{ from: "hall", to: "vault", type: "stairs" }],
+    connections: []
+};
+
+test("redrawing a multi-level layout keeps each floor's Scene, and rebuilding updates them in place", async () => {
+    const pipeline = new ScenePipeline("key");
+    pipeline.state.outline = outline;
+    pipeline.state.levels = [
+        { id: "ground", name: "Ground Floor", elevation: 0, svg: "<svg>old</svg>", sceneId: "sceneGround" },
+        { id: "cellar", name: "Cellar", elevation: -1, svg: "<svg>old</svg>", sceneId: "sceneCellar" }
+    ];
+    pipeline.svgGenerator = { generateSvg: async (levelOutline) => `<svg>${levelOutline.rooms[0].id}</svg>` };
+
+    await pipeline.generateSvg();
+    assert.deepEqual(pipeline.state.levels.map(l => [l.svg, l.sceneId]), [["<svg>hall</svg>", "sceneGround"], ["<svg>vault</svg>", "sceneCellar"]]);
+
+    // The redrawn layout gets a new map before the rebuild
+    pipeline.state.levels.forEach(level => { level.imageBuffer = "image"; });
+
+    const builder = new SceneBuilder();
+    const rebuilt = [];
+    const created = [];
+    const result = (scene) => ({ scene, imagePath: `${scene.id}.webp`, layoutImagePath: null, roomAnchors: new Map() });
+    builder._rebuildScene = async (scene) => { rebuilt.push(scene.id); return result(scene); };
+    builder._buildScene = async (state) => { created.push(state.outline.title); return result({ id: "new" }); };
+    builder._linkStairs = async () => {};
+    builder._storePipelineState = async () => {};
+
+    await builder._createLevelScenes(pipeline.state, { rebuild: true });
+    assert.deepEqual(rebuilt, ["sceneGround", "sceneCellar"]);
+    assert.deepEqual(created, []);
+    assert.deepEqual(foldersCreated, []);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LightingProfiles } from "../scripts/services/lighting-profiles.js";
+
+const profileFor = (atmosphere) => LightingProfiles.forRoom({ atmosphere }).key;
+
+test("keywords match whole words only", () => {
+    assert.equal(profileFor("A strange pocket dimension, humming softly"), "default");
+    assert.equal(profileFor("The air smells of a terrible mistake"), "default");
+    assert.equal(profileFor("Gardeners prune the hedges"), "default");
+});
+
+test("keywords match their plurals and listed word forms", () => {
+    assert.equal(profileFor("Dim, cold and quiet"), "dim");
+    assert.equal(profileFor("Dimly lit by a single window"), "dim");
+    assert.equal(profileFor("Runes glow along the walls"), "arcane");
+    assert.equal(profileFor("Flickering torches line the hall"), "torch");
+    assert.equal(profileFor("Moonlit flagstones"), "moonlight");
+});
+
+test("earlier profiles win over later ones", () => {
+    assert.equal(profileFor("Dark, with a single flickering candle"), "torch");
+    assert.equal(profileFor("Pitch black and silent"), "pitch-black");
+});
@@ -12,13 +12,19 @@ global.foundry = {
                 result += chars.charAt(Math.floor(Math.random() * chars.length));
             }
             return result;
-        }
+        },
+        deepClone: (obj) => structuredClone(obj)
     }
 };
 
 global.game = {
     settings: {
         get: (module, setting) => {
+            // Our own settings come from VIBE_* environment variables (modelOutline -> VIBE_MODEL_OUTLINE),
+            // so phases can be pointed at a local stand-in server
+            if (module === "vibe-scene-two") {
+                return process.env["VIBE_" + setting.replace(/([A-Z])/g, "_$1").toUpperCase()] ?? "";
+            }
             // Mock common api settings if necessary
             console.log(`Mocking game.settings.get for ${module}.${setting}`);
             return "imagen-4"; // example fallback
@@ -31,8 +37,11 @@ global.game = {
 
 const apiKey = process.env.GEMINI_API_KEY;
 
-if (!apiKey) {
-    console.error("Please set the GEMINI_API_KEY environment variable.");
+// Without a key every phase must be routed to another provider, e.g.
+// VIBE_MODEL_OUTLINE=openai:llama3.1 VIBE_OPENAI_ENDPOINT=http://localhost:11434/v1 VIBE_MODEL_IMAGE=a1111
+const phases = ["OUTLINE", "SVG", "IMAGE_PROMPT", "IMAGE"];
+if (!apiKey && !phases.every(phase => /^(openai|a1111)(:|$)/.test(process.env[`VIBE_MODEL_${phase}`] || ""))) {
+    console.error("Please set the GEMINI_API_KEY environment variable, or route every phase to another provider with VIBE_MODEL_* variables.");
     console.error("Example: $env:GEMINI_API_KEY='your_key_here'; npm run test:pipeline");
     process.exit(1);
 }
@@ -62,6 +71,12 @@ async function runTest() {
         const outPath = path.join(outDir, 'phase1_outline.json');
         fs.writeFileSync(outPath, JSON.stringify(pipeline.state.outline, null, 2));
         console.log(`\nSaved Phase 1 output to ${outPath}`);
+
+        // The full run as a bundle that GeneratorApp can load
+        const { GenerationBundle } = await import('./scripts/services/generation-bundle.js');
+        const bundlePath = path.join(outDir, `bundle.${GenerationBundle.EXTENSION}`);
+        fs.writeFileSync(bundlePath, JSON.stringify(await GenerationBundle.create(pipeline.state)));
+        console.log(`Saved generation bundle to ${bundlePath}`);
     } catch (error) {
         console.error("Test Loop Error:", error);
     }